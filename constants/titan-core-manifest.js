@@ -0,0 +1,98 @@
+/**
+ * Baseline manifest of the core Titan APIs
+ *
+ * Loaded before any .d.ts scan, so core methods are classified even when no
+ * Titan typings are installed. Declarations found while scanning override
+ * these entries. Disable with `settings.titanpl.baseline: false`.
+ *
+ * The manifest describes the current runtime and carries no version data.
+ * Projects pinned to other runtime versions describe the differences in
+ * `settings.titanpl.releases` (see utils/titan-version.js).
+ *
+ * Each entry maps a method path to its return type (TypeScript syntax);
+ * async-ness is derived from the return type like for scanned methods.
+ * Paths are listed under `t` and registered under `Titan` as well.
+ */
+export const TITAN_CORE_MANIFEST = {
+    methods: {
+        // HTTP
+        't.fetch': 'Promise<Response>',
+        't.log': 'void',
+
+        // File system
+        't.core.fs.readFile': 'Promise<string>',
+        't.core.fs.writeFile': 'Promise<void>',
+        't.core.fs.remove': 'Promise<void>',
+        't.core.fs.mkdir': 'Promise<void>',
+        't.core.fs.readdir': 'Promise<string[]>',
+        't.core.fs.stat': 'Promise<any>',
+        't.core.fs.exists': 'Promise<boolean>',
+
+        // Path
+        't.core.path.join': 'string',
+        't.core.path.resolve': 'string',
+        't.core.path.dirname': 'string',
+        't.core.path.basename': 'string',
+        't.core.path.extname': 'string',
+
+        // URL
+        't.core.url.parse': 'any',
+        't.core.url.format': 'string',
+        't.core.url.SearchParams': 'any',
+
+        // Crypto
+        't.core.crypto.hash': 'Promise<string>',
+        't.core.crypto.encrypt': 'Promise<string>',
+        't.core.crypto.decrypt': 'Promise<string>',
+        't.core.crypto.hashKeyed': 'Promise<string>',
+        't.core.crypto.uuid': 'string',
+        't.core.crypto.randomBytes': 'string',
+        't.core.crypto.compare': 'boolean',
+
+        // OS
+        't.core.os.platform': 'string',
+        't.core.os.cpus': 'number',
+        't.core.os.totalMemory': 'number',
+        't.core.os.freeMemory': 'number',
+        't.core.os.tmpdir': 'string',
+
+        // Network
+        't.core.net.resolveDNS': 'Promise<string[]>',
+        't.core.net.ip': 'string',
+
+        // Time
+        't.core.time.sleep': 'Promise<void>',
+        't.core.time.now': 'number',
+        't.core.time.timestamp': 'string',
+
+        // Buffer
+        't.core.buffer.fromBase64': 'any',
+        't.core.buffer.toBase64': 'string',
+        't.core.buffer.fromHex': 'any',
+        't.core.buffer.toHex': 'string',
+        't.core.buffer.fromUtf8': 'any',
+        't.core.buffer.toUtf8': 'string',
+
+        // Process
+        't.core.proc.pid': 'number',
+        't.core.proc.uptime': 'number',
+
+        // Session (async)
+        't.core.session.get': 'Promise<any>',
+        't.core.session.set': 'Promise<void>',
+        't.core.session.delete': 'Promise<void>',
+        't.core.session.clear': 'Promise<void>',
+
+        // Local storage (sync)
+        't.core.ls.get': 'string',
+        't.core.ls.set': 'void',
+        't.core.ls.remove': 'void',
+        't.core.ls.clear': 'void',
+        't.core.ls.keys': 'string[]',
+
+        // Cookies (sync)
+        't.core.cookies.get': 'string',
+        't.core.cookies.set': 'void',
+        't.core.cookies.delete': 'void'
+    }
+};
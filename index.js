@@ -2,6 +2,9 @@ import { noNodeBuiltins } from './rules/no-node-builtins.js';
 import { noAsyncAwait } from './rules/no-async-await.js';
 import { driftOnlyTitanAsync } from './rules/drift-only-titan-async.js';
 import { requireDrift } from './rules/require-drift.js';
+import { noUnsupportedTitanApi } from './rules/no-unsupported-titan-api.js';
+import { noDeprecatedTitanApi } from './rules/no-deprecated-titan-api.js';
+import { noConflictingTitanDeclarations } from './rules/no-conflicting-titan-declarations.js';
 import globals from 'globals';
 
 const plugin = {
@@ -9,38 +12,60 @@ const plugin = {
         'no-node-builtins': noNodeBuiltins,
         'no-async-await': noAsyncAwait,
         'drift-only-titan-async': driftOnlyTitanAsync,
-        'require-drift': requireDrift
+        'require-drift': requireDrift,
+        'no-unsupported-titan-api': noUnsupportedTitanApi,
+        'no-deprecated-titan-api': noDeprecatedTitanApi,
+        'no-conflicting-titan-declarations': noConflictingTitanDeclarations
     },
 };
 
+/**
+ * Build the recommended configuration for TitanPL projects.
+ * `globals` adds names the Titan runtime is exposed as (`$titan`), both to
+ * languageOptions.globals and to settings.titanpl.globals.
+ * @param {{ globals?: string[] }} [options]
+ * @returns {Object} Flat config object
+ */
+export function createTitanplConfig({ globals: titanGlobals = [] } = {}) {
+    const config = {
+        files: ['app/**/*.js', 'app/**/*.ts'],
+        ignores: ['**/*.d.ts'],
+        plugins: {
+            titanpl: plugin
+        },
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            globals: {
+                ...globals.es2024,
+                t: 'readonly',
+                Titan: 'readonly',
+                ...Object.fromEntries(titanGlobals.map(name => [name, 'readonly'])),
+                drift: 'readonly',
+                defineAction: 'readonly',
+                req: 'readonly'
+            }
+        },
+        rules: {
+            'no-undef': 'error',
+            'titanpl/no-node-builtins': 'error',
+            'titanpl/no-async-await': 'error',
+            'titanpl/drift-only-titan-async': 'error',
+            'titanpl/require-drift': 'error',
+            'titanpl/no-deprecated-titan-api': 'warn',
+            'titanpl/no-conflicting-titan-declarations': 'warn'
+        },
+    };
+
+    if (titanGlobals.length > 0) {
+        config.settings = { titanpl: { globals: titanGlobals } };
+    }
+    return config;
+}
+
 /**
  * Recommended configuration for TitanPL projects
  */
-export const titanpl = {
-    files: ['app/**/*.js', 'app/**/*.ts'],
-    ignores: ['**/*.d.ts'],
-    plugins: {
-        titanpl: plugin
-    },
-    languageOptions: {
-        ecmaVersion: 'latest',
-        sourceType: 'module',
-        globals: {
-            ...globals.es2024,
-            t: 'readonly',
-            Titan: 'readonly',
-            drift: 'readonly',
-            defineAction: 'readonly',
-            req: 'readonly'
-        }
-    },
-    rules: {
-        'no-undef': 'error',
-        'titanpl/no-node-builtins': 'error',
-        'titanpl/no-async-await': 'error',
-        'titanpl/drift-only-titan-async': 'error',
-        'titanpl/require-drift': 'error'
-    },
-};
+export const titanpl = createTitanplConfig();
 
 export default plugin;
\ No newline at end of file
@@ -1,5 +1,5 @@
-import { buildMemberPath, isDriftCall } from '../utils/ast-helpers.js';
-import { isAsyncMethod, checkTitanCallee } from '../utils/async-detector/index.js';
+import { buildMemberPath, isDriftCall, unwrapExpression } from '../utils/ast-helpers.js';
+import { checkTitanCallee, detectAsyncMethod, getTitanCall } from '../utils/async-detector/index.js';
 
 /**
  * ESLint rule: drift-only-titan-async
@@ -12,6 +12,9 @@ import { isAsyncMethod, checkTitanCallee } from '../utils/async-detector/index.j
  * - Object aliases: drift(utils.fetch())  where const utils = { fetch: t.fetch }
  * - Declare global: drift(globalFetch())  where typeof t.fetch
  * - Export aliases: drift(exportedFetch()) where export const exportedFetch = t.fetch
+ * - Returned objects: drift(conn.query())  where const conn = drift(t.db.connect())
+ * - Other call forms: drift(t.fetch?.()), drift(t.fetch.call(null, url)),
+ *   drift(t.fetch.bind(t)(url)), drift((0, t.fetch)(url))
  */
 export const driftOnlyTitanAsync = {
     meta: {
@@ -33,7 +36,7 @@ export const driftOnlyTitanAsync = {
     create(context) {
         return {
             CallExpression(node) {
-                if (!isDriftCall(node)) {
+                if (!isDriftCall(node, context)) {
                     return;
                 }
 
@@ -46,7 +49,8 @@ export const driftOnlyTitanAsync = {
                     return;
                 }
 
-                const argument = node.arguments[0];
+                // drift(t.fetch?.(url)) / drift(t.core?.fs.readFile)
+                const argument = unwrapExpression(node.arguments[0]);
 
                 // drift() argument must be a CallExpression (a method call)
                 if (argument.type !== 'CallExpression') {
@@ -55,7 +59,7 @@ export const driftOnlyTitanAsync = {
                     if (argument.type === 'MemberExpression') {
                         const methodPath = buildMemberPath(argument);
                         if (methodPath) {
-                            const { isTitan } = checkTitanCallee(methodPath, context);
+                            const { isTitan } = checkTitanCallee(methodPath, context, argument);
                             if (isTitan) {
                                 context.report({
                                     node,
@@ -70,7 +74,7 @@ export const driftOnlyTitanAsync = {
                     // Check if it's an Identifier that is a Titan alias (reference without call)
                     // e.g., drift(fetch) where const { fetch } = t
                     if (argument.type === 'Identifier') {
-                        const { isTitan } = checkTitanCallee(argument.name, context);
+                        const { isTitan } = checkTitanCallee(argument.name, context, argument);
                         if (isTitan) {
                             context.report({
                                 node,
@@ -81,29 +85,52 @@ export const driftOnlyTitanAsync = {
                         }
                     }
 
-                    reportInvalidDriftUsage(context, node, getArgumentPreview(argument));
+                    reportInvalidDriftUsage(context, node, getArgumentPreview(argument, context));
                     return;
                 }
 
-                // Get the method path from the CallExpression's callee
-                const methodPath = buildMemberPath(argument.callee);
+                // Get the method path from the function the call invokes
+                // (t.fetch.call(null, url) and (0, t.fetch)(url) invoke t.fetch)
+                const { callee } = getTitanCall(argument, context);
+                const methodPath = buildMemberPath(callee);
 
                 // If we can't determine the path (e.g., computed property)
                 if (!methodPath) {
-                    reportInvalidDriftUsage(context, node, getArgumentPreview(argument));
+                    reportInvalidDriftUsage(context, node, getArgumentPreview(argument, context));
                     return;
                 }
 
                 // Check if it's a Titan callee — direct OR via alias resolution
-                const { isTitan, resolvedPath } = checkTitanCallee(methodPath, context);
+                const { isTitan, resolvedPath } = checkTitanCallee(methodPath, context, callee);
 
                 if (!isTitan) {
+                    // Method on an object returned by a Titan method
+                    const returned = detectAsyncMethod(methodPath, context, argument);
+                    if (returned.source === 'return-type') {
+                        if (returned.isAsync === false) {
+                            context.report({
+                                node,
+                                messageId: 'driftNotForSyncMethods',
+                                data: { method: methodPath }
+                            });
+                        }
+                        return;
+                    }
+
                     reportInvalidDriftUsage(context, node, methodPath);
                     return;
                 }
 
                 // Check if it's an ASYNC Titan method (using the resolved path)
-                if (!isAsyncMethod(resolvedPath, context, argument)) {
+                const detection = detectAsyncMethod(resolvedPath, context, argument);
+
+                // Ignored through settings.titanpl.methods, or a call that fits
+                // overloads that disagree
+                if (detection.source !== null && detection.isAsync === null) {
+                    return;
+                }
+
+                if (!detection.isAsync) {
                     // Different message if it was resolved via alias
                     if (resolvedPath !== methodPath) {
                         context.report({
@@ -144,9 +171,10 @@ function reportInvalidDriftUsage(context, node, argPreview) {
 /**
  * Get a preview string of an argument for error messages
  * @param {Object} argument - AST node
+ * @param {Object} context - ESLint rule context
  * @returns {string}
  */
-function getArgumentPreview(argument) {
+function getArgumentPreview(argument, context) {
     if (!argument) {
         return '<empty>';
     }
@@ -159,7 +187,7 @@ function getArgumentPreview(argument) {
             return String(argument.value);
 
         case 'CallExpression':
-            return buildMemberPath(argument.callee) || '<function call>';
+            return buildMemberPath(getTitanCall(argument, context).callee) || '<function call>';
 
         case 'MemberExpression':
             return buildMemberPath(argument) || '<member access>';
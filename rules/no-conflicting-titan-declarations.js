@@ -0,0 +1,102 @@
+import { relative } from 'path';
+import { buildMemberPath } from '../utils/ast-helpers.js';
+import { checkTitanCallee, getDeclarations, getTitanCall } from '../utils/async-detector/index.js';
+
+/**
+ * ESLint rule: no-conflicting-titan-declarations
+ * Reports calls to Titan methods declared in more than one file with
+ * different async-ness (e.g. a stale types/titan.d.ts next to a newer
+ * package), naming both files. With { duplicates: true }, methods declared
+ * identically in several files are reported too.
+ *
+ * types/titan.d.ts:              function send(to: string): void;
+ * node_modules/titan-mail/...:   function send(to: string): Promise<void>;
+ * ✗ t.mail.send('a@b.c')   "t.mail.send" is declared async in ... but sync in ...
+ *
+ * settings.titanpl.preferDeclarations chooses the side that wins.
+ */
+export const noConflictingTitanDeclarations = {
+    meta: {
+        type: 'problem',
+        docs: {
+            description: 'Disallow Titan methods declared with different async-ness in several files',
+            recommended: true
+        },
+        schema: [
+            {
+                type: 'object',
+                properties: {
+                    duplicates: { type: 'boolean' }
+                },
+                additionalProperties: false
+            }
+        ],
+        messages: {
+            conflict: '"{{method}}" is declared async in {{asyncFile}} but sync in {{syncFile}}. {{activeFile}} is used.',
+            duplicate: '"{{method}}" is declared in both {{file}} and {{otherFile}}.'
+        }
+    },
+
+    create(context) {
+        const { duplicates = false } = context.options[0] || {};
+        const cwd = context.cwd || process.cwd();
+
+        /**
+         * @param {string} file
+         * @returns {string}
+         */
+        function displayPath(file) {
+            return relative(cwd, file) || file;
+        }
+
+        return {
+            CallExpression(node) {
+                const { callee } = getTitanCall(node, context);
+                const calleePath = buildMemberPath(callee);
+                if (!calleePath) {
+                    return;
+                }
+
+                const { isTitan, resolvedPath } = checkTitanCallee(calleePath, context, callee);
+                if (!isTitan) {
+                    return;
+                }
+
+                const declarations = getDeclarations(resolvedPath, context);
+                if (declarations.length < 2) {
+                    return;
+                }
+
+                const asyncDeclaration = declarations.find(declaration => declaration.isAsync);
+                const syncDeclaration = declarations.find(declaration => !declaration.isAsync);
+                const active = declarations.find(declaration => declaration.active) || declarations[declarations.length - 1];
+
+                if (asyncDeclaration && syncDeclaration) {
+                    context.report({
+                        node,
+                        messageId: 'conflict',
+                        data: {
+                            method: calleePath,
+                            asyncFile: displayPath(asyncDeclaration.file),
+                            syncFile: displayPath(syncDeclaration.file),
+                            activeFile: displayPath(active.file)
+                        }
+                    });
+                    return;
+                }
+
+                if (duplicates) {
+                    context.report({
+                        node,
+                        messageId: 'duplicate',
+                        data: {
+                            method: calleePath,
+                            file: displayPath(declarations[0].file),
+                            otherFile: displayPath(declarations[1].file)
+                        }
+                    });
+                }
+            }
+        };
+    }
+};
@@ -0,0 +1,54 @@
+import { buildMemberPath } from '../utils/ast-helpers.js';
+import { checkTitanCallee, getDeprecation, getTitanCall } from '../utils/async-detector/index.js';
+
+/**
+ * ESLint rule: no-deprecated-titan-api
+ * Reports calls to Titan methods that an API manifest (titan.api.json or the
+ * package.json `titanpl` field) marks as deprecated.
+ *
+ * With "pushAll": { "async": true, "deprecated": "Use t.queue.push()" }
+ * ✗ drift(t.queue.pushAll(jobs))
+ * ✓ drift(t.queue.push(job))
+ */
+export const noDeprecatedTitanApi = {
+    meta: {
+        type: 'suggestion',
+        docs: {
+            description: 'Disallow Titan methods marked as deprecated in an API manifest',
+            recommended: true
+        },
+        schema: [],
+        messages: {
+            deprecated: '"{{method}}" is deprecated.',
+            deprecatedWithReason: '"{{method}}" is deprecated. {{reason}}'
+        }
+    },
+
+    create(context) {
+        return {
+            CallExpression(node) {
+                const { callee } = getTitanCall(node, context);
+                const calleePath = buildMemberPath(callee);
+                if (!calleePath) {
+                    return;
+                }
+
+                const { isTitan, resolvedPath } = checkTitanCallee(calleePath, context, callee);
+                if (!isTitan) {
+                    return;
+                }
+
+                const reason = getDeprecation(resolvedPath, context);
+                if (reason === null) {
+                    return;
+                }
+
+                context.report({
+                    node,
+                    messageId: reason ? 'deprecatedWithReason' : 'deprecated',
+                    data: { method: calleePath, reason }
+                });
+            }
+        };
+    }
+};
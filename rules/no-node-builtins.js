@@ -1,4 +1,6 @@
 import { TITAN_ALTERNATIVES } from "../constants/titan-alternatives.js";
+import { getTitanSettings } from "../utils/settings.js";
+import { isApiAvailable } from "../utils/titan-version.js";
 
 export const noNodeBuiltins = {
     meta: {
@@ -10,7 +12,8 @@ export const noNodeBuiltins = {
         schema: [],
         messages: {
             notAvailable: '"{{name}}" is not available in TitanPL. {{suggestion}}',
-            notAvailableNoAlt: '"{{name}}" is not available in TitanPL and has no direct alternative in Titan.'
+            notAvailableNoAlt: '"{{name}}" is not available in TitanPL and has no direct alternative in Titan.',
+            notAvailableInVersion: '"{{name}}" is not available in TitanPL. {{alternative}} requires a newer Titan than {{version}}.'
         }
     },
     create(context) {
@@ -22,6 +25,23 @@ export const noNodeBuiltins = {
             'tls', 'tty', 'url', 'util', 'v8', 'vm', 'worker_threads', 'zlib'
         ]);
 
+        const { version, releases } = getTitanSettings(context);
+
+        /**
+         * Alternative that the targeted runtime version does not have yet
+         * @param {string} moduleName
+         * @returns {string | null}
+         */
+        function getMissingAlternative(moduleName) {
+            const titanAlt = TITAN_ALTERNATIVES[moduleName];
+
+            if (!version || !titanAlt || !titanAlt.alternative) {
+                return null;
+            }
+
+            return isApiAvailable(titanAlt.alternative, version, releases) ? null : titanAlt.alternative;
+        }
+
         function getSuggestion(moduleName) {
             const titanAlt = TITAN_ALTERNATIVES[moduleName];
 
@@ -44,9 +64,20 @@ export const noNodeBuiltins = {
             const moduleName = source.replace(/^node:/, '');
 
             if (source.startsWith('node:') || NODE_MODULES.has(moduleName)) {
-                const suggestion = getSuggestion(moduleName);
+                const missingAlternative = getMissingAlternative(moduleName);
+                const suggestion = missingAlternative ? null : getSuggestion(moduleName);
 
-                if (suggestion) {
+                if (missingAlternative) {
+                    context.report({
+                        node,
+                        messageId: 'notAvailableInVersion',
+                        data: {
+                            name: source,
+                            alternative: missingAlternative,
+                            version
+                        }
+                    });
+                } else if (suggestion) {
                     context.report({
                         node,
                         messageId: 'notAvailable',
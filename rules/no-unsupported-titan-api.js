@@ -0,0 +1,133 @@
+import { buildMemberPath, toCanonicalTitanPath } from '../utils/ast-helpers.js';
+import { checkTitanCallee, getTitanCall } from '../utils/async-detector/index.js';
+import { getTitanSettings } from '../utils/settings.js';
+import {
+    getCoreManifest,
+    getMethodHistory,
+    isAsyncReturnType,
+    compareVersions
+} from '../utils/titan-version.js';
+
+/**
+ * ESLint rule: no-unsupported-titan-api
+ * Checks core Titan calls against the runtime targeted by settings.titanpl.version,
+ * using the release history in settings.titanpl.releases.
+ * Does nothing when no version is set.
+ *
+ * With settings: { titanpl: { version: '1.0.0', releases: [
+ *     { version: '1.0.0', methods: { 't.core.fs.exists': 'boolean' } },
+ *     { version: '1.1.0', methods: { 't.core.fs.exists': 'Promise<boolean>', 't.core.ls.get': 'string' } }
+ * ] } }
+ * ✗ t.core.ls.get('key')         (added in 1.1.0)
+ * ✗ t.core.fs.exists('a.txt')    sync in 1.0.0, async from 1.1.0
+ * ✓ t.core.fs.readFile('a.txt')  (not listed in any release)
+ */
+export const noUnsupportedTitanApi = {
+    meta: {
+        type: 'problem',
+        docs: {
+            description: 'Disallow core Titan methods that are missing or behave differently in the targeted Titan version',
+            recommended: false
+        },
+        schema: [],
+        messages: {
+            notInVersion: '"{{method}}" is not available in Titan {{version}}. It was added in {{since}}.',
+            removedInVersion: '"{{method}}" is not available in Titan {{version}}. It was removed in {{since}}.',
+            asyncChanged: '"{{method}}" is {{kind}} in Titan {{version}} but {{latestKind}} since {{since}}. Make sure its drift() usage matches the targeted version.'
+        }
+    },
+
+    create(context) {
+        const { version, releases, globals } = getTitanSettings(context);
+
+        if (!version || releases.length === 0) {
+            return {};
+        }
+
+        const targetMethods = getCoreManifest(version, releases).methods;
+        const latestMethods = getCoreManifest(null, releases).methods;
+
+        return {
+            CallExpression(node) {
+                const { callee } = getTitanCall(node, context);
+                const calleePath = buildMemberPath(callee);
+                if (!calleePath) {
+                    return;
+                }
+
+                const { isTitan, resolvedPath } = checkTitanCallee(calleePath, context, callee);
+                if (!isTitan) {
+                    return;
+                }
+
+                // Only core methods listed in a release are versioned; extensions are left alone
+                const corePath = toCanonicalTitanPath(resolvedPath, globals);
+                const history = getMethodHistory(corePath, releases);
+                if (history.length === 0) {
+                    return;
+                }
+
+                const returnType = targetMethods[corePath];
+
+                if (returnType === undefined) {
+                    reportMissing(node, calleePath, history);
+                    return;
+                }
+
+                const latestType = latestMethods[corePath];
+                if (latestType === undefined || isAsyncReturnType(latestType) === isAsyncReturnType(returnType)) {
+                    return;
+                }
+
+                const change = history.find(revision =>
+                    compareVersions(revision.version, version) > 0
+                    && revision.returnType !== null
+                    && isAsyncReturnType(revision.returnType) !== isAsyncReturnType(returnType)
+                );
+
+                context.report({
+                    node,
+                    messageId: 'asyncChanged',
+                    data: {
+                        method: calleePath,
+                        version,
+                        kind: isAsyncReturnType(returnType) ? 'async' : 'sync',
+                        latestKind: isAsyncReturnType(latestType) ? 'async' : 'sync',
+                        since: change ? change.version : 'a later version'
+                    }
+                });
+            }
+        };
+
+        /**
+         * Report a core method the targeted version does not have
+         * @param {Object} node - CallExpression
+         * @param {string} method - Callee as written
+         * @param {import('../utils/titan-version.js').MethodRevision[]} history
+         */
+        function reportMissing(node, method, history) {
+            const removal = history.filter(revision =>
+                revision.returnType === null && compareVersions(revision.version, version) <= 0
+            ).pop();
+
+            if (removal) {
+                context.report({
+                    node,
+                    messageId: 'removedInVersion',
+                    data: { method, version, since: removal.version }
+                });
+                return;
+            }
+
+            const addition = history.find(revision =>
+                revision.returnType !== null && compareVersions(revision.version, version) > 0
+            );
+
+            context.report({
+                node,
+                messageId: 'notInVersion',
+                data: { method, version, since: addition ? addition.version : 'a later version' }
+            });
+        }
+    }
+};
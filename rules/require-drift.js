@@ -1,5 +1,5 @@
 import { buildMemberPath, isDriftCall } from '../utils/ast-helpers.js';
-import { isAsyncMethod } from '../utils/async-detector/index.js';
+import { getTitanCall, isAsyncMethod } from '../utils/async-detector/index.js';
 
 /**
  * ESLint rule: require-drift
@@ -7,6 +7,7 @@ import { isAsyncMethod } from '../utils/async-detector/index.js';
  * 
  * ✓ drift(t.fetch('/api/data'))
  * ✗ t.fetch('/api/data')
+ * ✗ t.fetch?.('/api/data'), t.fetch.call(null, '/api/data'), (0, t.fetch)('/api/data')
  */
 export const requireDrift = {
     meta: {
@@ -25,16 +26,17 @@ export const requireDrift = {
         return {
             CallExpression(node) {
                 // Skip if this is the drift() call itself
-                if (isDriftCall(node)) {
+                if (isDriftCall(node, context)) {
                     return;
                 }
 
                 // Skip if already wrapped in drift()
-                if (isWrappedInDrift(node)) {
+                if (isWrappedInDrift(node, context)) {
                     return;
                 }
 
-                const methodPath = buildMemberPath(node.callee);
+                // t.fetch?.(url), t.fetch.call(null, url), (0, t.fetch)(url) → t.fetch
+                const methodPath = buildMemberPath(getTitanCall(node, context).callee);
 
                 if (!methodPath) {
                     return;
@@ -59,17 +61,20 @@ export const requireDrift = {
  * Check if the call is already wrapped inside drift()
  * Pattern: drift(t.fetch('/api')) where t.fetch('/api') is the argument
  * @param {Object} node - AST CallExpression node
+ * @param {Object} context - ESLint rule context
  * @returns {boolean}
  */
-function isWrappedInDrift(node) {
-    const parent = node.parent;
+function isWrappedInDrift(node, context) {
+    // drift(t.fetch?.(url)): the call is inside an optional chain
+    const argument = node.parent && node.parent.type === 'ChainExpression' ? node.parent : node;
+    const parent = argument.parent;
 
     if (!parent || parent.type !== 'CallExpression') {
         return false;
     }
 
     // Check if parent is drift() and this node is its argument
-    if (isDriftCall(parent) && parent.arguments.includes(node)) {
+    if (isDriftCall(parent, context) && parent.arguments.includes(argument)) {
         return true;
     }
 
@@ -3,7 +3,7 @@ import assert from 'node:assert';
 import { Linter } from 'eslint';
 import { driftOnlyTitanAsync } from '../rules/drift-only-titan-async.js';
 import { clearAllCaches } from '../utils/async-detector/index.js';
-import { createTestProject } from './helpers/test-project.js';
+import { createTestProject, HELPER_IMPORTS } from './helpers/test-project.js';
 
 // =============================================================================
 // SETUP
@@ -29,15 +29,28 @@ const linterConfig = {
 };
 
 /**
- * Lint a single code string using the real rule, with filename pointing to
- * the temp project so the dts-file-checker finds the .d.ts files.
+ * Lint a code string on its own (no helper imports) using the real rule,
+ * with filename pointing to the temp project so the dts-file-checker finds
+ * the .d.ts files.
  *
  * @param {string} code
+ * @param {Object} [settings] - Shared settings (settings.titanpl)
  * @returns {import('eslint').Linter.LintMessage[]}
  */
-function lint(code) {
+function lintStandalone(code, settings) {
     const linter = new Linter({ cwd: project.root });
-    return linter.verify(code, linterConfig, { filename: project.testFile });
+    const config = settings ? { ...linterConfig, settings } : linterConfig;
+    return linter.verify(code, config, { filename: project.testFile });
+}
+
+/**
+ * Lint a code string that imports every alias of the src/helpers files
+ * @param {string} code
+ * @param {Object} [settings] - Shared settings (settings.titanpl)
+ * @returns {import('eslint').Linter.LintMessage[]}
+ */
+function lint(code, settings) {
+    return lintStandalone(`${HELPER_IMPORTS} ${code}`, settings);
 }
 
 /**
@@ -651,6 +664,253 @@ describe('drift-only-titan-async (real)', () => {
             assert.strictEqual(errs.length, 1);
             assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
         });
+
+        it('should accept optional, call/apply/bind and parenthesized calls of async methods', () => {
+            const code = `
+            drift(t.fetch?.('/api'));
+            drift(t.core?.fs.readFile('/file'));
+            drift(t.fetch.call(null, '/api'));
+            drift(t.fetch.apply(null, ['/api']));
+            drift(t.fetch.bind(t)('/api'));
+            drift((0, t.fetch)('/api'));
+            const conn = drift(t.db.connect?.('db://main'));
+            drift(conn.query?.('SELECT 1'));
+        `;
+            assert.strictEqual(ruleErrors(lint(code)).length, 0);
+        });
+
+        it('should not report calls whose overloads disagree on async-ness', () => {
+            // open(path: string): Promise<number> / open(fd: number): number
+            assert.strictEqual(ruleErrors(lint(`drift(t.core.fs.open(fd)); drift(t.core.fs.open('/file'));`)).length, 0);
+
+            const errs = ruleErrors(lint(`drift(t.core.fs.open(3));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+
+        it('should check Titan methods named call, apply or bind as themselves', () => {
+            assert.strictEqual(ruleErrors(lint(`drift(t.rpc.call('users.list'));`)).length, 0);
+
+            const errs = ruleErrors(lint(`drift(t.rpc.bind(8080));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+
+        it('should honor settings.titanpl.globals and globalThis access', () => {
+            const settings = { titanpl: { globals: ['$titan'] } };
+
+            let errs = ruleErrors(lint(`drift($titan.fetch('/api')); drift(globalThis.t.fetch('/api')); drift(globalThis.$titan.core.fs.readFile('/file'));`, settings));
+            assert.strictEqual(errs.length, 0);
+
+            errs = ruleErrors(lint(`drift($titan.fetch('/api'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lint(`drift(globalThis.Titan.core.path.join('a', 'b'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+
+        it('should read the globals of the linted file, not of the previous one', () => {
+            const settings = { titanpl: { globals: ['$titan'] } };
+
+            clearAllCaches();
+            let errs = ruleErrors(lintStandalone(`$titan.drift(t.core.path.join('a'));`, settings));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+
+            errs = ruleErrors(lintStandalone(`$titan.drift(foo());`));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should reject those call forms of sync methods, and references', () => {
+            let errs = ruleErrors(lint(`drift(t.core.path.join.call(null, 'a', 'b'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+            assert.ok(errs[0].message.includes('"t.core.path.join"'));
+
+            errs = ruleErrors(lint(`drift(t.core?.fs.readFile);`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftRequiresCall');
+        });
+    });
+
+    // =========================================================================
+    // RETURNED OBJECTS: methods on values returned by Titan methods
+    // =========================================================================
+    describe('returned objects', () => {
+        it('should accept drift around async methods of returned objects', () => {
+            const code = `
+            const res = drift(t.fetch('/api'));
+            drift(res.json());
+            const conn = drift(t.db.connect('db://main'));
+            drift(conn.query('SELECT 1'));
+        `;
+            const errs = ruleErrors(lint(code));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should reject drift around sync methods of returned objects', () => {
+            const code = `
+            const cursor = t.db.cursor('SELECT 1');
+            drift(cursor.close());
+        `;
+            const errs = ruleErrors(lint(code));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+    });
+
+    // =========================================================================
+    // OVERRIDES: settings.titanpl.methods
+    // =========================================================================
+    describe('local t, Titan and drift', () => {
+        it('should not treat a local t / Titan as the runtime', () => {
+            let errs = ruleErrors(lint(`const t = createClient(); drift(t.fetch('/api'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lint(`function load(Titan) { return drift(Titan.core.path.join('a')); }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+        });
+
+        it('should not check calls of a local drift()', () => {
+            const errs = ruleErrors(lint(`const drift = value => value; drift(t.core.path.join('a', 'b')); drift();`));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should check drift called through Titan, imports and constants', () => {
+            const codes = [
+                `Titan.drift(t.core.path.join('a'));`,
+                `globalThis.drift(t.core.path.join('a'));`,
+                `const d = drift; d(t.core.path.join('a'));`,
+                `import { drift as d } from '@titanpl/core'; d(t.core.path.join('a'));`,
+                `import * as core from '@titanpl/core'; core.drift(t.core.path.join('a'));`
+            ];
+
+            for (const code of codes) {
+                const errs = ruleErrors(lintStandalone(code));
+                assert.strictEqual(errs.length, 1, code);
+                assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+            }
+        });
+
+        it('should not check drift imported from other modules or parameters', () => {
+            assert.strictEqual(ruleErrors(lintStandalone(`import { drift } from './local.js'; drift(t.core.path.join('a'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`function load(drift) { return drift(t.core.path.join('a')); }`)).length, 0);
+        });
+
+        it('should apply settings.titanpl.driftNames', () => {
+            const errs = ruleErrors(lint(`runAsync(t.core.path.join('a'));`, { titanpl: { driftNames: ['runAsync'] } }));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+    });
+
+    describe('per-file aliases', () => {
+        it('should only see aliases declared in the file or imported into it', () => {
+            // src/helpers/assignments.js declares myFetch, but nothing imports it here
+            let errs = ruleErrors(lintStandalone(`drift(myFetch('/api'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lintStandalone(`import { myFetch } from '../src/helpers/assignments.js'; drift(myFetch('/api'));`));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should resolve nested destructuring and parameter defaults', () => {
+            let errs = ruleErrors(lintStandalone(`const { core: { path: { join } } } = t; drift(join('a', 'b'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethodsAlias');
+
+            errs = ruleErrors(lintStandalone(`function handler(fs = t.core.fs) { return drift(fs.readFile('/file')); }`));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should resolve members of this, instances and factories', () => {
+            let errs = ruleErrors(lintStandalone(`class Repo { constructor() { this.db = t.db; } find(sql) { return drift(this.db.query(sql)); } }`));
+            assert.strictEqual(errs.length, 0);
+
+            // app/lib/repositories.js: class UserRepo { db = t.db; ... } export const users = new UserRepo()
+            errs = ruleErrors(lintStandalone(`import { users, createService } from './lib/repositories.js'; drift(users.db.query('x')); const svc = createService(); drift(svc.db.query('x'));`));
+            assert.strictEqual(errs.length, 0);
+
+            errs = ruleErrors(lintStandalone(`class Repo { path = t.core.path; run() { return drift(this.path.join('a', 'b')); } }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethodsAlias');
+
+            // Private fields keep their `#`
+            errs = ruleErrors(lintStandalone(`class Repo { #db = t.db; find() { return drift(this.#db.query('x')); } }`));
+            assert.strictEqual(errs.length, 0);
+
+            errs = ruleErrors(lintStandalone(`class Repo { p = t.db; #p = makePool(); find() { return drift(this.#p.query('x')); } }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+            assert.ok(errs[0].message.includes('this.#p.query'));
+            assert.ok(!errs[0].message.includes('this.p.query'));
+        });
+
+        it('should keep instances and parameters to their own function', () => {
+            let errs = ruleErrors(lintStandalone(`function a() { const db = t.db; return drift(db.query('x')); } function b() { const db = getPool(); return db.query('y'); }`));
+            assert.strictEqual(errs.length, 0);
+
+            errs = ruleErrors(lintStandalone(`const get = t.fetch; drift(get('/api')); function load(get = cache.get) { return get('key'); }`));
+            assert.strictEqual(errs.length, 0);
+
+            errs = ruleErrors(lintStandalone(`const db = t.db; function load() { const db = this.pool; return drift(db.query('x')); }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+        });
+
+        it('should only apply aliases where their variable is in scope', () => {
+            let errs = ruleErrors(lintStandalone(`const x = t.db; { const x = { query() {} }; drift(x.query('s')); } drift(x.query('s'));`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lintStandalone(`function a() { const fs = t.core.fs; return drift(fs.readFile('/a')); } function b() { const fs = { readFile() {} }; return fs.readFile('/b'); }`));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should not treat a parameter as the imported alias', () => {
+            const errs = ruleErrors(lint(`function load(fetch) { return drift(fetch('/api')); }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+        });
+
+        it('should not treat a parameter passed uncalled as the alias', () => {
+            let errs = ruleErrors(lintStandalone(`const { fetch } = t; function load(fetch) { return drift(fetch); }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lint(`function load(globalFetch) { return drift(globalFetch); }`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftOnlyForTitanAsync');
+
+            errs = ruleErrors(lint(`drift(globalFetch);`));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftRequiresCall');
+        });
+    });
+
+    describe('method overrides', () => {
+        const settings = { titanpl: { methods: { 't.core.path.*': 'async', 't.fetch': 'sync', 't.db.**': 'ignore' } } };
+
+        it('should accept drift around methods forced async', () => {
+            const errs = ruleErrors(lint(`drift(t.core.path.join('a', 'b'));`, settings));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should reject drift around methods forced sync', () => {
+            const errs = ruleErrors(lint(`drift(t.fetch('/api'));`, settings));
+            assert.strictEqual(errs.length, 1);
+            assert.strictEqual(errs[0].messageId, 'driftNotForSyncMethods');
+        });
+
+        it('should not report ignored methods', () => {
+            const errs = ruleErrors(lint(`drift(t.db.isConnected()); drift(t.db.query('SELECT 1'));`, settings));
+            assert.strictEqual(errs.length, 0);
+        });
     });
     // =========================================================================
     // VALID: Inline destructuring in the same code being linted
@@ -661,7 +921,7 @@ describe('drift-only-titan-async (real)', () => {
             const { fetch } = t;
             drift(fetch('/api'));
         `;
-            const errs = ruleErrors(lint(code));
+            const errs = ruleErrors(lintStandalone(code));
             assert.strictEqual(errs.length, 0, 'inline destructured alias should be resolved');
         });
 
@@ -670,7 +930,7 @@ describe('drift-only-titan-async (real)', () => {
             const { readFile } = t.core.fs;
             drift(readFile('/file'));
         `;
-            const errs = ruleErrors(lint(code));
+            const errs = ruleErrors(lintStandalone(code));
             assert.strictEqual(errs.length, 0, 'inline destructured alias with path should be resolved');
         });
 
@@ -679,7 +939,7 @@ describe('drift-only-titan-async (real)', () => {
             const myFetch = t.fetch;
             drift(myFetch('/api'));
         `;
-            const errs = ruleErrors(lint(code));
+            const errs = ruleErrors(lintStandalone(code));
             assert.strictEqual(errs.length, 0, 'inline simple assignment alias should be resolved');
         });
 
@@ -688,7 +948,7 @@ describe('drift-only-titan-async (real)', () => {
             const db = t.db;
             drift(db.query('SELECT 1'));
         `;
-            const errs = ruleErrors(lint(code));
+            const errs = ruleErrors(lintStandalone(code));
             assert.strictEqual(errs.length, 0, 'inline module alias should be resolved');
         });
     });
@@ -6,6 +6,10 @@
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { checkWithDtsFile, getMethodDeprecation, getMethodDeclarations, getDtsCacheEntries } from '../utils/async-detector/dts-file-checker.js';
+import { useTempProject } from './helpers/test-project.js';
 
 // Mock implementations for testing
 // In real tests, you would import from the actual files
@@ -230,6 +234,992 @@ describe('Alias Resolution', () => {
     });
 });
 
+/**
+ * Declaration parsing against real files
+ */
+describe('Declaration Parsing (real files)', () => {
+    const { detect } = useTempProject({
+        'types/multiline.d.ts': `
+declare namespace t {
+    /**
+     * Fetch a resource. Comments may contain { braces } and Promise<T>.
+     */
+    function fetch(
+        url: string,
+        options?: { headers?: Record<string, string> }
+    ): Promise<Response>;
+
+    // callback parameters used to break the signature regex
+    function subscribe(topic: string, cb: (msg: Message) => void): void;
+    function withCallback(cb: (err: Error | null, data?: string) => Promise<void>): string;
+}
+`,
+        'types/deep.d.ts': `
+declare namespace t {
+    namespace ext {
+        namespace storage {
+            namespace blob {
+                namespace v2 {
+                    function upload(data: string): Promise<string>;
+                    function url(id: string): string;
+                }
+            }
+        }
+    }
+}
+`,
+        'types/interfaces.d.ts': `
+declare namespace TitanExt {
+    namespace Inner {
+        interface Queue {
+            push(job: string): Promise<void>
+            size(): number
+            handler: (job: string) => Promise<boolean>
+        }
+    }
+}
+
+interface ExtRuntime {
+    queue: TitanExt.Inner.Queue;
+    version(): string;
+}
+
+declare global {
+    namespace t {
+        const ext2: ExtRuntime;
+    }
+}
+`
+    });
+
+    it('should detect multi-line signatures', () => {
+        assert.strictEqual(detect('t.fetch').isAsync, true);
+    });
+
+    it('should not let callback parameters leak into the return type', () => {
+        assert.strictEqual(detect('t.subscribe').isAsync, false);
+        assert.strictEqual(detect('t.withCallback').isAsync, false);
+        assert.strictEqual(detect('t.withCallback').returnType, 'string');
+    });
+
+    it('should detect methods in namespaces nested more than three levels deep', () => {
+        assert.strictEqual(detect('t.ext.storage.blob.v2.upload').isAsync, true);
+        assert.strictEqual(detect('t.ext.storage.blob.v2.url').isAsync, false);
+    });
+
+    it('should resolve interfaces referenced from namespace members', () => {
+        assert.strictEqual(detect('t.ext2.queue.push').isAsync, true);
+        assert.strictEqual(detect('t.ext2.queue.size').isAsync, false);
+        assert.strictEqual(detect('t.ext2.version').isAsync, false);
+    });
+
+    it('should treat function-typed properties as methods', () => {
+        assert.strictEqual(detect('t.ext2.queue.handler').isAsync, true);
+    });
+});
+
+/**
+ * Return type classification: aliases, thenables and configured names
+ */
+describe('Async Return Types (real files)', () => {
+    /**
+     * @param {string} path
+     * @param {Object} [settings] - settings.titanpl
+     */
+    function detect(path, settings) {
+        return fixture.detect(path, { settings: settings ? { titanpl: settings } : {} });
+    }
+
+    const fixture = useTempProject({
+        // Aliases live in a different file than the methods that use them
+        'types/aliases.d.ts': `
+type AsyncResult<T> = Promise<T>;
+type Wrap<T> = T;
+type Branded<T> = Promise<T> & { readonly __brand: 'titan' };
+type Chained<T> = AsyncResult<T>;
+
+interface Job<T> {
+    then(onFulfilled: (value: T) => void): void;
+}
+
+declare namespace TitanCore {
+    type Result<T> = Promise<T>;
+}
+`,
+        'types/runtime.d.ts': `
+declare namespace t {
+    namespace rt {
+        function like(): PromiseLike<string>;
+        function thenable(): Thenable<string>;
+        function aliased(): AsyncResult<string>;
+        function chained(): Chained<number>;
+        function wrappedAsync(): Wrap<Promise<string>>;
+        function wrappedSync(): Wrap<string>;
+        function branded(): Branded<string>;
+        function job(): Job<string>;
+        function qualified(): TitanCore.Result<string>;
+        function maybe(): Promise<string> | undefined;
+        function mixed(): string | Promise<string>;
+        function drift(): Drift<string>;
+        function plain(): string;
+    }
+}
+`
+    });
+
+    const asyncPaths = [
+        't.rt.like',
+        't.rt.thenable',
+        't.rt.aliased',
+        't.rt.chained',
+        't.rt.wrappedAsync',
+        't.rt.branded',
+        't.rt.job',
+        't.rt.qualified',
+        't.rt.maybe',
+    ];
+    for (const path of asyncPaths) {
+        it(`should detect ${path} as async`, () => {
+            assert.strictEqual(detect(path).isAsync, true);
+        });
+    }
+
+    const syncPaths = ['t.rt.wrappedSync', 't.rt.mixed', 't.rt.plain', 't.rt.drift'];
+    for (const path of syncPaths) {
+        it(`should detect ${path} as sync`, () => {
+            assert.strictEqual(detect(path).isAsync, false);
+        });
+    }
+
+    it('should keep the declared return type text', () => {
+        assert.strictEqual(detect('t.rt.aliased').returnType, 'AsyncResult<string>');
+    });
+
+    it('should honor settings.titanpl.asyncReturnTypes', () => {
+        assert.strictEqual(detect('t.rt.drift', { asyncReturnTypes: ['Drift'] }).isAsync, true);
+        assert.strictEqual(detect('t.rt.plain', { asyncReturnTypes: ['Drift'] }).isAsync, false);
+    });
+});
+
+/**
+ * Declaration merging and interface inheritance
+ */
+describe('Declaration Merging and Inheritance (real files)', () => {
+    const { detect } = useTempProject({
+        'node_modules/titan-runtime/package.json': JSON.stringify({ name: 'titan-runtime', types: 'index.d.ts' }),
+        'node_modules/titan-runtime/index.d.ts': `
+declare namespace TitanCore {
+    interface Base {
+        version(): string;
+        ready(): Promise<void>;
+    }
+    interface Storage extends Base {
+        get(key: string): Promise<string>;
+    }
+}
+
+declare global {
+    interface TitanRuntimeUtils extends TitanCore.Base {
+        fetch(url: string): Promise<Response>;
+    }
+    const t: TitanRuntimeUtils;
+}
+`,
+        // A second package augments the same interface
+        'node_modules/titan-mailer/package.json': JSON.stringify({ name: 'titan-mailer', types: 'index.d.ts' }),
+        'node_modules/titan-mailer/index.d.ts': `
+declare global {
+    interface TitanRuntimeUtils {
+        mailer: TitanMailer;
+    }
+    interface TitanMailer extends TitanCore.Storage {
+        send(to: string): Promise<void>;
+        // Own member shadows the inherited async one
+        ready(): boolean;
+    }
+}
+`,
+        'types/cycle.d.ts': `
+interface CycleA extends CycleB { a(): Promise<void>; }
+interface CycleB extends CycleA { b(): string; }
+declare namespace t {
+    const cycle: CycleA;
+}
+`
+    });
+
+    it('should keep members from the declaring package', () => {
+        assert.strictEqual(detect('t.fetch').isAsync, true);
+    });
+
+    it('should merge members contributed by another package', () => {
+        assert.strictEqual(detect('t.mailer.send').isAsync, true);
+    });
+
+    it('should resolve members inherited through extends', () => {
+        assert.strictEqual(detect('t.ready').isAsync, true);
+        assert.strictEqual(detect('t.version').isAsync, false);
+    });
+
+    it('should resolve multi-level extends chains across namespaces', () => {
+        assert.strictEqual(detect('t.mailer.get').isAsync, true);
+        assert.strictEqual(detect('t.mailer.version').isAsync, false);
+    });
+
+    it('should let own members shadow inherited ones', () => {
+        assert.strictEqual(detect('t.mailer.ready').isAsync, false);
+    });
+
+    it('should survive cyclic extends clauses', () => {
+        assert.strictEqual(detect('t.cycle.a').isAsync, true);
+        assert.strictEqual(detect('t.cycle.b').isAsync, false);
+    });
+});
+
+/**
+ * Module augmentation and ambient declarations outside plain .d.ts files
+ */
+describe('Module Augmentation and Ambient Declarations (real files)', () => {
+    const { detect } = useTempProject({
+        'node_modules/titan-x/package.json': JSON.stringify({ name: 'titan-x', types: 'index.d.ts' }),
+        'node_modules/titan-x/index.d.ts': `
+export {};
+declare module 'titan-x' {
+    global {
+        namespace t {
+            namespace x {
+                function load(): Promise<string>;
+                function peek(): string;
+            }
+        }
+    }
+}
+`,
+        'node_modules/titan-y/package.json': JSON.stringify({ name: 'titan-y', types: 'index.d.ts' }),
+        'node_modules/titan-y/index.d.ts': `
+export declare namespace t {
+    namespace y {
+        function sync(): Promise<void>;
+    }
+}
+`,
+        'node_modules/titan-z/package.json': JSON.stringify({ name: 'titan-z', types: 'index.d.ts' }),
+        'node_modules/titan-z/index.d.ts': `
+declare module 'titan-z' {
+    export namespace t {
+        namespace z {
+            function run(): Promise<number>;
+        }
+    }
+}
+`,
+        // declare global inside a regular TypeScript source file
+        'src/runtime.ts': `
+import { helper } from './helper';
+
+export function local() {
+    const pattern = /[{}]/g;
+    return helper(\`\${pattern}}\`);
+}
+
+declare global {
+    namespace t {
+        namespace local {
+            function query(sql: string): Promise<string[]>;
+            function count(): number;
+        }
+    }
+}
+`,
+        // Runtime namespaces in regular .ts files are not ambient
+        'src/not-ambient.ts': `
+namespace t {
+    export function fake(): Promise<void> { return null as any; }
+}
+`,
+        'types/module.d.mts': `
+declare namespace t {
+    namespace mts {
+        function load(): Promise<void>;
+    }
+}
+`
+    });
+
+    it('should reach into declare module bodies with nested global blocks', () => {
+        assert.strictEqual(detect('t.x.load').isAsync, true);
+        assert.strictEqual(detect('t.x.peek').isAsync, false);
+    });
+
+    it('should detect export declare namespace t', () => {
+        assert.strictEqual(detect('t.y.sync').isAsync, true);
+    });
+
+    it('should detect namespaces exported from declare module blocks', () => {
+        assert.strictEqual(detect('t.z.run').isAsync, true);
+    });
+
+    it('should detect declare global blocks in regular .ts files', () => {
+        assert.strictEqual(detect('t.local.query').isAsync, true);
+        assert.strictEqual(detect('t.local.count').isAsync, false);
+    });
+
+    it('should ignore non-ambient namespaces in regular .ts files', () => {
+        assert.strictEqual(detect('t.fake').isAsync, null);
+    });
+
+    it('should parse .d.mts declaration files', () => {
+        assert.strictEqual(detect('t.mts.load').isAsync, true);
+    });
+});
+
+describe('Package Typings Resolution (real files)', () => {
+    /**
+     * @param {string} name
+     * @param {string} fn
+     */
+    function namespace(name, fn) {
+        return `declare namespace t { namespace ${name} { ${fn} } }`;
+    }
+
+    const { detect } = useTempProject({
+        // exports["."].types
+        'node_modules/titan-exports/package.json': JSON.stringify({
+            name: 'titan-exports',
+            exports: { '.': { types: './lib/types.d.ts', import: './lib/index.js' } }
+        }),
+        'node_modules/titan-exports/lib/types.d.ts': namespace('exp', 'function load(): Promise<void>;'),
+
+        // Conditional import/require entries with their own types
+        'node_modules/titan-conditional/package.json': JSON.stringify({
+            name: 'titan-conditional',
+            exports: {
+                import: { types: './esm/index.d.mts', default: './esm/index.mjs' },
+                require: { types: './cjs/index.d.cts', default: './cjs/index.cjs' }
+            }
+        }),
+        'node_modules/titan-conditional/esm/index.d.mts': namespace('cond', 'function load(): Promise<void>;'),
+
+        // Only a require condition
+        'node_modules/titan-cjs/package.json': JSON.stringify({
+            name: 'titan-cjs',
+            exports: { '.': { require: './cjs/main.js' } }
+        }),
+        'node_modules/titan-cjs/cjs/main.d.ts': namespace('cjs', 'function load(): Promise<void>;'),
+
+        // typesVersions redirect
+        'node_modules/titan-versioned/package.json': JSON.stringify({
+            name: 'titan-versioned',
+            types: 'index.d.ts',
+            typesVersions: { '>=4.2': { '*': ['ts4.2/*'] } }
+        }),
+        'node_modules/titan-versioned/index.d.ts': namespace('versioned', 'function load(): string;'),
+        'node_modules/titan-versioned/ts4.2/index.d.ts': namespace('versioned', 'function load(): Promise<string>;'),
+
+        // Typings shipped next to main
+        'node_modules/titan-main/package.json': JSON.stringify({ name: 'titan-main', main: 'build/main.js' }),
+        'node_modules/titan-main/build/main.d.ts': namespace('main', 'function load(): Promise<void>;'),
+
+        // Separate @types package without its own package.json
+        'node_modules/@types/titan-legacy/index.d.ts': namespace('legacy', 'function load(): Promise<void>;'),
+
+        // Entry that spreads its API over several files
+        'node_modules/titan-split/package.json': JSON.stringify({ name: 'titan-split', types: 'index.d.ts' }),
+        'node_modules/titan-split/index.d.ts': `
+/// <reference path="./core.d.ts" />
+export * from './sub';
+export { Queue } from './queue.js';
+`,
+        'node_modules/titan-split/core.d.ts': namespace('split', 'function core(): Promise<void>;'),
+        'node_modules/titan-split/sub.d.ts': `
+/// <reference path="./core.d.ts" />
+export * from './index';
+declare global { namespace t { namespace split { function sub(): Promise<void>; } } }
+`,
+        'node_modules/titan-split/queue.d.ts': `
+export interface Queue { push(job: string): Promise<void>; size(): number; }
+declare global { namespace t { const queue: Queue; } }
+`
+    });
+
+    it('should use the types condition of exports["."]', () => {
+        assert.strictEqual(detect('t.exp.load').isAsync, true);
+    });
+
+    it('should use types nested in import conditions', () => {
+        assert.strictEqual(detect('t.cond.load').isAsync, true);
+    });
+
+    it('should fall back to require conditions and sibling .d.ts files', () => {
+        assert.strictEqual(detect('t.cjs.load').isAsync, true);
+    });
+
+    it('should follow typesVersions mappings', () => {
+        assert.strictEqual(detect('t.versioned.load').isAsync, true);
+    });
+
+    it('should find typings next to main', () => {
+        assert.strictEqual(detect('t.main.load').isAsync, true);
+    });
+
+    it('should read @types packages without a package.json', () => {
+        assert.strictEqual(detect('t.legacy.load').isAsync, true);
+    });
+
+    it('should follow reference paths and re-exports, including cycles', () => {
+        assert.strictEqual(detect('t.split.core').isAsync, true);
+        assert.strictEqual(detect('t.split.sub').isAsync, true);
+        assert.strictEqual(detect('t.queue.push').isAsync, true);
+        assert.strictEqual(detect('t.queue.size').isAsync, false);
+    });
+});
+
+describe('Project Config Discovery (real files)', () => {
+    /**
+     * @param {string} path
+     */
+    function detect(path) {
+        const definitions = ['custom/*.d.ts', `${shared.project.root}/extra/*.d.ts`];
+        return project.detect(path, { settings: { titanpl: { definitions } } });
+    }
+
+    /**
+     * @param {string} name
+     */
+    function namespace(name) {
+        return `declare namespace t { namespace ${name} { function load(): Promise<void>; } }`;
+    }
+
+    // Company typings living outside the repository
+    const shared = useTempProject({
+        'typings/company.d.ts': namespace('company'),
+        'extra/one.d.ts': namespace('extraOne'),
+        'extra/two.d.ts': namespace('extraTwo')
+    });
+
+    const project = useTempProject(() => ({
+        'tsconfig.base.json': JSON.stringify({
+            compilerOptions: { baseUrl: '.', paths: { '@api/*': ['api-types/*'] } }
+        }),
+        'tsconfig.json': `{
+    // Comments and trailing commas are allowed
+    "extends": "./tsconfig.base.json",
+    "include": ["src", "${shared.project.root.replace(/\\/g, '/')}/typings"],
+    "exclude": ["src/legacy"],
+    "files": ["dist/generated.d.ts"],
+    "compilerOptions": {
+        "typeRoots": ["./typings"],
+        "types": ["titan-used"],
+    },
+}`,
+        'src/env.d.ts': `
+import { Mail } from '@api/mail';
+${namespace('included')}
+declare global { namespace t { const mail: Mail; } }
+`,
+        'api-types/mail.d.ts': `export interface Mail { send(): Promise<void>; }`,
+        'src/legacy/old.d.ts': namespace('excluded'),
+        'other/outside.d.ts': namespace('outside'),
+        'dist/generated.d.ts': namespace('generated'),
+        'typings/titan-used/index.d.ts': namespace('used'),
+        'typings/titan-unused/index.d.ts': namespace('unused'),
+        'node_modules/@types/titan-default/index.d.ts': namespace('defaultRoot'),
+        'custom/defs.d.ts': namespace('custom')
+    }));
+
+    it('should scan only files matched by include and not excluded', () => {
+        assert.strictEqual(detect('t.included.load').isAsync, true);
+        assert.strictEqual(detect('t.excluded.load').isAsync, null);
+        assert.strictEqual(detect('t.outside.load').isAsync, null);
+    });
+
+    it('should read files listed in tsconfig files', () => {
+        assert.strictEqual(detect('t.generated.load').isAsync, true);
+    });
+
+    it('should include typings outside the project root', () => {
+        assert.strictEqual(detect('t.company.load').isAsync, true);
+    });
+
+    it('should load type roots filtered by types', () => {
+        assert.strictEqual(detect('t.used.load').isAsync, true);
+        assert.strictEqual(detect('t.unused.load').isAsync, null);
+        assert.strictEqual(detect('t.defaultRoot.load').isAsync, null);
+    });
+
+    it('should resolve imports through paths from an extended config', () => {
+        assert.strictEqual(detect('t.mail.send').isAsync, true);
+    });
+
+    it('should load definitions from settings (relative and external globs)', () => {
+        assert.strictEqual(detect('t.custom.load').isAsync, true);
+        assert.strictEqual(detect('t.extraOne.load').isAsync, true);
+        assert.strictEqual(detect('t.extraTwo.load').isAsync, true);
+    });
+});
+
+describe('Overloads (real files)', () => {
+    /**
+     * Minimal call expression with literal-ish arguments
+     * @param {...Object} args - AST argument nodes
+     */
+    function call(...args) {
+        return { type: 'CallExpression', arguments: args };
+    }
+
+    const str = { type: 'Literal', value: 'x' };
+    const num = { type: 'Literal', value: 1 };
+    const fn = { type: 'ArrowFunctionExpression' };
+    const obj = { type: 'ObjectExpression' };
+    const unknown = { type: 'Identifier', name: 'value' };
+    const spread = { type: 'SpreadElement' };
+
+    /**
+     * @param {string} path
+     * @param {Object} [node]
+     */
+    function detect(path, node) {
+        return fixture.detect(path, {}, node).isAsync;
+    }
+
+    const fixture = useTempProject({
+        'types/overloads.d.ts': `
+type Encoding = 'utf8' | 'base64';
+interface ReadOptions { encoding: Encoding }
+
+declare namespace t {
+    namespace io {
+        function read(path: string): Promise<string>;
+        function read(path: string, cb: (err: any, data: string) => void): void;
+
+        function decode(data: string, encoding: Encoding): string;
+        function decode(data: string, options: ReadOptions): Promise<string>;
+
+        function run(...args: string[]): Promise<void>;
+        function run(id: number): void;
+
+        function open(fd: number): number;
+        function open(path: string): Promise<number>;
+    }
+    const store: Store;
+}
+
+interface Store {
+    get(key: string): Promise<string>;
+    get(key: string, fallback: string): string;
+}
+`
+    });
+
+    it('should select overloads by argument count', () => {
+        assert.strictEqual(detect('t.io.read', call(str)), true);
+        assert.strictEqual(detect('t.io.read', call(str, fn)), false);
+        assert.strictEqual(detect('t.io.read', call(str, unknown)), false);
+    });
+
+    it('should select overloads by literal argument kinds', () => {
+        assert.strictEqual(detect('t.io.decode', call(str, str)), false);
+        assert.strictEqual(detect('t.io.decode', call(str, obj)), true);
+    });
+
+    it('should handle rest parameters and spread arguments', () => {
+        assert.strictEqual(detect('t.io.run', call(str, str, str)), true);
+        assert.strictEqual(detect('t.io.run', call(num)), false);
+        // A spread fits both overloads, which disagree
+        assert.strictEqual(detect('t.io.run', call(spread)), null);
+    });
+
+    it('should keep overloads of interface methods', () => {
+        assert.strictEqual(detect('t.store.get', call(str)), true);
+        assert.strictEqual(detect('t.store.get', call(str, str)), false);
+    });
+
+    it('should treat a method as async when any overload is and the call is unknown', () => {
+        assert.strictEqual(detect('t.io.read'), true);
+        assert.strictEqual(detect('t.store.get'), true);
+    });
+
+    it('should leave calls undecided when the overloads they fit disagree', () => {
+        assert.strictEqual(detect('t.io.open', call(num)), false);
+        assert.strictEqual(detect('t.io.open', call(str)), true);
+        assert.strictEqual(detect('t.io.open', call(unknown)), null);
+        assert.strictEqual(detect('t.io.read', call(unknown)), true);
+    });
+
+    it('should fall back to the method when no overload accepts the call', () => {
+        assert.strictEqual(detect('t.io.read', call(str, str, str)), true);
+    });
+});
+
+describe('API Manifests (real files)', () => {
+    /**
+     * @param {string} path
+     * @param {Object} [node]
+     */
+    function detect(path, node) {
+        return fixture.detect(path, {}, node);
+    }
+
+    const fixture = useTempProject({
+        // package.json "titanpl" field, over the package's own .d.ts
+        'node_modules/titan-mail/package.json': JSON.stringify({
+            name: 'titan-mail',
+            types: 'index.d.ts',
+            titanpl: {
+                namespaces: {
+                    't.mail': {
+                        send: { async: true, returns: 'string' },
+                        count: false,
+                        sendAll: { async: true, deprecated: 'Use t.mail.send() in a loop.' },
+                        read: [{ async: true, arity: 1 }, { async: false, arity: 2 }]
+                    },
+                    'mail.invalid': { ignored: true }
+                }
+            }
+        }),
+        'node_modules/titan-mail/index.d.ts': `declare namespace t { namespace mail { function count(): Promise<number>; function peek(): Promise<string>; } }`,
+        // titan.api.json wins over the package.json field
+        'node_modules/titan-jobs/package.json': JSON.stringify({
+            name: 'titan-jobs',
+            titanpl: { namespaces: { 't.jobs': { run: false } } }
+        }),
+        'node_modules/titan-jobs/titan.api.json': JSON.stringify({
+            namespaces: { 'Titan.jobs': { run: true, stop: { deprecated: true } } }
+        }),
+        // The project's own manifest wins over packages
+        'titan.api.json': JSON.stringify({
+            namespaces: { 't.jobs': { schedule: true }, 't.mail': { count: { async: true, arity: [0, null] } } }
+        })
+    });
+
+    it('should register manifest methods under t and Titan', () => {
+        assert.deepStrictEqual(detect('t.mail.send'), { isAsync: true, source: 'manifest', returnType: 'Promise<string>' });
+        assert.strictEqual(detect('Titan.mail.send').isAsync, true);
+        assert.strictEqual(detect('t.jobs.run').isAsync, true);
+    });
+
+    it('should win over declaration files, and the project over packages', () => {
+        assert.strictEqual(detect('t.mail.count').isAsync, true);
+        assert.strictEqual(detect('t.jobs.schedule').source, 'manifest');
+        // Methods the manifest does not list keep their declaration
+        assert.deepStrictEqual(detect('t.mail.peek'), { isAsync: true, source: 'dts-file', returnType: 'Promise<string>' });
+    });
+
+    it('should prefer titan.api.json over the package.json field', () => {
+        assert.strictEqual(detect('t.jobs.run').isAsync, true);
+        assert.strictEqual(detect('t.jobs.stop').isAsync, false);
+    });
+
+    it('should tell overloads apart by arity', () => {
+        const call = (...args) => ({ type: 'CallExpression', arguments: args });
+        const literal = { type: 'Literal', value: 'x' };
+
+        assert.strictEqual(detect('t.mail.read', call(literal)).isAsync, true);
+        assert.strictEqual(detect('t.mail.read', call(literal, literal)).isAsync, false);
+    });
+
+    it('should expose deprecations', () => {
+        const context = { filename: fixture.project.testFile };
+
+        assert.strictEqual(getMethodDeprecation('t.mail.sendAll', context), 'Use t.mail.send() in a loop.');
+        assert.strictEqual(getMethodDeprecation('Titan.jobs.stop', context), '');
+        assert.strictEqual(getMethodDeprecation('t.mail.send', context), null);
+    });
+
+    it('should skip malformed entries', () => {
+        assert.strictEqual(detect('mail.invalid.ignored').isAsync, null);
+    });
+});
+
+describe('JSDoc Methods (real files)', () => {
+    const { detect } = useTempProject({
+        // CommonJS package resolved through exports
+        'node_modules/titan-mq/package.json': JSON.stringify({
+            name: 'titan-mq',
+            exports: { '.': { require: './src/main.cjs', default: './src/main.cjs' } }
+        }),
+        'node_modules/titan-mq/src/main.cjs': `module.exports = require('./publish');
+// require('./legacy');
+const usage = "require('./legacy')";
+exports.load = () => import('./lazy.js');`,
+        'node_modules/titan-mq/src/legacy.js': `/** @returns {Promise<void>} */ t.mq.legacy = function () {};`,
+        'node_modules/titan-mq/src/lazy.js': `/** @returns {Promise<void>} */ t.mq.lazy = function () {};`,
+        'node_modules/titan-mq/src/publish.js': `
+/**
+ * Publish a message
+ * @param {string} topic
+ * @returns {Promise.<{ id: string }>}
+ */
+Titan.mq.publish = function (topic) {};
+
+/** @returns {?string} */
+t.mq.lastTopic = () => null;
+
+t.mq.drain = async function () {};
+
+// t.mq.replay = async function () {};
+/* t.mq.purge = async () => {}; */
+const usage = 't.mq.retry = async function () {}';
+const example = \`/** @returns {Promise<void>} */ t.mq.ack = async () => {}\`;
+`,
+        // Declaration files win over JSDoc
+        'node_modules/titan-kv/package.json': JSON.stringify({ name: 'titan-kv', main: 'index.js' }),
+        'node_modules/titan-kv/index.js': `/** @returns {Promise<string>} */ t.kv.get = function () {};`,
+        'node_modules/titan-kv/index.d.ts': `declare namespace t { namespace kv { function get(): string; } }`
+    });
+
+    it('should read @returns types from JavaScript-only packages', () => {
+        assert.deepStrictEqual(detect('t.mq.publish'), { isAsync: true, source: 'jsdoc', returnType: 'Promise<{ id: string }>' });
+        assert.deepStrictEqual(detect('t.mq.lastTopic'), { isAsync: false, source: 'jsdoc', returnType: 'string' });
+    });
+
+    it('should treat undocumented async functions as async', () => {
+        assert.strictEqual(detect('t.mq.drain').isAsync, true);
+    });
+
+    it('should ignore assignments in comments and strings', () => {
+        for (const path of ['t.mq.replay', 't.mq.purge', 't.mq.retry', 't.mq.ack']) {
+            assert.strictEqual(detect(path).isAsync, null, path);
+        }
+    });
+
+    it('should only follow imports and require() calls of the parsed code', () => {
+        assert.strictEqual(detect('t.mq.lazy').isAsync, true);
+        assert.strictEqual(detect('t.mq.legacy').isAsync, null);
+    });
+
+    it('should prefer declaration files when a package ships them', () => {
+        assert.deepStrictEqual(detect('t.kv.get'), { isAsync: false, source: 'dts-file', returnType: 'string' });
+    });
+});
+
+describe('Baseline Manifest (real files)', () => {
+    /**
+     * @param {string} path
+     * @param {Object} [settings]
+     */
+    function detect(path, settings) {
+        return fixture.detect(path, { settings });
+    }
+
+    const fixture = useTempProject({
+        // Local typings override the baseline
+        'types/override.d.ts': `declare namespace t { namespace core { namespace time { function sleep(ms: number): void; } } }`
+    });
+
+    it('should classify core methods without any Titan typings installed', () => {
+        assert.deepStrictEqual(detect('t.fetch'), { isAsync: true, source: 'baseline', returnType: 'Promise<Response>' });
+        assert.strictEqual(detect('t.core.fs.readFile').isAsync, true);
+        assert.strictEqual(detect('t.core.session.delete').isAsync, true);
+        assert.strictEqual(detect('t.core.path.join').isAsync, false);
+    });
+
+    it('should register the baseline under Titan too', () => {
+        assert.strictEqual(detect('Titan.core.crypto.hash').isAsync, true);
+        assert.strictEqual(detect('Titan.core.crypto.uuid').isAsync, false);
+    });
+
+    it('should let scanned declarations override the baseline', () => {
+        assert.deepStrictEqual(detect('t.core.time.sleep'), { isAsync: false, source: 'dts-file', returnType: 'void' });
+    });
+
+    it('should be disabled by settings.titanpl.baseline: false', () => {
+        assert.strictEqual(detect('t.fetch', { titanpl: { baseline: false } }).isAsync, null);
+        assert.strictEqual(detect('t.core.time.sleep', { titanpl: { baseline: false } }).isAsync, false);
+    });
+
+    it('should follow settings.titanpl.version and settings.titanpl.releases', () => {
+        const releases = [
+            { version: '1.0.0', methods: { 't.core.fs.exists': 'boolean' } },
+            { version: '1.1.0', methods: { 't.core.fs.exists': 'Promise<boolean>', 't.core.session.get': 'Promise<any>' } }
+        ];
+        const v100 = { titanpl: { version: '1.0.0', releases } };
+        assert.strictEqual(detect('t.core.fs.exists', v100).isAsync, false);
+        assert.strictEqual(detect('t.core.session.get', v100).isAsync, null);
+        assert.strictEqual(detect('t.core.fs.exists', { titanpl: { version: '1.1.0', releases } }).isAsync, true);
+
+        // The built-in manifest has no version data
+        assert.strictEqual(detect('t.core.fs.exists', { titanpl: { version: '1.0.0' } }).isAsync, true);
+        assert.strictEqual(detect('t.core.session.get', { titanpl: { version: '1.0.0' } }).isAsync, true);
+    });
+
+    it('should apply to files outside any project', () => {
+        const filename = path.join(os.tmpdir(), 'titanpl-no-project', 'file.js');
+        assert.strictEqual(checkWithDtsFile('t.fetch', { filename }).source, 'baseline');
+    });
+});
+
+describe('Titan Roots (real files)', () => {
+    const { detect } = useTempProject({
+        'node_modules/titan-mq/package.json': JSON.stringify({ name: 'titan-mq', types: 'index.d.ts' }),
+        'node_modules/titan-mq/index.d.ts': `declare namespace Titan { namespace mq { function publish(topic: string): Promise<void>; function topics(): string[]; } }`,
+        'node_modules/titan-ws/package.json': JSON.stringify({ name: 'titan-ws', types: 'index.d.ts' }),
+        'node_modules/titan-ws/index.d.ts': `declare namespace t { namespace ws { function connect(url: string): Promise<void>; } }`,
+        'src/aliases.js': `export const { ws } = Titan;\nexport const { mq: queue } = t;\nexport const { publish } = Titan.mq;`
+    }, { sourceCode: { getText: () => `import { ws, queue, publish } from '../src/aliases.js';` } });
+
+    it('should cover t with declarations under Titan', () => {
+        assert.strictEqual(detect('t.mq.publish').isAsync, true);
+        assert.strictEqual(detect('t.mq.topics').isAsync, false);
+    });
+
+    it('should cover Titan with declarations under t', () => {
+        assert.strictEqual(detect('Titan.ws.connect').isAsync, true);
+    });
+
+    it('should resolve aliases across roots', () => {
+        assert.strictEqual(detect('ws.connect').isAsync, true);
+        assert.strictEqual(detect('queue.publish').isAsync, true);
+        assert.strictEqual(detect('publish').isAsync, true);
+    });
+
+    it('should store each method once', () => {
+        const paths = getDtsCacheEntries().map(([methodPath]) => methodPath);
+        assert.ok(paths.includes('t.mq.publish'));
+        assert.ok(!paths.some(methodPath => methodPath.startsWith('Titan.')));
+    });
+
+    it('should accept globalThis-qualified paths', () => {
+        assert.strictEqual(detect('globalThis.Titan.ws.connect').isAsync, true);
+        assert.strictEqual(detect('globalThis.t.mq.topics').isAsync, false);
+    });
+});
+
+describe('Configured Titan Globals (real files)', () => {
+    /**
+     * @param {string} path
+     * @param {string[]} [globals] - settings.titanpl.globals
+     */
+    function detect(path, globals = ['$titan']) {
+        return fixture.detect(path, { settings: { titanpl: { globals } } });
+    }
+
+    const fixture = useTempProject({
+        'types/runtime.d.ts': `declare namespace $titan { namespace store { function load(key: string): Promise<string>; } }`,
+        'node_modules/titan-log/package.json': JSON.stringify({ name: 'titan-log', main: 'index.js' }),
+        'node_modules/titan-log/index.js': `$titan.log.flush = async function () {};`,
+        'src/aliases.js': `export const read = globalThis.$titan.store.load;`
+    }, { sourceCode: { getText: () => `import { read } from '../src/aliases.js';` } });
+
+    it('should read declarations, JSDoc methods and aliases under the configured names', () => {
+        assert.strictEqual(detect('t.store.load').isAsync, true);
+        assert.strictEqual(detect('$titan.store.load').isAsync, true);
+        assert.strictEqual(detect('globalThis.$titan.log.flush').isAsync, true);
+        assert.strictEqual(detect('read').isAsync, true);
+    });
+
+    it('should ignore the names without the setting', () => {
+        assert.strictEqual(detect('t.store.load', []).isAsync, null);
+        assert.strictEqual(detect('read', []).isAsync, null);
+    });
+});
+
+describe('Declaration Origins (real files)', () => {
+    const fixture = useTempProject({
+        'types/runtime.d.ts': `interface TitanRuntime { fetch(url: string): Promise<Response>; } declare global { const t: TitanRuntime; }`,
+        'types/runtime-log.d.ts': `interface TitanRuntime { log(message: string): void; }`,
+        'types/log.d.ts': `declare namespace t { function log(message: string): Promise<void>; }`
+    });
+
+    it('should record the file of every declaration, interface members included', () => {
+        const declarations = getMethodDeclarations('t.log', { filename: fixture.project.testFile });
+        const files = declarations.map(declaration => path.relative(fixture.project.root, declaration.file)).sort();
+
+        assert.deepStrictEqual(files, ['types/log.d.ts', 'types/runtime-log.d.ts']);
+        assert.strictEqual(declarations.filter(declaration => declaration.active).length, 1);
+        assert.deepStrictEqual(declarations.map(declaration => declaration.isAsync).sort(), [false, true]);
+    });
+
+    it('should leave the baseline out', () => {
+        const declarations = getMethodDeclarations('t.fetch', { filename: fixture.project.testFile });
+        assert.deepStrictEqual(declarations.map(declaration => path.relative(fixture.project.root, declaration.file)), ['types/runtime.d.ts']);
+    });
+});
+
+describe('Import Graph (real files)', () => {
+    /**
+     * @param {string} path
+     * @param {string} code - Imports of the linted file
+     */
+    function detect(path, code) {
+        return fixture.detect(path, { sourceCode: { getText: () => code } });
+    }
+
+    const fixture = useTempProject({
+        'types/titan.d.ts': `declare namespace t { function fetch(url: string): Promise<Response>; function log(message: string): void; }`,
+        'lib/titan.js': `const get = t.fetch;\nexport default get;\nexport const log = t.log;\nexport * from './barrel.js';`,
+        'lib/barrel.js': `export * from './titan.js';\nexport { default as request } from './titan.js';\nexport * as more from './barrel.js';`,
+        'lib/cycle-a.js': `import { runtime } from './cycle-b.js';\nexport const load = runtime.fetch;`,
+        'lib/cycle-b.js': `import { load } from './cycle-a.js';\nexport const runtime = t;\nexport const request = load;`,
+        'lib/ts-helper.ts': `export const tsFetch = t.fetch;\nexport { log as tsLog } from './titan.js';`,
+        'lib/ts-barrel.mts': `export * from './ts-helper.js';`
+    });
+
+    it('should resolve default exports of a local name', () => {
+        assert.strictEqual(detect('get', `import get from '../lib/titan.js';`).isAsync, true);
+    });
+
+    it('should end re-export cycles', () => {
+        const code = `import { log, request, missing } from '../lib/barrel.js'; import * as all from '../lib/barrel.js';`;
+
+        assert.strictEqual(detect('request', code).isAsync, true);
+        assert.strictEqual(detect('log', code).isAsync, false);
+        assert.strictEqual(detect('all.request', code).isAsync, true);
+        assert.strictEqual(detect('missing', code).isAsync, null);
+    });
+
+    it('should resolve alias chains through import cycles', () => {
+        const code = `import { request, runtime } from '../lib/cycle-b.js';`;
+
+        assert.strictEqual(detect('request', code).isAsync, true);
+        assert.strictEqual(detect('runtime.log', code).isAsync, false);
+    });
+
+    it('should resolve imports of TypeScript sources, with or without the emitted extension', () => {
+        assert.strictEqual(detect('tsFetch', `import { tsFetch } from '../lib/ts-helper';`).isAsync, true);
+        assert.strictEqual(detect('tsFetch', `import { tsFetch } from '../lib/ts-helper.js';`).isAsync, true);
+        assert.strictEqual(detect('tsLog', `import { tsLog } from '../lib/ts-helper.ts';`).isAsync, false);
+        assert.strictEqual(detect('tsFetch', `import { tsFetch } from '../lib/ts-barrel.mjs';`).isAsync, true);
+    });
+});
+
+describe('Source Parsing (real files)', () => {
+    const { detect } = useTempProject({
+        'types/titan.d.ts': `declare namespace t { function fetch(url: string): Promise<Response>; namespace core { namespace fs { function readFile(path: string): Promise<string>; } } }`,
+        'src/aliases.js': [
+            `// export const commented = t.fetch;`,
+            `export const quoted = \`const markup = t.fetch;\`;`,
+            `export const fetch = t`,
+            `    .fetch`,
+            `export const utils = {`,
+            `    read: t.core.fs.readFile,`,
+            `    label: 'const x = t.fetch'`,
+            `};`,
+            `export const markup = <div title="t.fetch" />;`
+        ].join('\n'),
+        'src/broken.js': `export const broken = t.fetch;\nexport const = ;`
+    }, {
+        sourceCode: { getText: () => `import { fetch, utils, commented, quoted, markup } from '../src/aliases.js'; import { broken } from '../src/broken.js';` }
+    });
+
+    it('should read multi-line declarations without semicolons', () => {
+        assert.strictEqual(detect('fetch').isAsync, true);
+        assert.strictEqual(detect('utils.read').isAsync, true);
+    });
+
+    it('should ignore comments, strings and JSX', () => {
+        assert.strictEqual(detect('commented').isAsync, null);
+        assert.strictEqual(detect('quoted').isAsync, null);
+        assert.strictEqual(detect('markup').isAsync, null);
+        assert.strictEqual(detect('utils.label').isAsync, null);
+    });
+
+    it('should skip files with syntax errors', () => {
+        assert.strictEqual(detect('broken').isAsync, null);
+        assert.strictEqual(detect('t.fetch').isAsync, true);
+    });
+});
+
 /**
  * Example .d.ts content for manual testing
  */
@@ -0,0 +1,187 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseDeclarations, tokenize } from '../utils/async-detector/dts-parser.js';
+
+/**
+ * Find a top-level (or nested, by path) statement by name
+ * @param {import('../utils/async-detector/dts-parser.js').Statement[]} statements
+ * @param {...string} names
+ */
+function find(statements, ...names) {
+    let current = null;
+    let list = statements;
+    for (const name of names) {
+        current = list.find(s => s.name === name);
+        if (!current) return null;
+        list = current.body || [];
+    }
+    return current;
+}
+
+describe('dts-parser', () => {
+
+    // =========================================================================
+    // TOKENIZER
+    // =========================================================================
+    describe('tokenizer', () => {
+        it('should drop comments, including braces and Promise< inside them', () => {
+            const { tokens } = tokenize(`/* { Promise< */ a // } Promise<x>\nb`);
+            assert.deepStrictEqual(tokens.map(t => t.value), ['a', 'b']);
+            assert.strictEqual(tokens[1].nl, true);
+        });
+
+        it('should keep strings and templates as single tokens', () => {
+            const { tokens } = tokenize(`'{' "}" \`\${ '}' }\``);
+            assert.deepStrictEqual(tokens.map(t => t.type), ['string', 'string', 'template']);
+        });
+
+        it('should collect triple-slash reference directives', () => {
+            const { references } = tokenize(`/// <reference path="./core.d.ts" />\n/// <reference types="titan-ws" />`);
+            assert.deepStrictEqual(references, [
+                { kind: 'path', value: './core.d.ts' },
+                { kind: 'types', value: 'titan-ws' }
+            ]);
+        });
+    });
+
+    // =========================================================================
+    // NAMESPACES
+    // =========================================================================
+    describe('namespaces', () => {
+        it('should parse namespaces nested deeper than three levels', () => {
+            const { statements } = parseDeclarations(`
+                declare namespace t { namespace a { namespace b { namespace c {
+                    function deep(): Promise<string>;
+                } } } }
+            `);
+            const deep = find(statements, 't', 'a', 'b', 'c', 'deep');
+            assert.strictEqual(deep.kind, 'function');
+            assert.strictEqual(deep.signature.returnType.text, 'Promise<string>');
+        });
+
+        it('should expand dotted namespace names', () => {
+            const { statements } = parseDeclarations(`declare namespace t.core.fs { function read(): string; }`);
+            assert.ok(find(statements, 't', 'core', 'fs', 'read'));
+        });
+
+        it('should parse declare global and declare module blocks', () => {
+            const { statements } = parseDeclarations(`
+                declare global { const t: Runtime; }
+                declare module 'titan-x' { function x(): void; }
+            `);
+            assert.strictEqual(statements[0].kind, 'global');
+            assert.strictEqual(statements[0].body[0].declarations[0].type.text, 'Runtime');
+            assert.strictEqual(statements[1].kind, 'module');
+            assert.strictEqual(statements[1].name, 'titan-x');
+        });
+    });
+
+    // =========================================================================
+    // SIGNATURES
+    // =========================================================================
+    describe('signatures', () => {
+        it('should parse multi-line signatures', () => {
+            const { statements } = parseDeclarations(`
+                declare namespace t {
+                    function fetch(
+                        url: string,
+                        options?: { headers?: Record<string, string> }
+                    ): Promise<Response>;
+                }
+            `);
+            const fetch = find(statements, 't', 'fetch');
+            assert.strictEqual(fetch.signature.params.length, 2);
+            assert.strictEqual(fetch.signature.params[1].optional, true);
+            assert.strictEqual(fetch.signature.returnType.name, 'Promise');
+        });
+
+        it('should parse callback parameters without confusing the return type', () => {
+            const { statements } = parseDeclarations(`
+                declare namespace t {
+                    function on(event: string, cb: (x: Promise<T>) => void): void;
+                }
+            `);
+            const on = find(statements, 't', 'on');
+            assert.strictEqual(on.signature.params[1].type.kind, 'function');
+            assert.strictEqual(on.signature.returnType.text, 'void');
+        });
+
+        it('should parse members separated only by line breaks', () => {
+            const { statements } = parseDeclarations(`
+                interface Api {
+                    read(): Promise<string>
+                    write(data: string): void
+                    handler: (req: Request) => Promise<void>
+                }
+            `);
+            const members = find(statements, 'Api').members;
+            assert.deepStrictEqual(members.map(m => `${m.kind}:${m.name}`), [
+                'method:read', 'method:write', 'property:handler'
+            ]);
+        });
+
+        it('should parse generics, unions and type predicates', () => {
+            const { statements } = parseDeclarations(`
+                declare namespace t {
+                    function get<T extends object = {}>(key: string): Promise<Array<T>> | undefined;
+                    function isReady(value: unknown): value is boolean;
+                }
+            `);
+            assert.strictEqual(find(statements, 't', 'get').signature.returnType.kind, 'union');
+            assert.strictEqual(find(statements, 't', 'isReady').signature.returnType.name, 'boolean');
+        });
+    });
+
+    // =========================================================================
+    // DECLARATIONS
+    // =========================================================================
+    describe('declarations', () => {
+        it('should keep interface extends clauses', () => {
+            const { statements } = parseDeclarations(`interface A extends TitanCore.Base, B<string> { x(): void }`);
+            assert.deepStrictEqual(find(statements, 'A').extends.map(t => t.text), ['TitanCore.Base', 'B<string>']);
+        });
+
+        it('should parse type aliases and typeof types', () => {
+            const { statements } = parseDeclarations(`
+                type AsyncResult<T> = Promise<T>;
+                declare const myFetch: typeof t.fetch;
+            `);
+            const alias = find(statements, 'AsyncResult');
+            assert.deepStrictEqual(alias.typeParameters, ['T']);
+            assert.strictEqual(alias.type.name, 'Promise');
+            assert.strictEqual(statements[1].declarations[0].type.kind, 'typeof');
+            assert.strictEqual(statements[1].declarations[0].type.name, 't.fetch');
+        });
+
+        it('should parse imports and re-exports and mark the file as a module', () => {
+            const { statements, isModule } = parseDeclarations(`
+                import { Response as Res } from './types';
+                export * from './sub';
+                export { a as b } from './other';
+            `);
+            assert.strictEqual(isModule, true);
+            assert.deepStrictEqual(statements[0].specifiers, [{ imported: 'Response', local: 'Res' }]);
+            assert.strictEqual(statements[1].kind, 'exportAll');
+            assert.strictEqual(statements[2].source, './other');
+        });
+
+        it('should recover from unsupported statements', () => {
+            const { statements } = parseDeclarations(`
+                declare enum Mode { A, B }
+                declare let broken: ;
+                declare namespace t { function ok(): Promise<void>; }
+            `);
+            assert.ok(find(statements, 't', 'ok'));
+        });
+
+        it('should skip code in regular source files', () => {
+            const { statements } = parseDeclarations(`
+                const re = /[{]/g;
+                function run() { if (x) { return \`}\`; } }
+                declare global { namespace t { function ok(): Promise<void>; } }
+            `);
+            const global = statements.find(s => s.kind === 'global');
+            assert.ok(find(global.body, 't', 'ok'));
+        });
+    });
+});
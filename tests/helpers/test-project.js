@@ -20,11 +20,31 @@
  *   9. Module assignment: const db = t.db (then db.query → t.db.query)
  *  10. Export assignment: export const myFetch = t.fetch
  *  11. Object inline: const utils = { fetch: t.fetch }
+ *  12. Import graph: renamed, default and barrel exports in app/lib
+ *  13. Alias chains: const fs = core.fs where core = t.core (app/lib/layers)
+ *  14. Instances: class fields, this.x = ... and factory results (app/lib/repositories.js)
+ *
+ * Source aliases are exported, since aliases are only visible in the files
+ * that declare or import them (see HELPER_IMPORTS).
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { before, after } from 'node:test';
+import { checkWithDtsFile } from '../../utils/async-detector/dts-file-checker.js';
+import { clearAllCaches } from '../../utils/async-detector/index.js';
+
+/**
+ * Imports of every source alias of createTestProject(), for code linted
+ * as app/test.js. Kept on one line so reported lines match the code.
+ */
+export const HELPER_IMPORTS = [
+    `import { fetch, readFile, writeFile, sleep, log, pathJoin, wsConnect, dbQuery, now, uuid, ws } from '../src/helpers/destructured.js';`,
+    `import { myFetch, myHash, db, fs, myPath } from '../src/helpers/assignments.js';`,
+    `import { exportedFetch, exportedReadFile, exportedPathJoin, exportedDbQuery, exportedLog, exportedSleep } from '../src/helpers/exports.js';`,
+    `import { titanUtils, dbHelpers } from '../src/helpers/object-aliases.js';`
+].join(' ');
 
 /**
  * Create the full temp project and return paths + cleanup function
@@ -40,10 +60,13 @@ export function createTestProject() {
         'app',
         'types',
         'src/helpers',
+        'app/lib',
+        'app/lib/layers',
         'node_modules/titan-websocket',
         'node_modules/titan-database/types',
         'node_modules/titan-auth',
         'node_modules/@scope/titan-cache',
+        'node_modules/titan-queue/lib',
     ];
     for (const d of dirs) {
         fs.mkdirSync(path.join(root, d), { recursive: true });
@@ -79,6 +102,10 @@ declare namespace t {
             function readdir(path: string): Promise<string[]>;
             function stat(path: string): Promise<any>;
             function exists(path: string): Promise<boolean>;
+            function read(path: string): Promise<string>;
+            function read(path: string, callback: (err: any, data: string) => void): void;
+            function open(path: string): Promise<number>;
+            function open(fd: number): number;
         }
         namespace path {
             function join(...paths: string[]): string;
@@ -145,6 +172,13 @@ declare namespace t {
         }
     }
 }
+
+interface Response {
+    json(): Promise<any>;
+    text(): Promise<string>;
+    clone(): Response;
+    readonly ok: boolean;
+}
 `);
 
     // =========================================================================
@@ -165,6 +199,12 @@ declare namespace Titan {
             function hash(data: string): Promise<string>;
         }
     }
+
+    // Methods named like the Function.prototype helpers
+    namespace rpc {
+        function call(name: string): Promise<any>;
+        function bind(port: number): void;
+    }
 }
 `);
 
@@ -234,8 +274,26 @@ declare namespace t {
         function execute(sql: string): Promise<any>;
         function transaction(fn: Function): Promise<any>;
         function isConnected(): boolean;
+        function connect(url: string): Promise<Connection>;
+        function cursor(sql: string): Cursor;
     }
 }
+
+interface Connection {
+    query(sql: string): Promise<any[]>;
+    close(): void;
+    readonly stats: ConnectionStats;
+}
+
+interface ConnectionStats {
+    refresh(): Promise<void>;
+    count(): number;
+}
+
+interface Cursor {
+    next(): Promise<any | undefined>;
+    close(): void;
+}
 `);
 
     // =========================================================================
@@ -271,6 +329,33 @@ declare namespace t {
         function has(key: string): boolean;
     }
 }
+`);
+
+    // =========================================================================
+    // VARIANT 5e: node_modules — titan-queue (plain JS + JSDoc, no .d.ts)
+    // =========================================================================
+    write(root, 'node_modules/titan-queue/package.json', JSON.stringify({
+        name: 'titan-queue',
+        version: '1.0.0',
+        main: './lib/index.js'
+    }));
+    write(root, 'node_modules/titan-queue/lib/index.js', `
+import './queue.js';
+`);
+    write(root, 'node_modules/titan-queue/lib/queue.js', `
+/**
+ * Push a job
+ * @param {string} name
+ * @returns {Promise<string>} Job id
+ */
+t.queue.push = function (name) {
+    return t.core.net.request('queue/push', name);
+};
+
+/**
+ * @returns {number}
+ */
+t.queue.size = () => 0;
 `);
 
     // =========================================================================
@@ -278,17 +363,20 @@ declare namespace t {
     // =========================================================================
     write(root, 'src/helpers/destructured.js', `
 // Simple destructuring
-const { fetch } = t;
-const { readFile, writeFile } = t.core.fs;
-const { sleep } = t.core.time;
-const { log } = t;
+export const { fetch } = t;
+export const { readFile, writeFile } = t.core.fs;
+export const { sleep } = t.core.time;
+export const { log } = t;
 
 // Destructuring with rename
-const { join: pathJoin } = t.core.path;
-const { connect: wsConnect } = t.ws;
-const { query: dbQuery } = t.db;
-const { now } = t.core.time;
-const { uuid } = t.core.crypto;
+export const { join: pathJoin } = t.core.path;
+export const { connect: wsConnect } = t.ws;
+export const { query: dbQuery } = t.db;
+export const { now } = t.core.time;
+export const { uuid } = t.core.crypto;
+
+// Destructuring from the other root (ws is declared under t)
+export const { ws } = Titan;
 `);
 
     // =========================================================================
@@ -303,6 +391,8 @@ const myHash = t.core.crypto.hash;
 const db = t.db;
 const fs = t.core.fs;
 const myPath = t.core.path;
+
+export { myFetch, myHash, db, fs, myPath };
 `);
 
     // =========================================================================
@@ -321,8 +411,70 @@ export const exportedSleep = t.core.time.sleep;
     // VARIANT 11: Source file — object inline
     // =========================================================================
     write(root, 'src/helpers/object-aliases.js', `
-const titanUtils = { fetch: t.fetch, read: t.core.fs.readFile, join: t.core.path.join };
+export const titanUtils = { fetch: t.fetch, read: t.core.fs.readFile, join: t.core.path.join };
 export const dbHelpers = { query: t.db.query, exec: t.db.execute };
+`);
+
+    // =========================================================================
+    // VARIANT 12: Source files — aliases through the import graph
+    // =========================================================================
+    write(root, 'app/lib/titan.js', `
+export const readJson = t.core.fs.readFile;
+const join = t.core.path.join;
+export { join as joinPath };
+export default t.fetch;
+`);
+
+    write(root, 'app/lib/database.js', `
+import { query } from '../../src/helpers/destructured-db.js';
+const database = t.db;
+export { database, query as runQuery };
+`);
+
+    write(root, 'src/helpers/destructured-db.js', `
+export const { query } = t.db;
+`);
+
+    // =========================================================================
+    // VARIANT 13: Source files — aliases of aliases across modules
+    // =========================================================================
+    write(root, 'app/lib/layers/core.js', `
+export const core = t.core;
+`);
+
+    write(root, 'app/lib/layers/fs.js', `
+import { core } from './core.js';
+const fs = core.fs;
+export const { readFile: readText, exists } = fs;
+export const path = core.path;
+`);
+
+    // =========================================================================
+    // VARIANT 14: Source file — members of classes, instances and factories
+    // =========================================================================
+    write(root, 'app/lib/repositories.js', `
+import { core } from './layers/core.js';
+
+export class UserRepo {
+    db = t.db;
+    static files = core.fs;
+
+    constructor() {
+        this.path = t.core.path;
+    }
+}
+
+export const users = new UserRepo();
+
+export function createService() {
+    return { db: t.db, fetch: t.fetch };
+}
+`);
+
+    write(root, 'app/lib/index.js', `
+export * from './titan.js';
+export * as data from './database.js';
+export { default as get } from './titan.js';
 `);
 
     return {
@@ -334,6 +486,71 @@ export const dbHelpers = { query: t.db.query, exec: t.db.execute };
     };
 }
 
+/**
+ * Create a minimal temp project from a map of relative paths to contents.
+ * A root package.json and an empty app/test.js are added unless provided.
+ * @param {Record<string, string>} files
+ * @returns {{ root: string, testFile: string, cleanup: () => void }}
+ */
+export function createTempProject(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-titanpl-test-'));
+    const allFiles = {
+        'package.json': JSON.stringify({ name: 'temp-titan-project', version: '1.0.0', type: 'module' }),
+        'app/test.js': '',
+        ...files
+    };
+
+    for (const [relativePath, content] of Object.entries(allFiles)) {
+        fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+        write(root, relativePath, content);
+    }
+
+    return {
+        root,
+        testFile: path.join(root, 'app', 'test.js'),
+        cleanup() {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * @typedef {Object} TempProjectFixture
+ * @property {{ root: string, testFile: string, cleanup: () => void } | null} project - Set once the project is created
+ * @property {(methodPath: string, context?: Object, node?: Object) => Object} detect - checkWithDtsFile() from app/test.js
+ */
+
+/**
+ * Create a temp project for the tests of the current describe block (or
+ * file): written before them, removed after them, with every detection
+ * cache cleared both times. `files` may be a function when the contents
+ * depend on another fixture, e.g. its root.
+ * @param {Record<string, string> | (() => Record<string, string>)} files
+ * @param {Object} [context] - ESLint context detect() always adds (settings, sourceCode)
+ * @returns {TempProjectFixture}
+ */
+export function useTempProject(files, context = {}) {
+    /** @type {TempProjectFixture} */
+    const fixture = {
+        project: null,
+        detect(methodPath, extraContext = {}, node) {
+            return checkWithDtsFile(methodPath, { filename: fixture.project.testFile, ...context, ...extraContext }, node);
+        }
+    };
+
+    before(() => {
+        clearAllCaches();
+        fixture.project = createTempProject(typeof files === 'function' ? files() : files);
+    });
+
+    after(() => {
+        fixture.project.cleanup();
+        clearAllCaches();
+    });
+
+    return fixture;
+}
+
 // =========================================================================
 // Helpers
 // =========================================================================
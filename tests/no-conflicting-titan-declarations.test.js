@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Linter } from 'eslint';
+import { noConflictingTitanDeclarations } from '../rules/no-conflicting-titan-declarations.js';
+import { detectAsyncMethod } from '../utils/async-detector/index.js';
+import { useTempProject } from './helpers/test-project.js';
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+const fixture = useTempProject({
+    // A stale local copy of the package typings
+    'types/titan.d.ts': `declare namespace t { namespace mail { function send(to: string): void; function verify(to: string): boolean; } }`,
+    'node_modules/titan-mail/package.json': JSON.stringify({ name: 'titan-mail', types: 'index.d.ts' }),
+    'node_modules/titan-mail/index.d.ts': `declare namespace Titan { namespace mail { function send(to: string): Promise<void>; function verify(to: string): boolean; function queue(): Promise<void>; } }`,
+    'src/aliases.js': `export const { send: sendMail } = t.mail;`
+});
+
+/**
+ * Lint a single code string using the real rule
+ * @param {string} code
+ * @param {Object} [options] - Rule options
+ * @param {Object} [settings]
+ * @returns {import('eslint').Linter.LintMessage[]}
+ */
+function lint(code, options = {}, settings = {}) {
+    const linter = new Linter({ cwd: fixture.project.root });
+    return linter.verify(code, {
+        plugins: {
+            titanpl: {
+                rules: {
+                    'no-conflicting-titan-declarations': noConflictingTitanDeclarations
+                }
+            }
+        },
+        rules: {
+            'titanpl/no-conflicting-titan-declarations': ['error', options]
+        },
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module'
+        },
+        settings
+    }, { filename: fixture.project.testFile });
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('no-conflicting-titan-declarations (real)', () => {
+    it('should accept methods declared once', () => {
+        assert.deepStrictEqual(lint(`drift(t.mail.queue());`), []);
+    });
+
+    it('should report conflicting declarations naming both files', () => {
+        const messages = lint(`t.mail.send('a@b.c');`);
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'conflict');
+        assert.strictEqual(
+            messages[0].message,
+            '"t.mail.send" is declared async in node_modules/titan-mail/index.d.ts but sync in types/titan.d.ts. types/titan.d.ts is used.'
+        );
+    });
+
+    it('should report conflicts of aliased methods', () => {
+        const messages = lint(`import { sendMail } from '../src/aliases.js'; sendMail('a@b.c');`);
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'conflict');
+    });
+
+    it('should report duplicates only when enabled', () => {
+        assert.deepStrictEqual(lint(`t.mail.verify('a@b.c');`), []);
+
+        const messages = lint(`t.mail.verify('a@b.c');`, { duplicates: true });
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'duplicate');
+        assert.strictEqual(
+            messages[0].message,
+            '"t.mail.verify" is declared in both node_modules/titan-mail/index.d.ts and types/titan.d.ts.'
+        );
+    });
+
+    it('should let settings.titanpl.preferDeclarations choose the winner', () => {
+        const context = { filename: fixture.project.testFile };
+        const packages = { ...context, settings: { titanpl: { preferDeclarations: 'packages' } } };
+
+        assert.strictEqual(detectAsyncMethod('t.mail.send', context).isAsync, false);
+        assert.strictEqual(detectAsyncMethod('t.mail.send', packages).isAsync, true);
+
+        const messages = lint(`t.mail.send('a@b.c');`, {}, packages.settings);
+        assert.ok(messages[0].message.endsWith('node_modules/titan-mail/index.d.ts is used.'));
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Linter } from 'eslint';
+import { noDeprecatedTitanApi } from '../rules/no-deprecated-titan-api.js';
+import { useTempProject } from './helpers/test-project.js';
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+const fixture = useTempProject({
+    'node_modules/titan-queue/titan.api.json': JSON.stringify({
+        namespaces: {
+            't.queue': {
+                push: { async: true },
+                pushAll: { async: true, deprecated: 'Use t.queue.push() instead.' },
+                size: { deprecated: true }
+            }
+        }
+    }),
+    'src/aliases.js': `export const { pushAll } = t.queue;`
+});
+
+/**
+ * Lint a single code string using the real rule
+ * @param {string} code
+ * @returns {import('eslint').Linter.LintMessage[]}
+ */
+function lint(code) {
+    const linter = new Linter({ cwd: fixture.project.root });
+    return linter.verify(code, {
+        plugins: {
+            titanpl: {
+                rules: {
+                    'no-deprecated-titan-api': noDeprecatedTitanApi
+                }
+            }
+        },
+        rules: {
+            'titanpl/no-deprecated-titan-api': 'error'
+        },
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module'
+        }
+    }, { filename: fixture.project.testFile });
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('no-deprecated-titan-api (real)', () => {
+    it('should accept methods that are not deprecated', () => {
+        assert.deepStrictEqual(lint(`drift(t.queue.push('job')); drift(t.fetch('/api'));`), []);
+    });
+
+    it('should report deprecated methods with the manifest message', () => {
+        const messages = lint(`drift(t.queue.pushAll(['a', 'b']));`);
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'deprecatedWithReason');
+        assert.strictEqual(messages[0].message, '"t.queue.pushAll" is deprecated. Use t.queue.push() instead.');
+    });
+
+    it('should report deprecated methods without a message', () => {
+        const messages = lint(`Titan.queue.size();`);
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].message, '"Titan.queue.size" is deprecated.');
+    });
+
+    it('should report deprecated methods called through aliases', () => {
+        const messages = lint(`import { pushAll } from '../src/aliases.js'; drift(pushAll(['a']));`);
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'deprecatedWithReason');
+    });
+});
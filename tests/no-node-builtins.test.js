@@ -160,4 +160,52 @@ describe('no-node-builtins', () => {
             ]
         });
     });
-});
\ No newline at end of file
+
+    it('should respect settings.titanpl.version', () => {
+        const releases = [{
+            version: '1.2.0',
+            methods: {
+                't.core.session.get': 'Promise<any>',
+                't.core.session.set': 'Promise<void>',
+                't.core.session.delete': 'Promise<void>',
+                't.core.session.clear': 'Promise<void>'
+            }
+        }];
+
+        ruleTester.run('no-node-builtins', noNodeBuiltins, {
+            valid: [],
+            invalid: [
+                // t.core.session only exists since Titan 1.2.0 in these releases
+                {
+                    code: `import session from 'node:session'`,
+                    settings: { titanpl: { version: '1.1.0', releases } },
+                    errors: [{
+                        messageId: 'notAvailableInVersion',
+                        data: { name: 'node:session', alternative: 't.core.session', version: '1.1.0' }
+                    }]
+                },
+                {
+                    code: `import session from 'node:session'`,
+                    settings: { titanpl: { version: '1.2.0', releases } },
+                    errors: [{ messageId: 'notAvailable' }]
+                },
+                // Without releases every baseline API counts as available
+                {
+                    code: `import session from 'node:session'`,
+                    settings: { titanpl: { version: '1.1.0' } },
+                    errors: [{ messageId: 'notAvailable' }]
+                },
+                {
+                    code: `import fs from 'fs'`,
+                    settings: { titanpl: { version: '1.0.0', releases } },
+                    errors: [{ messageId: 'notAvailable' }]
+                },
+                {
+                    code: `import { spawn } from 'child_process'`,
+                    settings: { titanpl: { version: '1.0.0' } },
+                    errors: [{ messageId: 'notAvailableNoAlt' }]
+                }
+            ]
+        });
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Linter } from 'eslint';
+import { noUnsupportedTitanApi } from '../rules/no-unsupported-titan-api.js';
+import { useTempProject } from './helpers/test-project.js';
+
+// =============================================================================
+// SETUP
+// =============================================================================
+
+const fixture = useTempProject({});
+
+/**
+ * Example release history (settings.titanpl.releases)
+ */
+const RELEASES = [
+    {
+        version: '1.0.0',
+        methods: { 't.core.fs.exists': 'boolean', 't.core.net.ip': 'string' }
+    },
+    {
+        version: '1.1.0',
+        methods: {
+            't.core.fs.exists': 'Promise<boolean>',
+            't.core.cookies.get': 'string'
+        }
+    },
+    {
+        version: '1.2.0',
+        methods: {
+            'Titan.core.session.get': 'Promise<any>',
+            't.core.session.set': 'Promise<void>',
+            't.core.net.ip': null
+        }
+    }
+];
+
+/**
+ * Lint a single code string, targeting a Titan version
+ * @param {string} code
+ * @param {string} [version]
+ * @param {Object[]} [releases]
+ * @returns {import('eslint').Linter.LintMessage[]}
+ */
+function lint(code, version, releases = RELEASES) {
+    const linter = new Linter({ cwd: fixture.project.root });
+    return linter.verify(code, {
+        plugins: {
+            titanpl: {
+                rules: {
+                    'no-unsupported-titan-api': noUnsupportedTitanApi
+                }
+            }
+        },
+        rules: {
+            'titanpl/no-unsupported-titan-api': 'error'
+        },
+        settings: version ? { titanpl: { version, releases } } : { titanpl: { releases } },
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module'
+        }
+    }, { filename: fixture.project.testFile });
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('no-unsupported-titan-api (real)', () => {
+    it('should do nothing without settings.titanpl.version', () => {
+        assert.deepStrictEqual(lint(`drift(t.core.session.get('user'));`), []);
+    });
+
+    it('should do nothing without settings.titanpl.releases', () => {
+        const code = `drift(t.core.session.get('user')); t.core.fs.exists('a.txt');`;
+        assert.deepStrictEqual(lint(code, '1.0.0', []), []);
+        assert.deepStrictEqual(lint(code, '1.0.0', [{ version: '', methods: { 't.core.fs.exists': 'boolean' } }]), []);
+    });
+
+    it('should accept methods available in the targeted version', () => {
+        const code = `
+            drift(t.fetch('/api'));
+            drift(t.core.fs.readFile('a.txt'));
+            t.core.path.join('a', 'b');
+            t.core.ls.get('key');
+            drift(t.core.session.get('user'));
+        `;
+        assert.deepStrictEqual(lint(code, '1.2.0'), []);
+    });
+
+    it('should report methods added after the targeted version', () => {
+        const messages = lint(`
+            drift(t.core.session.get('user'));
+            drift(Titan.core.session.set('user', 1));
+        `, '1.1.0');
+
+        assert.strictEqual(messages.length, 2);
+        assert.ok(messages.every(m => m.messageId === 'notInVersion'));
+        assert.strictEqual(
+            messages[0].message,
+            '"t.core.session.get" is not available in Titan 1.1.0. It was added in 1.2.0.'
+        );
+        assert.ok(messages[1].message.startsWith('"Titan.core.session.set"'));
+    });
+
+    it('should accept partial versions', () => {
+        const messages = lint(`t.core.cookies.get('sid');`, '1.0');
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].message, '"t.core.cookies.get" is not available in Titan 1.0. It was added in 1.1.0.');
+        assert.deepStrictEqual(lint(`t.core.cookies.get('sid');`, '1.1'), []);
+    });
+
+    it('should report methods that changed between sync and async', () => {
+        const messages = lint(`t.core.fs.exists('a.txt');`, '1.0.0');
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'asyncChanged');
+        assert.strictEqual(
+            messages[0].message,
+            '"t.core.fs.exists" is sync in Titan 1.0.0 but async since 1.1.0. Make sure its drift() usage matches the targeted version.'
+        );
+        assert.deepStrictEqual(lint(`drift(t.core.fs.exists('a.txt'));`, '1.1.0'), []);
+    });
+
+    it('should report methods removed in or before the targeted version', () => {
+        const messages = lint(`t.core.net.ip();`, '1.2.0');
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].messageId, 'removedInVersion');
+        assert.strictEqual(messages[0].message, '"t.core.net.ip" is not available in Titan 1.2.0. It was removed in 1.2.0.');
+        assert.deepStrictEqual(lint(`t.core.net.ip();`, '1.1.0'), []);
+    });
+
+    it('should leave methods no release lists alone', () => {
+        assert.deepStrictEqual(lint(`drift(t.core.time.sleep(10)); t.core.ls.get('key');`, '1.0.0'), []);
+    });
+
+    it('should ignore extension methods and non-Titan calls', () => {
+        const code = `
+            drift(t.ws.connect('wss://example.com'));
+            drift(t.db.query('SELECT 1'));
+            console.log('done');
+        `;
+        assert.deepStrictEqual(lint(code, '1.0.0'), []);
+    });
+});
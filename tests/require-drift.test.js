@@ -2,8 +2,9 @@ import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
 import { Linter } from 'eslint';
 import { requireDrift } from '../rules/require-drift.js';
-import { clearAllCaches } from '../utils/async-detector/index.js';
-import { createTestProject } from './helpers/test-project.js';
+import { clearAllCaches, detectAsyncMethod } from '../utils/async-detector/index.js';
+import { createTestProject, HELPER_IMPORTS } from './helpers/test-project.js';
+import { createTitanplConfig } from '../index.js';
 
 // =============================================================================
 // SETUP
@@ -29,13 +30,25 @@ const linterConfig = {
 };
 
 /**
- * Lint a single code string using the real rule.
+ * Lint a code string on its own (no helper imports) using the real rule.
  * @param {string} code
+ * @param {Object} [settings] - Shared settings (settings.titanpl)
  * @returns {import('eslint').Linter.LintMessage[]}
  */
-function lint(code) {
+function lintStandalone(code, settings) {
     const linter = new Linter({ cwd: project.root });
-    return linter.verify(code, linterConfig, { filename: project.testFile });
+    const config = settings ? { ...linterConfig, settings } : linterConfig;
+    return linter.verify(code, config, { filename: project.testFile });
+}
+
+/**
+ * Lint a code string that imports every alias of the src/helpers files
+ * @param {string} code
+ * @param {Object} [settings] - Shared settings (settings.titanpl)
+ * @returns {import('eslint').Linter.LintMessage[]}
+ */
+function lint(code, settings) {
+    return lintStandalone(`${HELPER_IMPORTS} ${code}`, settings);
 }
 
 /**
@@ -669,6 +682,303 @@ describe('require-drift (real)', () => {
             const errs = ruleErrors(lint(`t.core.path.join('a', 'b').toString();`));
             assert.strictEqual(errs.length, 0);
         });
+        it('should flag async methods of objects returned through drift()', () => {
+            const code = `
+            const res = drift(t.fetch('/api'));
+            res.json();
+            res.clone();
+            const conn = drift(t.db.connect('db://main'));
+            conn.query('SELECT 1');
+            conn.stats.refresh();
+            conn.stats.count();
+        `;
+            const errs = ruleErrors(lint(code));
+            assert.strictEqual(errs.length, 3);
+            assert.ok(errs[0].message.includes('"res.json"'));
+            assert.ok(errs[1].message.includes('"conn.query"'));
+            assert.ok(errs[2].message.includes('"conn.stats.refresh"'));
+        });
+
+        it('should flag async methods of objects returned by sync methods', () => {
+            const code = `
+            const cursor = t.db.cursor('SELECT 1');
+            cursor.next();
+            drift(cursor.next());
+            cursor.close();
+        `;
+            const errs = ruleErrors(lint(code));
+            assert.strictEqual(errs.length, 1);
+        });
+
+        it('should not flag methods of unrelated or reassigned values', () => {
+            const code = `
+            const res = other();
+            res.json();
+            let conn = drift(t.db.connect('db://main'));
+            conn = somethingElse();
+            conn.query('SELECT 1');
+        `;
+            const errs = ruleErrors(lint(code));
+            assert.strictEqual(errs.length, 0);
+        });
+
+        it('should only flag the overload that returns a Promise', () => {
+            // read(path): Promise<string> / read(path, callback): void
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.read('/file');`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.read('/file', (err, data) => {});`)).length, 0);
+
+            // open(path: string): Promise<number> / open(fd: number): number
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.open('/file');`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.open(3);`)).length, 0);
+
+            // A variable fits both overloads: left undecided, not to declaration order
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.open(fd); drift(t.core.fs.open(fd));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`t.core.fs.read('/file', cb);`)).length, 0);
+        });
+
+        it('should flag async methods documented with JSDoc in JS-only packages', () => {
+            // titan-queue ships no .d.ts: @returns {Promise<string>} / @returns {number}
+            assert.strictEqual(ruleErrors(lint(`t.queue.push('email');`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`drift(t.queue.push('email'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`t.queue.size();`)).length, 0);
+        });
+
+        it('should treat t and Titan as the same runtime object', () => {
+            // titan-websocket only declares namespace t; src declares const { ws } = Titan
+            assert.strictEqual(ruleErrors(lint(`Titan.ws.connect('wss://a');`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`ws.connect('wss://a');`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`drift(ws.send('data')); ws.isConnected();`)).length, 0);
+        });
+
+        it('should ignore local variables named t, Titan or drift', () => {
+            assert.strictEqual(ruleErrors(lint(`const t = useTranslations(); t.fetch('/api'); t('title');`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`items.forEach(t => t.fetch('/api'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`import Titan from './i18n.js'; Titan.core.fs.readFile('/file');`)).length, 0);
+
+            // A local drift() is not the Titan wrapper
+            assert.strictEqual(ruleErrors(lint(`const drift = value => value; drift(t.fetch('/api'));`)).length, 1);
+
+            // The global is still checked next to a shadowing scope
+            assert.strictEqual(ruleErrors(lint(`function render(t) { return t('key'); } t.fetch('/api');`)).length, 1);
+        });
+
+        it('should resolve drift through Titan, globalThis, imports and constants', () => {
+            assert.strictEqual(ruleErrors(lint(`Titan.drift(t.fetch('/api')); t.drift(t.fetch('/api'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`globalThis.drift(t.fetch('/api'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`const d = drift; d(t.fetch('/api'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`import { drift as d } from '@titanpl/core'; d(t.fetch('/api'));`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`import * as core from '@titanpl/core'; core.drift(t.fetch('/api'));`)).length, 0);
+
+            // Same name, different binding
+            assert.strictEqual(ruleErrors(lintStandalone(`import { drift } from './local.js'; drift(t.fetch('/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`function load(drift) { return drift(t.fetch('/api')); }`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`let d = drift; d = wrap; d(t.fetch('/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`client.drift(t.fetch('/api'));`)).length, 1);
+        });
+
+        it('should apply settings.titanpl.driftNames and driftModules', () => {
+            const settings = { titanpl: { driftNames: ['runAsync'], driftModules: ['@acme/titan-runtime'] } };
+
+            assert.strictEqual(ruleErrors(lint(`runAsync(t.fetch('/api')); Titan.runAsync(t.fetch('/api'));`, settings)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`runAsync(t.fetch('/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`import { drift as d } from '@acme/titan-runtime'; d(t.fetch('/api'));`, settings)).length, 0);
+
+            // drift and @titanpl/core are always recognized
+            assert.strictEqual(ruleErrors(lintStandalone(`import { drift } from '@titanpl/core'; drift(t.fetch('/api'));`, settings)).length, 0);
+        });
+
+        it('should only see aliases declared in the file or imported into it', () => {
+            // src/helpers/assignments.js declares myFetch, but nothing imports it here
+            assert.strictEqual(ruleErrors(lintStandalone(`myFetch('/api');`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`import { myFetch } from '../src/helpers/assignments.js'; myFetch('/api');`)).length, 1);
+
+            // A parameter shadows the imported alias
+            assert.strictEqual(ruleErrors(lint(`function load(fetch) { return fetch('/api'); }`)).length, 0);
+        });
+
+        it('should only apply aliases where their variable is in scope', () => {
+            // A block variable shadows the alias, which still applies outside the block
+            assert.strictEqual(ruleErrors(lintStandalone(`const x = t.db; { const x = { query() {} }; x.query('s'); }`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`const x = t.db; { const x = { query() {} }; } x.query('s');`)).length, 1);
+
+            // Same-named aliases of neighbouring functions
+            const code = `function a() { const fs = t.core.fs; fs.readFile('/a'); } function b() { const fs = { readFile() {} }; fs.readFile('/b'); }`;
+            const messages = ruleErrors(lintStandalone(code));
+            assert.strictEqual(messages.length, 1);
+            assert.strictEqual(messages[0].column, code.indexOf(`fs.readFile('/a')`) + 1);
+
+            // A top-level variable hides a declare global alias of the same name
+            assert.strictEqual(ruleErrors(lintStandalone(`const globalFetch = wrap; globalFetch('/api');`)).length, 0);
+        });
+
+        it('should read aliases from the AST, not from comments or strings', () => {
+            assert.strictEqual(ruleErrors(lintStandalone(`// const { fetch } = t;\nfetch('/api');`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`const doc = 'const load = t.fetch;'; load('/api');`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`const {\n    fetch\n} = t\nfetch('/api')`)).length, 1);
+        });
+
+        it('should resolve nested destructuring, defaults and parameter defaults', () => {
+            assert.strictEqual(ruleErrors(lintStandalone(`const { core: { fs } } = t; fs.readFile('/file'); fs.exists('/file');`)).length, 2);
+            assert.strictEqual(ruleErrors(lintStandalone(`const { fs: { readFile: rf } } = t.core; rf('/file');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const { fetch = fallback } = t; fetch('/api');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const { log, ...rest } = t; rest.fetch('/api'); log('x');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const { core: { path: { join } } } = t; join('a', 'b');`)).length, 0);
+
+            assert.strictEqual(ruleErrors(lintStandalone(`function handler(fs = t.core.fs) { drift(fs.readFile('/file')); fs.readFile('/file'); }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const load = ({ readFile } = t.core.fs) => readFile('/file');`)).length, 1);
+
+            // A parameter without a Titan default is not the alias
+            assert.strictEqual(ruleErrors(lintStandalone(`function handler(fs = t.core.fs) {} function other(fs) { fs.readFile('/file'); }`)).length, 0);
+        });
+
+        it('should resolve chains of aliases', () => {
+            const code = `const core = t.core; const fs = core.fs; const { readFile } = fs; const read = readFile;
+                drift(readFile('/file')); read('/file'); fs.exists('/file'); core.path.join('a', 'b');`;
+            assert.strictEqual(ruleErrors(lintStandalone(code)).length, 2);
+
+            // app/lib/layers/fs.js: import { core } from './core.js'; const fs = core.fs; export const { readFile: readText } = fs
+            assert.strictEqual(ruleErrors(lintStandalone(`import { readText, path } from './lib/layers/fs.js'; readText('/file'); path.join('a', 'b');`)).length, 1);
+
+            // Cycles and chains that never reach Titan are not aliases
+            assert.strictEqual(ruleErrors(lintStandalone(`var a = b.x; var b = a.y; a.fetch('/api'); b.fetch('/api');`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`const api = client.api; api.fetch('/api');`)).length, 0);
+        });
+
+        it('should resolve members of this, instances and factories', () => {
+            const repo = `class Repo {
+                db = t.db;
+                static files = t.core.fs;
+                constructor() { this.path = t.core.path; }
+                find(sql) { return drift(this.db.query(sql)); }
+                count() { this.db.query('x'); this.path.join('a', 'b'); Repo.files.readFile('/file'); }
+                later() { setTimeout(() => this.db.query('x')); setTimeout(function () { this.db.query('x'); }); }
+            }`;
+            assert.strictEqual(ruleErrors(lintStandalone(repo)).length, 3);
+
+            assert.strictEqual(ruleErrors(lintStandalone(`class Repo { constructor() { this.db = t.db; } } const repo = new Repo(); repo.db.query('x');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`class Service { repo = new Repo(); run() { this.repo.db.query('x'); } } class Repo { db = t.db; }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`function createService() { return { db: t.db }; } const svc = createService(); svc.db.query('x');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const service = { db: t.db, run() { return this.db.query('x'); } };`)).length, 1);
+
+            // app/lib/repositories.js: export class UserRepo, export const users = new UserRepo(), export function createService()
+            const code = `import { UserRepo, users, createService } from './lib/repositories.js';
+                users.db.query('x'); users.path.join('a', 'b'); const other = new UserRepo(); other.db.query('x');
+                UserRepo.files.readFile('/file'); const svc = createService(); svc.fetch('/api');`;
+            assert.strictEqual(ruleErrors(lintStandalone(code)).length, 4);
+
+            // `this` of other classes is not the alias
+            assert.strictEqual(ruleErrors(lintStandalone(`class Repo { db = t.db; } class Other { run() { this.db.query('x'); } }`)).length, 0);
+
+            // Private fields are members of their own, apart from the public ones
+            assert.strictEqual(ruleErrors(lintStandalone(`class A { db = t.db; #db = makePool(); m() { this.#db.query('x'); } }`)).length, 0);
+            assert.strictEqual(ruleErrors(lintStandalone(`class A { #db = t.db; m() { this.#db.query('x'); } }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`class A { constructor() { this.#db = t.db; } #db; m() { this.#db.query('x'); } }`)).length, 1);
+        });
+
+        it('should keep members of this, instances and factories to their own variables', () => {
+            // A plain function's `this` is unknown, whatever the variable is called
+            assert.strictEqual(ruleErrors(lintStandalone(`const db = t.db; function load() { const db = this.pool; return db.query('x'); }`)).length, 0);
+
+            // Same-named instances and parameters of neighbouring functions
+            assert.strictEqual(ruleErrors(lintStandalone(`function a() { const db = t.db; db.query('x'); } function b() { const db = getPool(); return db.query('y'); }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`class Repo { db = t.db; } function a() { const repo = new Repo(); repo.db.query('x'); } function b() { const repo = createClient(); return repo.db.query('y'); }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const get = t.fetch; get('/api'); function load(get = cache.get) { return get('key'); }`)).length, 1);
+
+            // Classes, object literals and factories declared in different functions
+            assert.strictEqual(ruleErrors(lintStandalone(`function a() { class Repo { db = t.db; run() { return this.db.query('x'); } } } function b() { class Repo { db = pool; run() { return this.db.query('y'); } } }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`function a() { const svc = { db: t.db, run() { return this.db.query('x'); } }; } function b() { const svc = { db: makeDb(), run() { return this.db.query('y'); } }; }`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`function a() { function make() { return { db: t.db }; } make().db; const s = make(); s.db.query('x'); } function b() { function make() { return { db: pool }; } const s = make(); s.db.query('y'); }`)).length, 1);
+        });
+
+        it('should normalize optional, call/apply/bind and parenthesized callees', () => {
+            assert.strictEqual(ruleErrors(lintStandalone(`t.fetch?.('/api'); drift(t.fetch?.('/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.core?.fs.readFile('/file'); (t.core?.fs).readFile('/file'); drift(t.core?.fs.readFile('/file'));`)).length, 2);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.fetch.call(null, '/api'); drift(t.fetch.call(null, '/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.fetch.apply(null, ['/api']); drift(t.fetch.apply(null, ['/api']));`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.fetch.bind(t)('/api'); drift(t.fetch.bind(t)('/api')); const get = t.fetch.bind(t); get('/api');`)).length, 2);
+            assert.strictEqual(ruleErrors(lintStandalone(`(0, t.fetch)('/api'); drift((0, t.fetch)('/api'));`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.core.path.join?.('a', 'b'); t.core.path.join.call(null, 'a', 'b');`)).length, 0);
+
+            const messages = ruleErrors(lintStandalone(`t.fetch.call(null, '/api');`));
+            assert.strictEqual(messages[0].message, '"t.fetch" is async and must be wrapped with drift(). Use: drift(t.fetch(...))');
+        });
+
+        it('should keep Titan methods named call, apply or bind', () => {
+            const messages = ruleErrors(lintStandalone(`t.rpc.call('users.list'); drift(t.rpc.call('users.list'));`));
+            assert.strictEqual(messages.length, 1);
+            assert.strictEqual(messages[0].message, '"t.rpc.call" is async and must be wrapped with drift(). Use: drift(t.rpc.call(...))');
+
+            assert.strictEqual(ruleErrors(lintStandalone(`const rpc = t.rpc; rpc.call('users.list');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.rpc.call.call(null, 'users.list');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`t.rpc.bind(8080);`)).length, 0);
+        });
+
+        it('should honor settings.titanpl.globals and globalThis access', () => {
+            const settings = { titanpl: { globals: ['$titan'] } };
+
+            assert.strictEqual(ruleErrors(lintStandalone(`$titan.fetch('/api'); drift($titan.fetch('/api')); $titan.core.path.join('a', 'b');`, settings)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`const { fetch } = $titan; const fs = $titan.core.fs; fetch('/api'); fs.readFile('/file');`, settings)).length, 2);
+            assert.strictEqual(ruleErrors(lintStandalone(`$titan.fetch('/api');`)).length, 0);
+
+            assert.strictEqual(ruleErrors(lintStandalone(`globalThis.t.fetch('/api'); globalThis.Titan.core.fs.readFile('/file'); drift(globalThis.t.fetch('/api'));`)).length, 2);
+            assert.strictEqual(ruleErrors(lintStandalone(`const fs = globalThis.t.core.fs; fs.readFile('/file');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`globalThis.$titan.fetch('/api');`, settings)).length, 1);
+
+            const messages = ruleErrors(lintStandalone(`$titan.fetch('/api');`, settings));
+            assert.strictEqual(messages[0].message, '"$titan.fetch" is async and must be wrapped with drift(). Use: drift($titan.fetch(...))');
+        });
+
+        it('should declare the configured globals in the recommended config', () => {
+            const linter = new Linter({ cwd: project.root });
+            const messages = linter.verify(`$titan.fetch('/api'); drift($titan.core.fs.readFile('/file'));`, [createTitanplConfig({ globals: ['$titan'] })], { filename: project.testFile });
+
+            assert.deepStrictEqual(messages.map(message => message.ruleId), ['titanpl/require-drift']);
+        });
+
+        it('should follow renamed, default and re-exported aliases', () => {
+            // app/lib/titan.js: export const readJson = t.core.fs.readFile; export { join as joinPath }; export default t.fetch
+            assert.strictEqual(ruleErrors(lintStandalone(`import { readJson as rj } from './lib/titan.js'; rj('/file');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`import get from './lib/titan.js'; get('/api');`)).length, 1);
+            assert.strictEqual(ruleErrors(lintStandalone(`import { joinPath } from './lib/titan.js'; joinPath('a', 'b');`)).length, 0);
+
+            // app/lib/index.js: export * from './titan.js'; export { default as get } from './titan.js'
+            assert.strictEqual(ruleErrors(lintStandalone(`import { readJson, get } from './lib/index.js'; readJson('/file'); get('/api');`)).length, 2);
+
+            // export * as data from './database.js'; database.js re-exports an imported alias
+            const code = `import * as lib from './lib/index.js';
+                lib.readJson('/file'); lib.joinPath('a', 'b');
+                lib.data.database.query('SELECT 1'); lib.data.database.isConnected();
+                lib.data.runQuery('SELECT 1');`;
+            assert.strictEqual(ruleErrors(lintStandalone(code)).length, 3);
+        });
+
+        it('should apply settings.titanpl.methods overrides', () => {
+            const settings = {
+                titanpl: {
+                    methods: {
+                        't.core.path.join': 'async',
+                        't.cache.*': 'sync',
+                        't.cache.get': 'async',
+                        't.fetch': 'ignore'
+                    }
+                }
+            };
+
+            assert.strictEqual(ruleErrors(lint(`t.core.path.join('a', 'b');`, settings)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`t.cache.set('k', 'v'); Titan.cache.del('k');`, settings)).length, 0);
+            assert.strictEqual(ruleErrors(lint(`t.cache.get('k');`, settings)).length, 1);
+            assert.strictEqual(ruleErrors(lint(`t.fetch('/api'); fetch('/api');`, settings)).length, 0);
+        });
+
+        it('should report overrides as the detection source', () => {
+            const context = { filename: project.testFile, settings: { titanpl: { methods: { 't.auth.**': 'sync' } } } };
+
+            assert.deepStrictEqual(
+                detectAsyncMethod('t.auth.login', context),
+                { isAsync: false, source: 'override', returnType: null }
+            );
+            assert.strictEqual(detectAsyncMethod('t.auth.login', { filename: project.testFile }).source, 'dts-file');
+        });
     });
     // =========================================================================
     // INVALID: Inline destructured async aliases WITHOUT drift
@@ -679,7 +989,7 @@ describe('require-drift (real)', () => {
             const { fetch } = t;
             fetch('/api');
         `;
-            const errs = ruleErrors(lint(code));
+            const errs = ruleErrors(lintStandalone(code));
             assert.strictEqual(errs.length, 1, 'inline destructured async alias should require drift');
             assert.strictEqual(errs[0].messageId, 'requireDrift');
         });
@@ -2,11 +2,14 @@
  * AST utility functions for ESLint rules
  */
 
+import { getTitanSettings } from './settings.js';
+
 /**
  * Build the full member path from a MemberExpression
- * e.g., t.core.fs.readFile → "t.core.fs.readFile"
+ * e.g., t.core.fs.readFile → "t.core.fs.readFile", this.db.query → "this.db.query",
+ * t.core?.fs.readFile → "t.core.fs.readFile"
  * 
- * @param {Object} node - AST node (MemberExpression or Identifier)
+ * @param {Object} node - AST node (MemberExpression, Identifier, ThisExpression or ChainExpression)
  * @returns {string|null} - Full path or null if invalid
  */
 export function buildMemberPath(node) {
@@ -18,6 +21,14 @@ export function buildMemberPath(node) {
         return node.name;
     }
 
+    if (node.type === 'ThisExpression') {
+        return 'this';
+    }
+
+    if (node.type === 'ChainExpression') {
+        return buildMemberPath(node.expression);
+    }
+
     if (node.type === 'MemberExpression') {
         const objectPath = buildMemberPath(node.object);
         const propertyName = getPropertyName(node);
@@ -34,7 +45,8 @@ export function buildMemberPath(node) {
 
 /**
  * Extract property name from a MemberExpression
- * Handles both computed (obj['prop']) and non-computed (obj.prop) access
+ * Handles both computed (obj['prop']) and non-computed (obj.prop) access;
+ * private names keep their `#` (this.#db), so they never match public members
  * 
  * @param {Object} memberExpr - AST MemberExpression node
  * @returns {string|null}
@@ -51,17 +63,62 @@ export function getPropertyName(memberExpr) {
             : null;
     }
 
+    // obj.#prop
+    if (memberExpr.property.type === 'PrivateIdentifier') {
+        return `#${memberExpr.property.name}`;
+    }
+
     // obj.prop
     return memberExpr.property.name || null;
 }
 
+/**
+ * Get every name of the Titan runtime: `t`, `Titan` and the configured ones
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {string[]}
+ */
+export function getTitanGlobals(globals = []) {
+    return ['t', 'Titan', ...globals];
+}
+
 /**
  * Check if an identifier is one of the Titan globals
  * @param {string} name - Identifier name
+ * @param {string[]} [globals] - settings.titanpl.globals
  * @returns {boolean}
  */
-export function isTitanGlobal(name) {
-    return name === 't' || name === 'Titan';
+export function isTitanGlobal(name, globals = []) {
+    return name === 't' || name === 'Titan' || globals.includes(name);
+}
+
+/**
+ * Drop `globalThis.` in front of a Titan global
+ * e.g., globalThis.t.fetch → "t.fetch"
+ * @param {string} path
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {string}
+ */
+export function stripGlobalThis(path, globals = []) {
+    if (!path.startsWith('globalThis.')) return path;
+
+    const rest = path.slice('globalThis.'.length);
+    return isTitanGlobal(rest.split('.')[0], globals) ? rest : path;
+}
+
+/**
+ * Normalize a Titan path to its `t` root. `t`, `Titan` and the configured
+ * globals are the same runtime object, so `Titan.core.fs`,
+ * `globalThis.$titan.core.fs` and `t.core.fs` name one method.
+ * @param {string} path
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {string}
+ */
+export function toCanonicalTitanPath(path, globals = []) {
+    const titanPath = stripGlobalThis(path, globals);
+    const [root] = titanPath.split('.', 1);
+
+    if (root === 't' || !isTitanGlobal(root, globals)) return titanPath;
+    return `t${titanPath.slice(root.length)}`;
 }
 
 /**
@@ -88,16 +145,481 @@ export function getRootIdentifier(node) {
 }
 
 /**
- * Check if a call expression is a drift() call
+ * Get the root Identifier node of a member expression
+ * e.g., t.core.fs.readFile → the `t` Identifier
+ * 
+ * @param {Object} node - AST node
+ * @returns {Object|null}
+ */
+export function getRootNode(node) {
+    let current = node;
+    while (current && (current.type === 'MemberExpression' || current.type === 'ChainExpression')) {
+        current = current.type === 'ChainExpression' ? current.expression : current.object;
+    }
+    return current && current.type === 'Identifier' ? current : null;
+}
+
+/**
+ * Get the scope a node is evaluated in
+ * @param {Object} context - ESLint rule context
+ * @param {Object} node
+ * @returns {Object | null}
+ */
+export function getScope(context, node) {
+    const sourceCode = context.sourceCode || context.getSourceCode?.();
+    if (sourceCode && typeof sourceCode.getScope === 'function') {
+        return sourceCode.getScope(node);
+    }
+    return typeof context.getScope === 'function' ? context.getScope() : null;
+}
+
+/**
+ * Find the variable an identifier refers to
+ * @param {Object | null} scope
+ * @param {string} name
+ * @returns {Object | null}
+ */
+export function findVariable(scope, name) {
+    for (let current = scope; current; current = current.upper) {
+        const variable = current.set.get(name);
+        if (variable) return variable;
+    }
+    return null;
+}
+
+/**
+ * Check if an identifier refers to a global (configured in
+ * languageOptions.globals, a global comment, or undeclared) rather than a
+ * variable, parameter, function, class or import of the file.
+ * Without a scope manager (no context), every identifier counts as global.
+ * 
+ * @param {Object} identifier - AST Identifier node
+ * @param {Object} [context] - ESLint rule context
+ * @returns {boolean}
+ */
+export function isGlobalReference(identifier, context) {
+    if (!context) {
+        return true;
+    }
+
+    const scope = getScope(context, identifier);
+    if (!scope) {
+        return true;
+    }
+
+    const variable = findVariable(scope, identifier.name);
+    return !variable || variable.defs.length === 0;
+}
+
+/**
+ * Key of a variable in alias maps. Variables declared at the top level of a
+ * module (and globals) are keyed by their name, so they can be imported and
+ * looked up by name; variables of functions and blocks add the position of
+ * their declaration (`fs@120`), so same-named variables of other scopes
+ * never share aliases.
+ * 
+ * @param {Object} variable - ESLint scope variable
+ * @returns {string}
+ */
+export function getBindingKey(variable) {
+    const def = variable.defs[0];
+    if (!def) {
+        return variable.name;
+    }
+
+    // A class name is declared both around the class and in its own scope
+    let scope = variable.scope;
+    if (scope.type === 'class' && scope.upper && scope.block === def.node) {
+        scope = scope.upper;
+    }
+    if (scope.block.type === 'Program') {
+        return variable.name;
+    }
+
+    const start = def.name.range ? def.name.range[0] : def.name.start;
+    return `${variable.name}@${start}`;
+}
+
+/**
+ * Replace the root of a member path with the key of the variable it refers
+ * to where the node is evaluated (see getBindingKey), and a leading `this`
+ * with its owner (see resolveThisPath)
+ * e.g., db.query with `const db` in a function → "db@120.query"
+ * 
+ * @param {string | null} path
+ * @param {Object} [node] - AST node the path was built from
+ * @param {Object} [context] - ESLint rule context
+ * @returns {string | null}
+ */
+export function resolveBindingPath(path, node, context) {
+    if (!path || path === 'this' || path.startsWith('this.')) {
+        return resolveThisPath(path, node, context);
+    }
+
+    const root = node ? getRootNode(node) : null;
+    const scope = root && context && path.split('.', 1)[0] === root.name ? getScope(context, root) : null;
+    const variable = scope ? findVariable(scope, root.name) : null;
+    return variable ? `${getBindingKey(variable)}${path.slice(root.name.length)}` : path;
+}
+
+/**
+ * Check if a callee or member expression starts with `t` / `Titan` bound to
+ * a local variable (const t = useTranslations(); t.fetch()), so it is not
+ * the Titan runtime.
+ * 
+ * @param {Object} node - AST node (MemberExpression or Identifier)
+ * @param {Object} [context] - ESLint rule context
+ * @returns {boolean}
+ */
+export function isShadowedTitanRoot(node, context) {
+    const root = getRootNode(node);
+    return Boolean(root) && isTitanGlobal(root.name, getTitanSettings(context).globals) && !isGlobalReference(root, context);
+}
+
+/**
+ * Get the path `this` stands for where a node is evaluated, from its
+ * ancestors (outermost first):
+ * - class methods, fields and accessors: `Repo.prototype` (static: `Repo`)
+ * - methods of an object literal assigned to a variable: the variable
+ * Arrow functions keep the `this` of the function around them; any other
+ * function has a `this` that depends on how it is called (null).
+ * Classes and variables are named by `keyOf` (see getBindingKey).
+ * 
+ * @param {Object[]} ancestors - Ancestors of the node, outermost first
+ * @param {(identifier: Object) => string} [keyOf] - Key of a declared name
+ * @returns {string | null}
+ */
+export function getThisOwner(ancestors, keyOf = identifier => identifier.name) {
+    for (let index = ancestors.length - 1; index >= 0; index--) {
+        const node = ancestors[index];
+        const parent = ancestors[index - 1];
+
+        switch (node.type) {
+            case 'ArrowFunctionExpression':
+                continue;
+
+            case 'PropertyDefinition':
+            case 'StaticBlock':
+                return getClassMemberOwner(node, ancestors[index - 2], ancestors[index - 3], keyOf);
+
+            case 'FunctionExpression':
+                if (parent && parent.type === 'MethodDefinition') {
+                    return getClassMemberOwner(parent, ancestors[index - 3], ancestors[index - 4], keyOf);
+                }
+                if (parent && parent.type === 'Property') {
+                    return getVariableName(ancestors[index - 2], ancestors[index - 3], keyOf);
+                }
+                return null;
+
+            case 'FunctionDeclaration':
+                return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Owner of a class member: the prototype, or the class for static members
+ * @param {Object} member - MethodDefinition, PropertyDefinition or StaticBlock
+ * @param {Object} [classNode]
+ * @param {Object} [parent] - Parent of the class
+ * @param {(identifier: Object) => string} keyOf
+ * @returns {string | null}
+ */
+function getClassMemberOwner(member, classNode, parent, keyOf) {
+    const name = classNode ? getVariableName(classNode, parent, keyOf) : null;
+    if (!name) return null;
+    return member.static || member.type === 'StaticBlock' ? name : `${name}.prototype`;
+}
+
+/**
+ * Name a class, function or object literal is reachable by: the variable it
+ * initializes, its own name, or `default` when it is the default export
+ * @param {Object} node
+ * @param {Object} [parent]
+ * @param {(identifier: Object) => string} [keyOf] - Key of a declared name
+ * @returns {string | null}
+ */
+export function getVariableName(node, parent, keyOf = identifier => identifier.name) {
+    if (parent && parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+        return keyOf(parent.id);
+    }
+    if (node.id && node.id.type === 'Identifier') return keyOf(node.id);
+    return parent && parent.type === 'ExportDefaultDeclaration' ? 'default' : null;
+}
+
+/**
+ * Replace a leading `this` of a member path with its owner, keyed by the
+ * variable that declares it (see getBindingKey)
+ * e.g., this.db.query inside class Repo → "Repo.prototype.db.query"
+ * 
+ * @param {string | null} path
+ * @param {Object} [node] - AST node the path was built from
+ * @param {Object} [context] - ESLint rule context
+ * @returns {string | null} - The path unchanged when it does not start with
+ *   `this`, null when the owner of `this` is unknown
+ */
+export function resolveThisPath(path, node, context) {
+    if (!path || (path !== 'this' && !path.startsWith('this.'))) {
+        return path;
+    }
+
+    const keyOf = identifier => {
+        const scope = context ? getScope(context, identifier) : null;
+        const variable = scope ? findVariable(scope, identifier.name) : null;
+        return variable ? getBindingKey(variable) : identifier.name;
+    };
+    const owner = node ? getThisOwner(getAncestors(node, context), keyOf) : null;
+    return owner ? `${owner}${path.slice('this'.length)}` : null;
+}
+
+/**
+ * Ancestors of a node, outermost first
+ * @param {Object} node
+ * @param {Object} [context] - ESLint rule context
+ * @returns {Object[]}
+ */
+function getAncestors(node, context) {
+    const sourceCode = context && (context.sourceCode || context.getSourceCode?.());
+    if (sourceCode && typeof sourceCode.getAncestors === 'function') {
+        return sourceCode.getAncestors(node);
+    }
+
+    const ancestors = [];
+    for (let current = node.parent; current; current = current.parent) {
+        ancestors.unshift(current);
+    }
+    return ancestors;
+}
+
+/**
+ * Unwrap the expression that gives a value: optional chains
+ * (`t.fetch?.(url)`) and comma expressions (`(0, t.fetch)`)
+ * 
+ * @param {Object} node - AST node
+ * @returns {Object}
+ */
+export function unwrapExpression(node) {
+    let current = node;
+    while (current) {
+        if (current.type === 'ChainExpression') {
+            current = current.expression;
+        } else if (current.type === 'SequenceExpression') {
+            current = current.expressions[current.expressions.length - 1];
+        } else {
+            break;
+        }
+    }
+    return current;
+}
+
+/**
+ * Get the function a call invokes and the arguments it receives, through
+ * optional calls, parentheses and the Function.prototype helpers
+ * e.g., t.fetch?.(url), (0, t.fetch)(url), t.fetch.call(null, url),
+ * t.fetch.apply(null, [url]), t.fetch.bind(t)(url) → t.fetch with [url]
+ * 
+ * A `call`, `apply` or `bind` member for which `isMethod` returns true is a
+ * method of its own (t.rpc.call(name)) and is kept as the callee.
+ * 
  * @param {Object} node - AST CallExpression node
+ * @param {(member: Object) => boolean} [isMethod] - Check a `.call` / `.apply` / `.bind` member
+ * @returns {{ callee: Object | null, arguments: Object[] }}
+ */
+export function getInvokedCall(node, isMethod = () => false) {
+    const callee = unwrapExpression(node.callee);
+    if (!callee) {
+        return { callee: null, arguments: node.arguments || [] };
+    }
+
+    if (callee.type === 'MemberExpression' && !isMethod(callee)) {
+        const name = getPropertyName(callee);
+
+        if (name === 'call') {
+            return { callee: unwrapExpression(callee.object), arguments: node.arguments.slice(1) };
+        }
+        if (name === 'apply') {
+            const list = node.arguments[1];
+            return {
+                callee: unwrapExpression(callee.object),
+                arguments: !list ? []
+                    : list.type === 'ArrayExpression' ? list.elements.filter(Boolean)
+                        : [{ type: 'SpreadElement', argument: list }]
+            };
+        }
+    }
+
+    if (callee.type === 'CallExpression') {
+        const target = unwrapExpression(callee.callee);
+        if (target.type === 'MemberExpression' && getPropertyName(target) === 'bind' && !isMethod(target)) {
+            return {
+                callee: unwrapExpression(target.object),
+                arguments: [...callee.arguments.slice(1), ...node.arguments]
+            };
+        }
+    }
+
+    return { callee, arguments: node.arguments };
+}
+
+/**
+ * Check if a call expression is a drift() call. The callee can be:
+ * - the global `drift` (or a name in settings.titanpl.driftNames)
+ * - `Titan.drift`, `t.drift`, `globalThis.drift`
+ * - `drift` imported from settings.titanpl.driftModules (`@titanpl/core`),
+ *   renamed or through a namespace import
+ * - a constant bound to one of those (`const d = drift`)
+ * With a context, roots are resolved through the scope manager, so locals and
+ * parameters named `drift` are not drift; without one, the name decides.
+ * 
+ * @param {Object} node - AST CallExpression node
+ * @param {Object} [context] - ESLint rule context
  * @returns {boolean}
  */
-export function isDriftCall(node) {
+export function isDriftCall(node, context) {
     if (!node || node.type !== 'CallExpression') {
         return false;
     }
 
-    const callee = node.callee;
-    
-    return callee.type === 'Identifier' && callee.name === 'drift';
-}
\ No newline at end of file
+    const { driftNames, driftModules, globals } = getTitanSettings(context);
+    const drift = { names: driftNames, modules: driftModules, globals };
+    return isDriftReference(unwrapExpression(node.callee), context, drift, new Set());
+}
+
+/**
+ * Check if an expression evaluates to drift (see isDriftCall)
+ * @param {Object} node
+ * @param {Object | undefined} context - ESLint rule context
+ * @param {{ names: string[], modules: string[], globals: string[] }} drift - Names and modules of drift, and the configured Titan globals
+ * @param {Set<Object>} seen - Variables already followed
+ * @returns {boolean}
+ */
+function isDriftReference(node, context, drift, seen) {
+    if (!node) {
+        return false;
+    }
+
+    if (node.type === 'Identifier') {
+        const variable = context ? findVariable(getScope(context, node), node.name) : null;
+        if (!variable || variable.defs.length === 0) {
+            return drift.names.includes(node.name);
+        }
+        if (seen.has(variable) || variable.defs.length !== 1) {
+            return false;
+        }
+        seen.add(variable);
+
+        // import { drift as d } from '@titanpl/core'
+        const def = variable.defs[0];
+        if (def.type === 'ImportBinding') {
+            return isDriftImport(def, drift, 'ImportSpecifier');
+        }
+
+        // const d = drift (never reassigned)
+        const writes = variable.references.filter(reference => reference.isWrite());
+        return def.type === 'Variable' && def.node.id === def.name && Boolean(def.node.init) && writes.length <= 1
+            && isDriftReference(unwrapExpression(def.node.init), context, drift, seen);
+    }
+
+    if (node.type !== 'MemberExpression') {
+        return false;
+    }
+
+    const name = getPropertyName(node);
+    const objectPath = buildMemberPath(node.object);
+    const root = getRootNode(node.object);
+    if (!name || !drift.names.includes(name) || !objectPath || !root) {
+        return false;
+    }
+
+    // import * as core from '@titanpl/core'; core.drift(...)
+    if (objectPath === root.name && !isGlobalReference(root, context)) {
+        const variable = findVariable(getScope(context, root), root.name);
+        const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+        return Boolean(def) && def.type === 'ImportBinding' && isDriftImport(def, drift, 'ImportNamespaceSpecifier');
+    }
+
+    // Titan.drift, t.drift, globalThis.drift, globalThis.Titan.drift
+    const path = stripGlobalThis(objectPath, drift.globals);
+    return (path === 'globalThis' || isTitanGlobal(path, drift.globals)) && isGlobalReference(root, context);
+}
+
+/**
+ * Check if an import binding is drift from one of the drift modules
+ * @param {Object} def - ESLint scope definition (ImportBinding)
+ * @param {{ names: string[], modules: string[] }} drift
+ * @param {'ImportSpecifier' | 'ImportNamespaceSpecifier'} specifierType
+ * @returns {boolean}
+ */
+function isDriftImport(def, drift, specifierType) {
+    const declaration = def.parent;
+    if (!declaration || !declaration.source || !drift.modules.includes(declaration.source.value)) {
+        return false;
+    }
+
+    const specifier = def.node;
+    if (specifier.type !== specifierType) {
+        return false;
+    }
+    if (specifierType === 'ImportNamespaceSpecifier') {
+        return true;
+    }
+
+    const imported = specifier.imported.type === 'Identifier' ? specifier.imported.name : specifier.imported.value;
+    return drift.names.includes(imported);
+}
+
+/**
+ * Get the kind of value a call argument evaluates to, as far as it can be
+ * told from the syntax alone
+ * e.g., 'a' → "string", () => {} → "function", ...args → "spread", x → "unknown"
+ * 
+ * @param {Object} node - AST node of a call argument
+ * @returns {'string'|'number'|'boolean'|'bigint'|'regexp'|'null'|'undefined'|'function'|'object'|'array'|'spread'|'unknown'}
+ */
+export function getArgumentKind(node) {
+    if (!node) {
+        return 'unknown';
+    }
+
+    switch (node.type) {
+        case 'Literal':
+            if (node.regex) return 'regexp';
+            if (node.bigint !== undefined) return 'bigint';
+            if (node.value === null) return 'null';
+            return typeof node.value;
+
+        case 'TemplateLiteral':
+            return 'string';
+
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+        case 'ClassExpression':
+            return 'function';
+
+        case 'ObjectExpression':
+            return 'object';
+
+        case 'ArrayExpression':
+            return 'array';
+
+        case 'SpreadElement':
+            return 'spread';
+
+        case 'Identifier':
+            return node.name === 'undefined' ? 'undefined' : 'unknown';
+
+        case 'UnaryExpression':
+            if (node.operator === '!') return 'boolean';
+            if (node.operator === 'typeof') return 'string';
+            if (node.operator === 'void') return 'undefined';
+            if (node.operator === '-' || node.operator === '+') {
+                const kind = getArgumentKind(node.argument);
+                return kind === 'bigint' ? 'bigint' : 'number';
+            }
+            return 'unknown';
+
+        default:
+            return 'unknown';
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Titan API Manifests
+ *
+ * A declarative alternative to .d.ts files for packages that only need to
+ * tell the linter which methods they add and which of them are async.
+ * Read from `titan.api.json` next to package.json, or from the `titanpl`
+ * field of package.json (schemas/titan-api.schema.json):
+ *
+ * {
+ *     "namespaces": {
+ *         "t.queue": {
+ *             "push": { "async": true, "returns": "string", "arity": [1, 2] },
+ *             "size": false,
+ *             "pushAll": { "async": true, "deprecated": "Use t.queue.push()" },
+ *             "read": [
+ *                 { "async": true, "arity": 1 },
+ *                 { "async": false, "arity": 2 }
+ *             ]
+ *         }
+ *     }
+ * }
+ *
+ * A method is a boolean (its async flag), a method object, or a list of
+ * method objects (overloads told apart by arity).
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { isTitanGlobal } from '../ast-helpers.js';
+
+/**
+ * @typedef {Object} ManifestSignature
+ * @property {boolean} [async] - Whether calls return a Promise
+ * @property {string} [returns] - Type of the (resolved) value, TypeScript syntax
+ * @property {number | [number, number | null]} [arity] - Argument count, or [min, max] (null max: variadic)
+ * @property {boolean | string} [deprecated] - Deprecation flag or message
+ */
+
+/**
+ * @typedef {Object} ManifestMethod
+ * @property {string} path - Full method path (`t.queue.push`)
+ * @property {string[]} signatures - Declaration signatures (`(a0: any): Promise<string>`)
+ * @property {string | null} deprecated - Deprecation message ('' without one), null if not deprecated
+ */
+
+/**
+ * @typedef {Object} ApiManifestFile
+ * @property {string} file - File the manifest was read from
+ * @property {Object} manifest
+ */
+
+/**
+ * Manifest file name, looked up next to package.json
+ */
+export const API_MANIFEST_FILE = 'titan.api.json';
+
+/**
+ * @param {string} filePath
+ * @returns {any}
+ */
+function readJson(filePath) {
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read the manifest of a package or project directory.
+ * `titan.api.json` takes precedence over the package.json `titanpl` field.
+ * @param {string} directory
+ * @returns {ApiManifestFile | null}
+ */
+export function readApiManifest(directory) {
+    const manifestPath = join(directory, API_MANIFEST_FILE);
+    const manifest = readJson(manifestPath);
+    if (isObject(manifest)) {
+        return { file: manifestPath, manifest };
+    }
+
+    const packageJsonPath = join(directory, 'package.json');
+    const packageJson = readJson(packageJsonPath);
+    if (isObject(packageJson) && isObject(packageJson.titanpl)) {
+        return { file: packageJsonPath, manifest: packageJson.titanpl };
+    }
+
+    return null;
+}
+
+/**
+ * Render the parameter list for an arity
+ * @param {ManifestSignature['arity']} arity
+ * @returns {string}
+ */
+function renderParams(arity) {
+    const [min, max] = Array.isArray(arity) ? arity : [arity, arity];
+    if (!Number.isInteger(min) || min < 0) return '...args: any[]';
+
+    const params = [];
+    for (let index = 0; index < min; index++) {
+        params.push(`a${index}: any`);
+    }
+
+    if (max === null) {
+        params.push('...rest: any[]');
+    } else if (Number.isInteger(max)) {
+        for (let index = min; index < max; index++) {
+            params.push(`a${index}?: any`);
+        }
+    }
+
+    return params.join(', ');
+}
+
+/**
+ * Render a manifest signature as a declaration signature
+ * @param {ManifestSignature} signature
+ * @returns {string}
+ */
+function renderSignature(signature) {
+    const returns = typeof signature.returns === 'string' && signature.returns.trim()
+        ? signature.returns.trim()
+        : 'any';
+
+    return `(${renderParams(signature.arity)}): ${signature.async ? `Promise<${returns}>` : returns}`;
+}
+
+/**
+ * @param {ManifestSignature[]} signatures
+ * @returns {string | null}
+ */
+function getDeprecation(signatures) {
+    for (const { deprecated } of signatures) {
+        if (typeof deprecated === 'string') return deprecated;
+        if (deprecated === true) return '';
+    }
+    return null;
+}
+
+/**
+ * List the methods a manifest declares. Malformed entries are skipped.
+ * @param {Object} manifest
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {ManifestMethod[]}
+ */
+export function getManifestMethods(manifest, globals = []) {
+    const methods = [];
+    if (!isObject(manifest.namespaces)) return methods;
+
+    for (const [namespace, entries] of Object.entries(manifest.namespaces)) {
+        const isTitanNamespace = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(namespace)
+            && isTitanGlobal(namespace.split('.')[0], globals);
+        if (!isTitanNamespace || !isObject(entries)) continue;
+
+        for (const [name, entry] of Object.entries(entries)) {
+            if (!/^[A-Za-z_$][\w$]*$/.test(name)) continue;
+
+            const signatures = (Array.isArray(entry) ? entry : [entry])
+                .map(item => typeof item === 'boolean' ? { async: item } : item)
+                .filter(isObject);
+            if (signatures.length === 0) continue;
+
+            methods.push({
+                path: `${namespace}.${name}`,
+                signatures: signatures.map(renderSignature),
+                deprecated: getDeprecation(signatures)
+            });
+        }
+    }
+
+    return methods;
+}
@@ -2,11 +2,26 @@
  * DTS File Checker - Complete Version
  * 
  * Reads .d.ts files to detect Titan async methods.
+ * Declarations are parsed with a real tokenizer/parser (see dts-parser.js),
+ * so multi-line signatures, callback parameters, deep namespaces and
+ * comments are handled correctly.
  * 
  * Supports ALL declaration styles:
- * 1. declare namespace t { ... }
+ * 1. declare namespace t { ... } (nested to any depth)
  * 2. declare global { const t: TitanRuntimeUtils; interface TitanRuntimeUtils { ... } }
  * 3. Nested namespace references (TitanCore.FileSystem)
+ * 4. Typed namespace members: namespace t { const mail: TitanMail }
+ * 5. Function-typed properties: handler: (req: Request) => Promise<void>
+ * 6. Module augmentation: declare module 'titan-x' { global { namespace t { ... } } }
+ * 7. Exported namespaces: export declare namespace t { ... }
+ * 8. Ambient blocks in regular .ts files: declare global { ... }
+ * 
+ * Package typings are located and followed by typings-resolver.js
+ * (exports conditions, typesVersions, references and re-exports).
+ * JavaScript-only packages are read for JSDoc-annotated methods instead
+ * (see jsdoc-methods.js).
+ * Declarative API manifests (titan.api.json, package.json `titanpl`) are
+ * registered last and win over declarations (see api-manifest.js).
  * 
  * Alias Detection (ALL cases):
  * 1. Destructuring simple: const { fetch } = t
@@ -19,26 +34,118 @@
  * 8. Export object: export const db = { query: t.db.query }
  * 9. Object inline: const utils = { fetch: t.fetch }
  * 10. Declare global typeof: declare global { const myFetch: typeof t.fetch }
+ *
+ * Source files are read from their AST (see source-aliases.js), so
+ * aliases in comments or strings never count.
  */
 
 import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
-import { resolve, join, dirname, extname } from 'path';
+import { resolve, join, dirname, extname, relative, isAbsolute } from 'path';
+import { parseDeclarations } from './dts-parser.js';
+import {
+    getPackageDtsPath,
+    getPackageEntryPath,
+    getDeclarationDependencies,
+    isDeclarationFile,
+    resolveScriptImport
+} from './typings-resolver.js';
+import { extractJsDocMethods, getRelativeImports } from './jsdoc-methods.js';
+import { readApiManifest, getManifestMethods } from './api-manifest.js';
+import { loadProjectConfig, isIncludedFile, getExternalIncludedFiles } from './project-config.js';
+import { expandGlob } from '../glob.js';
+import { parseSource, extractModuleAliases, isTitanRootPath, EMPTY_MODULE } from './source-aliases.js';
+import {
+    buildMemberPath,
+    isTitanGlobal,
+    getArgumentKind,
+    getInvokedCall,
+    getTitanGlobals,
+    isShadowedTitanRoot,
+    resolveBindingPath,
+    toCanonicalTitanPath
+} from '../ast-helpers.js';
+import { isTitanCallee } from '../is-titan-callee.js';
+import { getTitanSettings } from '../settings.js';
+import { getCoreManifest } from '../titan-version.js';
 
 /**
  * @typedef {import('./index.js').DetectionResult} DetectionResult
+ * @typedef {import('./dts-parser.js').Statement} Statement
+ * @typedef {import('./dts-parser.js').Member} Member
+ * @typedef {import('./dts-parser.js').Signature} Signature
+ * @typedef {import('./dts-parser.js').TypeNode} TypeNode
+ */
+
+/**
+ * @typedef {Object} OverloadInfo
+ * @property {import('./dts-parser.js').Parameter[]} params - Declared parameters
+ * @property {boolean | null} isAsync - Whether this overload is async, null when the call fits overloads that disagree
+ * @property {string | null} returnType - The return type
+ * @property {TypeNode | null} returnTypeNode - Parsed return type (classified after scanning)
+ * @property {string | null} scope - Namespace the signature types are resolved from
  */
 
 /**
  * @typedef {Object} MethodInfo
- * @property {boolean} isAsync - Whether the method is async
+ * @property {boolean} isAsync - Whether the method is async (any overload when the call is unknown)
  * @property {string | null} returnType - The return type
+ * @property {TypeNode | null} [returnTypeNode] - Parsed return type (classified after scanning)
+ * @property {string | null} [scope] - Namespace the return type is resolved from
+ * @property {OverloadInfo[]} [overloads] - Signatures in declaration order
+ * @property {unknown} [origin] - Declaration the signatures came from (file or member list)
+ * @property {string | null} [file] - File the declaration was read from
+ * @property {string} [deprecated] - Deprecation message from an API manifest ('' without one)
+ */
+
+/**
+ * @typedef {import('./source-aliases.js').AliasInfo} AliasInfo
+ * @typedef {import('./source-aliases.js').ModuleAliases} ModuleAliases
+ * @typedef {import('./source-aliases.js').SourceLanguageOptions} SourceLanguageOptions
+ */
+
+/**
+ * @typedef {Object} VisibleAliases
+ * @property {string} file - Linted file
+ * @property {string} text - Source text the aliases were read from
+ * @property {Map<string, AliasInfo>} aliases - Global, imported and own aliases
+ */
+
+/**
+ * @typedef {Object} InterfaceInfo
+ * @property {string} name - Qualified name (e.g., 'TitanCore.FileSystem')
+ * @property {Member[]} members - Declared members, merged across every declaration
+ * @property {TypeNode[]} extends - Base types from every declaration's extends clause
+ * @property {string | null} scope - Namespace the interface was declared in
+ */
+
+/**
+ * @typedef {Object} ScopedMember
+ * @property {Member} member
+ * @property {string | null} scope - Namespace the member's types resolve from
+ */
+
+/**
+ * @typedef {Object} TypeAliasInfo
+ * @property {string} name - Qualified name (e.g., 'TitanCore.AsyncResult')
+ * @property {string[]} typeParameters - Generic parameter names
+ * @property {TypeNode} type - Aliased type
+ * @property {string | null} scope - Namespace the alias was declared in
  */
 
 /**
- * @typedef {Object} AliasInfo
- * @property {string} originalPath - Original Titan path (e.g., 't.fetch' or 't.db' for modules)
- * @property {'destructuring' | 'assignment' | 'export' | 'object-property' | 'declare-global'} source
- * @property {boolean} [isModule] - True if this alias points to a module (not a method)
+ * @typedef {Object} PendingReference
+ * @property {string} path - Titan path the type is attached to (e.g., 't' or 't.mail')
+ * @property {TypeNode} type - Declared type
+ * @property {string | null} scope - Namespace the declaration lives in
+ * @property {string | null} file - File the declaration was read from
+ */
+
+/**
+ * @typedef {Object} DeclarationRecord
+ * @property {string} file - File the method is declared in
+ * @property {boolean} isAsync
+ * @property {string | null} returnType
+ * @property {boolean} active - Whether detection uses this declaration
  */
 
 /**
@@ -47,16 +154,44 @@ import { resolve, join, dirname, extname } from 'path';
 const dtsCache = {
     /** @type {Map<string, MethodInfo>} */
     methods: new Map(),
-    /** @type {Map<string, AliasInfo>} */
+    /** @type {Map<string, MethodInfo[]>} - Every declaration of each method, in registration order */
+    declarations: new Map(),
+    /** @type {Map<string, AliasInfo>} - Global aliases (declare global { const x: typeof t.x }) */
     aliases: new Map(),
-    /** @type {Map<string, Map<string, MethodInfo>>} */
+    /** @type {Map<string, ModuleAliases>} - Aliases of each scanned source file */
+    modules: new Map(),
+    /** @type {Map<string, Map<string, AliasInfo>>} - Resolved aliases visible in each scanned source file */
+    moduleScopes: new Map(),
+    /** @type {Map<string, InterfaceInfo>} */
     interfaces: new Map(),
+    /** @type {Map<string, TypeAliasInfo>} */
+    typeAliases: new Map(),
+    /** @type {PendingReference[]} */
+    pendingReferences: [],
+    /** @type {import('./api-manifest.js').ApiManifestFile[]} */
+    pendingManifests: [],
+    /** @type {Set<string>} */
+    parsedFiles: new Set(),
+    /** @type {import('./project-config.js').ProjectConfig | null} */
+    projectConfig: null,
+    /** @type {string | null} */
+    currentFile: null,
+    /** @type {Set<string>} */
+    asyncNames: new Set(),
+    /** @type {import('../settings.js').DeclarationPreference | null} */
+    preferDeclarations: null,
+    /** @type {string[]} - Extra Titan roots from settings.titanpl.globals */
+    globals: [],
     /** @type {boolean} */
     initialized: false,
     /** @type {string | null} */
     projectRoot: null,
     /** @type {string | null} */
-    _lastParsedFile: null
+    settingsKey: null,
+    /** @type {VisibleAliases | null} */
+    visibleAliases: null,
+    /** @type {SourceLanguageOptions} - Parser of the last linted file, for scanned sources */
+    languageOptions: {}
 };
 
 /**
@@ -85,6 +220,17 @@ const SKIP_DIRECTORIES = new Set([
     'target'
 ]);
 
+/**
+ * Maximum depth of relative imports followed from a package's JavaScript entry
+ */
+const MAX_SCRIPT_DEPTH = 5;
+
+/**
+ * Maximum number of instances nested in each other whose members are
+ * copied (service.repo.db where service = new Service())
+ */
+const MAX_INSTANCE_DEPTH = 5;
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -95,7 +241,7 @@ const SKIP_DIRECTORIES = new Set([
  * @returns {string | null}
  */
 function findProjectRoot(startPath) {
-    let currentPath = startPath;
+    let currentPath = resolve(startPath);
     const root = resolve('/');
 
     while (currentPath !== root) {
@@ -110,553 +256,1313 @@ function findProjectRoot(startPath) {
 }
 
 /**
- * Get the .d.ts file path for a package
- * @param {string} packagePath
- * @returns {string | null}
+ * Check if a path starts at a Titan global (t., Titan. or settings.titanpl.globals)
+ * @param {string} path
+ * @returns {boolean}
  */
-function getPackageDtsPath(packagePath) {
-    const packageJsonPath = join(packagePath, 'package.json');
-
-    if (!existsSync(packageJsonPath)) {
-        return null;
-    }
+function isTitanPath(path) {
+    return isTitanCallee(path, dtsCache.globals);
+}
 
-    try {
-        const packageJson = JSON.parse(readFileSync(packageJsonPath, 'utf-8'));
+/**
+ * Join a namespace scope and a name (TitanCore + FileSystem → TitanCore.FileSystem)
+ * @param {string | null} scopeName
+ * @param {string} name
+ * @returns {string}
+ */
+function qualify(scopeName, name) {
+    return scopeName ? `${scopeName}.${name}` : name;
+}
 
-        if (packageJson.types) {
-            const typesPath = resolve(packagePath, packageJson.types);
-            if (existsSync(typesPath)) return typesPath;
-        }
+/**
+ * Get the enclosing namespace of a qualified name (TitanCore.Sub → TitanCore)
+ * @param {string} scopeName
+ * @returns {string | null}
+ */
+function parentScope(scopeName) {
+    const index = scopeName.lastIndexOf('.');
+    return index === -1 ? null : scopeName.slice(0, index);
+}
 
-        if (packageJson.typings) {
-            const typingsPath = resolve(packagePath, packageJson.typings);
-            if (existsSync(typingsPath)) return typingsPath;
-        }
+// =============================================================================
+// DTS PARSING - SYMBOL TABLE
+// =============================================================================
 
-        const indexDtsPath = join(packagePath, 'index.d.ts');
-        if (existsSync(indexDtsPath)) return indexDtsPath;
+/**
+ * @typedef {Object} DeclarationScope
+ * @property {string | null} name - Qualified namespace name ('TitanCore', 't.core'), null at global level
+ * @property {boolean} isTitan - True inside namespace t / Titan
+ */
 
-        const distDtsPath = join(packagePath, 'dist', 'index.d.ts');
-        if (existsSync(distDtsPath)) return distDtsPath;
+/** @type {DeclarationScope} */
+const GLOBAL_SCOPE = { name: null, isTitan: false };
 
-        return null;
-    } catch {
-        return null;
-    }
+/**
+ * Create an (unclassified) overload entry for a signature
+ * @param {Signature} signature
+ * @param {string | null} scopeName - Namespace the signature was declared in
+ * @returns {OverloadInfo}
+ */
+function createOverload(signature, scopeName) {
+    const returnType = signature.returnType;
+    return {
+        params: signature.params,
+        isAsync: false,
+        returnType: returnType ? returnType.text : null,
+        returnTypeNode: returnType,
+        scope: scopeName
+    };
 }
 
 /**
- * Check if a return type indicates an async method
- * @param {string} returnType
+ * File each interface member was declared in. Interfaces merge across
+ * files, so the file is kept per member rather than per interface.
+ * @type {WeakMap<Member, string | null>}
+ */
+const memberFiles = new WeakMap();
+
+/**
+ * Check if a declaration file comes from a package rather than the project
+ * (node_modules, or typings outside the project root)
+ * @param {string | null | undefined} file
  * @returns {boolean}
  */
-function isAsyncReturnType(returnType) {
-    if (!returnType) return false;
-    const trimmed = returnType.trim();
-    return trimmed.startsWith('Promise<') || trimmed.startsWith('Promise <');
+function isPackageFile(file) {
+    if (typeof file !== 'string' || !dtsCache.projectRoot) return false;
+    const path = relative(dtsCache.projectRoot, file);
+    return path.startsWith('..') || isAbsolute(path) || path.split(/[\\/]/).includes('node_modules');
 }
 
 /**
- * Check if a path starts with t. or Titan.
- * @param {string} path
+ * Check if a declaration replaces the current one of the same method.
+ * Later declarations win, unless settings.titanpl.preferDeclarations keeps
+ * the project's (or the packages') declaration over the other side.
+ * The baseline is always replaced.
+ * @param {MethodInfo} candidate
+ * @param {MethodInfo} current
  * @returns {boolean}
  */
-function isTitanPath(path) {
-    if (!path || typeof path !== 'string') return false;
-    return path.startsWith('t.') || path.startsWith('Titan.');
+function takesPrecedence(candidate, current) {
+    const preference = dtsCache.preferDeclarations;
+    if (!preference || current.origin === BASELINE_FILE) return true;
+
+    const isPreferred = info => isPackageFile(info.file) === (preference === 'packages');
+    return isPreferred(candidate) || !isPreferred(current);
 }
 
-// =============================================================================
-// DTS PARSING - INTERFACES
-// =============================================================================
+/**
+ * Get every declaration of a method (either root), in registration order
+ * @param {string} path
+ * @returns {MethodInfo[]}
+ */
+function getDeclarations(path) {
+    return dtsCache.declarations.get(toCanonicalTitanPath(path, dtsCache.globals)) || [];
+}
 
 /**
- * Parse interface methods and store them
- * @param {string} interfaceName
- * @param {string} content
+ * Get the method registered under a Titan path (either root)
+ * @param {string} path
+ * @returns {MethodInfo | undefined}
  */
-function parseInterfaceMethods(interfaceName, content) {
-    const methods = new Map();
+function getMethod(path) {
+    return dtsCache.methods.get(toCanonicalTitanPath(path, dtsCache.globals));
+}
 
-    // Match method signatures: methodName(params): ReturnType;
-    const methodRegex = /(\w+)\s*(?:<[^>]*>)?\s*\(([^)]*)\)\s*:\s*([^;]+)/g;
-    let match;
+/**
+ * Register a method signature under a Titan path.
+ * Methods are stored under the `t` root, so a declaration under `Titan`
+ * covers `t` too (and the other way round).
+ * Signatures from the same origin are kept as overloads; a later origin
+ * (e.g. a project .d.ts over a package) replaces the method, see takesPrecedence().
+ * Every declaration is kept in dtsCache.declarations for conflict reports.
+ * Async-ness is decided by classifyMethods() once all type aliases are known.
+ * @param {string} path
+ * @param {Signature} signature
+ * @param {string | null} scopeName - Namespace the signature was declared in
+ * @param {unknown} origin - File or member list the signature belongs to
+ * @param {string | null} file - File the signature was read from
+ */
+function setMethod(path, signature, scopeName, origin, file) {
+    const returnType = signature.returnType;
+    const overload = createOverload(signature, scopeName);
+    const methodPath = toCanonicalTitanPath(path, dtsCache.globals);
+
+    const declarations = dtsCache.declarations.get(methodPath) || [];
+    const sameOrigin = declarations.find(info => info.origin === origin);
+    if (sameOrigin) {
+        sameOrigin.overloads.push(overload);
+        return;
+    }
 
-    while ((match = methodRegex.exec(content)) !== null) {
-        const methodName = match[1];
-        const returnType = match[3].trim();
-        const isAsync = isAsyncReturnType(returnType);
+    /** @type {MethodInfo} */
+    const info = {
+        isAsync: false,
+        returnType: overload.returnType,
+        returnTypeNode: returnType,
+        scope: scopeName,
+        overloads: [overload],
+        origin,
+        file
+    };
+    declarations.push(info);
+    dtsCache.declarations.set(methodPath, declarations);
 
-        methods.set(methodName, {
-            isAsync,
-            returnType,
-            isMethod: true
-        });
+    const existing = dtsCache.methods.get(methodPath);
+    if (!existing || takesPrecedence(info, existing)) {
+        dtsCache.methods.set(methodPath, info);
     }
+}
 
-    // Match property references: propertyName: TypeName;
-    const propertyRegex = /^\s*(\w+)\s*:\s*([\w.]+)\s*;?\s*$/gm;
-
-    while ((match = propertyRegex.exec(content)) !== null) {
-        const propName = match[1];
-        const typeName = match[2].trim();
+/**
+ * Register an interface (or object type alias / class) by qualified name.
+ * Repeated declarations merge like TypeScript declaration merging, so every
+ * package augmenting the same interface contributes its members.
+ * @param {string} qualifiedName
+ * @param {Member[]} members
+ * @param {TypeNode[]} heritage - extends/implements clause
+ * @param {string | null} scopeName - Namespace the declaration lives in
+ */
+function registerInterface(qualifiedName, members, heritage, scopeName) {
+    members.forEach(member => memberFiles.set(member, dtsCache.currentFile));
 
-        if (methods.has(propName)) continue;
+    const existing = dtsCache.interfaces.get(qualifiedName);
 
-        methods.set(propName, {
-            isAsync: false,
-            returnType: typeName,
-            isReference: true,
-            referencedType: typeName
-        });
+    if (existing) {
+        existing.members.push(...members);
+        existing.extends.push(...heritage);
+        return;
     }
 
-    dtsCache.interfaces.set(interfaceName, methods);
-    return methods;
+    dtsCache.interfaces.set(qualifiedName, {
+        name: qualifiedName,
+        members: [...members],
+        extends: [...heritage],
+        scope: scopeName
+    });
 }
 
 /**
- * Parse namespace content for interfaces
- * @param {string} content
- * @param {string} namespaceName
+ * Register a type alias by qualified name
+ * @param {string} qualifiedName
+ * @param {Statement} statement - typeAlias statement
+ * @param {string | null} scopeName
  */
-function parseNamespace(content, namespaceName) {
-    const interfaceRegex = /interface\s+(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-    let match;
-
-    while ((match = interfaceRegex.exec(content)) !== null) {
-        const interfaceName = match[1];
-        const interfaceBody = match[2];
-        const fullName = `${namespaceName}.${interfaceName}`;
-        parseInterfaceMethods(fullName, interfaceBody);
-    }
+function registerTypeAlias(qualifiedName, statement, scopeName) {
+    dtsCache.typeAliases.set(qualifiedName, {
+        name: qualifiedName,
+        typeParameters: statement.typeParameters,
+        type: statement.type,
+        scope: scopeName
+    });
 }
 
 /**
- * Resolve Titan interface to method paths
- * @param {string} prefix
- * @param {Map<string, any>} methods
+ * Find a declaration by the name used in a type reference, searching
+ * from the innermost namespace outwards like TypeScript does
+ * @template T
+ * @param {Map<string, T>} table
+ * @param {string} name
+ * @param {string | null} scopeName
+ * @returns {T | null}
  */
-function resolveTitanInterface(prefix, methods) {
-    for (const [methodName, info] of methods.entries()) {
-        const fullPath = `${prefix}.${methodName}`;
-
-        if (info.isReference && info.referencedType) {
-            resolveNestedInterface(fullPath, info.referencedType);
-        } else if (info.isMethod) {
-            dtsCache.methods.set(fullPath, {
-                isAsync: info.isAsync,
-                returnType: info.returnType
-            });
-        }
+function lookupScoped(table, name, scopeName) {
+    for (let current = scopeName; current; current = parentScope(current)) {
+        const entry = table.get(`${current}.${name}`);
+        if (entry) return entry;
     }
+    return table.get(name) || null;
 }
 
 /**
- * Resolve nested interface references
- * @param {string} basePath
- * @param {string} typeName
+ * @param {string} name
+ * @param {string | null} scopeName
+ * @returns {InterfaceInfo | null}
  */
-function resolveNestedInterface(basePath, typeName) {
-    const interfaceMethods = dtsCache.interfaces.get(typeName);
+function lookupInterface(name, scopeName) {
+    return lookupScoped(dtsCache.interfaces, name, scopeName);
+}
 
-    if (interfaceMethods) {
-        for (const [methodName, info] of interfaceMethods.entries()) {
-            const fullPath = `${basePath}.${methodName}`;
+/**
+ * @param {string} name
+ * @param {string | null} scopeName
+ * @returns {TypeAliasInfo | null}
+ */
+function lookupTypeAlias(name, scopeName) {
+    return lookupScoped(dtsCache.typeAliases, name, scopeName);
+}
 
-            if (info.isReference && info.referencedType) {
-                resolveNestedInterface(fullPath, info.referencedType);
-            } else if (info.isMethod) {
-                dtsCache.methods.set(fullPath, {
-                    isAsync: info.isAsync,
-                    returnType: info.returnType
-                });
-            }
-        }
+/**
+ * Register a typed Titan member (const t: X, const mail: TitanMail).
+ * Function types are methods right away; other types are resolved once
+ * every declaration file has been collected.
+ * @param {string} path
+ * @param {TypeNode} type
+ * @param {string | null} scopeName
+ */
+function addTitanMember(path, type, scopeName) {
+    if (type.kind === 'function') {
+        setMethod(path, type.signature, scopeName, type, dtsCache.currentFile);
+        return;
     }
+    dtsCache.pendingReferences.push({ path, type, scope: scopeName, file: dtsCache.currentFile });
 }
 
-// =============================================================================
-// DTS PARSING - DECLARE GLOBAL
-// =============================================================================
-
 /**
- * Parse declare global block
- * @param {string} content
+ * Walk parsed statements and populate the symbol table
+ * @param {Statement[]} statements
+ * @param {DeclarationScope} scope
  */
-function parseDeclareGlobal(content) {
-    // Find const t: TypeName or const Titan: TypeName
-    const constRegex = /(?:const|var)\s+(t|Titan)\s*:\s*(\w+)/g;
-    let match;
-    const titanTypes = [];
+function collectDeclarations(statements, scope) {
+    for (const statement of statements) {
+        switch (statement.kind) {
+            case 'namespace': {
+                const isTitan = scope.isTitan || (scope.name === null && isTitanGlobal(statement.name, dtsCache.globals));
+                collectDeclarations(statement.body, {
+                    name: qualify(scope.name, statement.name),
+                    isTitan
+                });
+                break;
+            }
 
-    while ((match = constRegex.exec(content)) !== null) {
-        const varName = match[1];
-        const typeName = match[2];
-        titanTypes.push({ varName, typeName });
-    }
+            case 'global':
+                collectDeclarations(statement.body, GLOBAL_SCOPE);
+                break;
 
-    // Parse all interfaces in the global block
-    const interfaceRegex = /interface\s+(\w+)\s*(?:extends\s+[\w,\s.]+)?\s*\{([^{}]*(?:\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}[^{}]*)*)\}/g;
+            // declare module 'titan-x' { ... } — extensions ship their slice
+            // of t either directly in the module body or in a nested global block
+            case 'module':
+                collectDeclarations(statement.body, GLOBAL_SCOPE);
+                break;
 
-    while ((match = interfaceRegex.exec(content)) !== null) {
-        const interfaceName = match[1];
-        const interfaceBody = match[2];
-        parseInterfaceMethods(interfaceName, interfaceBody);
-    }
+            case 'interface':
+            case 'class':
+                if (statement.name) {
+                    registerInterface(qualify(scope.name, statement.name), statement.members, statement.extends, scope.name);
+                }
+                break;
 
-    // Parse typeof references: const myFetch: typeof t.fetch
-    const typeofRegex = /(?:const|var|let)\s+(\w+)\s*:\s*typeof\s+(t|Titan)\.(\w+(?:\.\w+)*)/g;
+            case 'typeAlias':
+                registerTypeAlias(qualify(scope.name, statement.name), statement, scope.name);
+                if (statement.type.kind === 'object') {
+                    registerInterface(qualify(scope.name, statement.name), statement.type.members, [], scope.name);
+                }
+                break;
 
-    while ((match = typeofRegex.exec(content)) !== null) {
-        const aliasName = match[1];
-        const sourceVar = match[2];
-        const path = match[3];
-        const originalPath = `${sourceVar}.${path}`;
+            case 'function':
+                if (scope.isTitan) {
+                    setMethod(`${scope.name}.${statement.name}`, statement.signature, scope.name, dtsCache.currentFile, dtsCache.currentFile);
+                }
+                break;
 
-        dtsCache.aliases.set(aliasName, {
-            originalPath,
-            source: 'declare-global',
-            isModule: false
-        });
+            case 'variable':
+                collectVariables(statement.declarations, scope);
+                break;
+        }
     }
+}
 
-    // Resolve Titan types
-    for (const { varName, typeName } of titanTypes) {
-        const interfaceMethods = dtsCache.interfaces.get(typeName);
-        if (interfaceMethods) {
-            resolveTitanInterface(varName, interfaceMethods);
+/**
+ * Handle typed variables:
+ * - namespace t { const mail: TitanMail }  → t.mail.*
+ * - declare global { const t: TitanRuntime } → t.*
+ * - declare global { const myFetch: typeof t.fetch } → alias
+ * @param {Array<{ name: string, type: TypeNode | null }>} declarations
+ * @param {DeclarationScope} scope
+ */
+function collectVariables(declarations, scope) {
+    for (const { name, type } of declarations) {
+        if (!type) continue;
+
+        if (scope.isTitan) {
+            addTitanMember(`${scope.name}.${name}`, type, scope.name);
+        } else if (scope.name === null && isTitanGlobal(name, dtsCache.globals)) {
+            addTitanMember(name, type, null);
+        } else if (scope.name === null && type.kind === 'typeof' && isTitanPath(type.name)) {
+            dtsCache.aliases.set(name, {
+                originalPath: type.name,
+                source: 'declare-global',
+                isModule: false
+            });
         }
     }
 }
 
-// =============================================================================
-// DTS PARSING - NAMESPACES
-// =============================================================================
-
 /**
- * Parse traditional declare namespace t { ... }
- * @param {string} content
- * @param {string} prefix
+ * Get every member of an interface, including members inherited through
+ * its extends chain. Own members shadow inherited ones with the same name.
+ * @param {InterfaceInfo} entry
+ * @param {Set<string>} [chain] - Interfaces and aliases already followed (cycle guard)
+ * @returns {ScopedMember[]}
  */
-function parseNamespaceContent(content, prefix) {
-    const asyncMethodRegex = /(?:function\s+)?(\w+)\s*(?:<[^>]*>)?\s*\([^)]*\)\s*:\s*(Promise\s*<[^;]+>)/g;
-    let match;
-
-    while ((match = asyncMethodRegex.exec(content)) !== null) {
-        const methodName = match[1];
-        const returnType = match[2].trim();
-        const fullPath = `${prefix}.${methodName}`;
-
-        dtsCache.methods.set(fullPath, {
-            isAsync: true,
-            returnType
-        });
-    }
+function getInterfaceMembers(entry, chain = new Set()) {
+    chain.add(entry.name);
 
-    const syncMethodRegex = /(?:function\s+)?(\w+)\s*(?:<[^>]*>)?\s*\([^)]*\)\s*:\s*(?!Promise\s*<)(\w+(?:<[^;]+>)?)/g;
+    const ownNames = new Set(entry.members.map(member => member.name).filter(Boolean));
+    const inherited = [];
 
-    while ((match = syncMethodRegex.exec(content)) !== null) {
-        const methodName = match[1];
-        const returnType = match[2].trim();
-        const fullPath = `${prefix}.${methodName}`;
+    for (const base of entry.extends) {
+        const resolved = resolveObjectType(base, entry.scope, chain);
+        if (!resolved) continue;
 
-        if (!dtsCache.methods.has(fullPath)) {
-            dtsCache.methods.set(fullPath, {
-                isAsync: false,
-                returnType
-            });
+        for (const scoped of resolved.members) {
+            if (!ownNames.has(scoped.member.name)) {
+                inherited.push(scoped);
+            }
         }
     }
 
-    const nestedNamespaceRegex = /namespace\s+(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
+    chain.delete(entry.name);
 
-    while ((match = nestedNamespaceRegex.exec(content)) !== null) {
-        const nestedName = match[1];
-        const nestedContent = match[2];
-        const nestedPrefix = `${prefix}.${nestedName}`;
-        parseNamespaceContent(nestedContent, nestedPrefix);
-    }
+    return [
+        ...inherited,
+        ...entry.members.map(member => ({ member, scope: entry.scope }))
+    ];
 }
 
-// =============================================================================
-// DTS FILE PARSING
-// =============================================================================
-
 /**
- * Parse a .d.ts file and extract Titan async methods
- * @param {string} filePath
+ * Resolve a type to the members it exposes: interface references (with
+ * inherited members), object literals, intersections, or type aliases to those
+ * @param {TypeNode} type
+ * @param {string | null} scopeName
+ * @param {Set<string>} [chain] - Interfaces and aliases already followed (cycle guard)
+ * @returns {{ key: string | TypeNode, members: ScopedMember[] } | null}
  */
-function parseDtsFile(filePath) {
-    try {
-        const content = readFileSync(filePath, 'utf-8');
+function resolveObjectType(type, scopeName, chain = new Set()) {
+    switch (type.kind) {
+        case 'object':
+            return {
+                key: type,
+                members: type.members.map(member => ({ member, scope: scopeName }))
+            };
 
-        // 1. Parse namespaces first (like TitanCore)
-        const namespaceRegex = /namespace\s+(\w+)\s*\{([^{}]*(?:\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}[^{}]*)*)\}/g;
-        let match;
+        case 'intersection': {
+            const members = [];
+            for (const part of type.types) {
+                const resolved = resolveObjectType(part, scopeName, chain);
+                if (resolved) members.push(...resolved.members);
+            }
+            return members.length > 0 ? { key: type, members } : null;
+        }
 
-        while ((match = namespaceRegex.exec(content)) !== null) {
-            const namespaceName = match[1];
-            const namespaceContent = match[2];
+        case 'reference': {
+            const entry = lookupInterface(type.name, scopeName);
+            if (entry) {
+                if (chain.has(entry.name)) return null;
+                return { key: entry.name, members: getInterfaceMembers(entry, chain) };
+            }
 
-            if (namespaceName === 't' || namespaceName === 'Titan') {
-                parseNamespaceContent(namespaceContent, namespaceName);
-            } else {
-                parseNamespace(namespaceContent, namespaceName);
+            const alias = lookupTypeAlias(type.name, scopeName);
+            if (alias && !chain.has(alias.name)) {
+                chain.add(alias.name);
+                const resolved = resolveObjectType(alias.type, alias.scope, chain);
+                chain.delete(alias.name);
+                return resolved;
             }
+            return null;
         }
 
-        // 2. Parse declare global
-        const declareGlobalRegex = /declare\s+global\s*\{([^{}]*(?:\{[^{}]*(?:\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}[^{}]*)*\}[^{}]*)*)\}/g;
+        default:
+            return null;
+    }
+}
 
-        while ((match = declareGlobalRegex.exec(content)) !== null) {
-            const globalContent = match[1];
-            parseDeclareGlobal(globalContent);
-        }
+/**
+ * Expand the members of a type into method paths under basePath
+ * @param {string} basePath
+ * @param {TypeNode} type
+ * @param {string | null} scopeName
+ * @param {Set<string | TypeNode>} visiting - Types on the current chain (cycle guard)
+ * @param {string | null} file - File the type was declared in
+ */
+function registerTypeMembers(basePath, type, scopeName, visiting, file) {
+    if (type.kind === 'function') {
+        setMethod(basePath, type.signature, scopeName, type, file);
+        return;
+    }
+
+    const resolved = resolveObjectType(type, scopeName);
+    if (!resolved || visiting.has(resolved.key)) return;
 
-        // 3. Parse traditional declare namespace t/Titan
-        const titanNamespaceRegex = /declare\s+namespace\s+(t|Titan)\s*\{([^{}]*(?:\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}[^{}]*)*)\}/g;
+    visiting.add(resolved.key);
 
-        while ((match = titanNamespaceRegex.exec(content)) !== null) {
-            const namespaceName = match[1];
-            const namespaceContent = match[2];
-            parseNamespaceContent(namespaceContent, namespaceName);
+    for (const { member, scope } of resolved.members) {
+        const memberPath = `${basePath}.${member.name}`;
+        const memberFile = memberFiles.get(member) || file;
+
+        if (member.kind === 'method') {
+            setMethod(memberPath, member.signature, scope, resolved.members, memberFile);
+        } else if (member.kind === 'property' && member.type) {
+            registerTypeMembers(memberPath, member.type, scope, visiting, memberFile);
         }
+    }
 
-    } catch {
-        // Ignore files that can't be read/parsed
+    visiting.delete(resolved.key);
+}
+
+/**
+ * Resolve every typed Titan member collected so far.
+ * Runs after all .d.ts files are parsed, so declaration order across files doesn't matter.
+ */
+function resolveTitanReferences() {
+    for (const { path, type, scope, file } of dtsCache.pendingReferences) {
+        registerTypeMembers(path, type, scope, new Set(), file);
     }
+    dtsCache.pendingReferences = [];
 }
 
 // =============================================================================
-// SOURCE FILE PARSING - ALL ALIAS PATTERNS
+// DTS PARSING - RETURN TYPES
 // =============================================================================
 
 /**
- * Parse ALL alias patterns from source files
- * @param {string} content
+ * Type names that can never hold a value (ignored inside unions)
  */
-function parseSourceFileAliases(content) {
-    // Skip if no reference to Titan globals
-    if (
-        !content.includes('t.') &&
-        !content.includes('Titan.') &&
-        !content.includes('= t') &&
-        !content.includes('=t')
-    ) {
-        return;
-    }
+const EMPTY_TYPE_NAMES = new Set(['undefined', 'null', 'void', 'never']);
 
-    let match;
-
-    // =========================================================================
-    // 1. DESTRUCTURING: const { fetch } = t
-    //                   const { fetch: myFetch } = t
-    //                   const { readFile } = t.core.fs
-    // =========================================================================
-
-    // Pattern: const { props } = t or Titan
-    const destructuringRegex = /(?:const|let|var)\s*\{([^}]+)\}\s*=\s*(t|Titan)(?:\.(\w+(?:\.\w+)*))?\s*[;\n]/g;
-
-    while ((match = destructuringRegex.exec(content)) !== null) {
-        const props = match[1];
-        const sourceVar = match[2]; // t or Titan
-        const path = match[3] || ''; // optional path like 'core.fs'
-        const prefix = path ? `${sourceVar}.${path}` : sourceVar;
-
-        // Parse each property
-        const propList = props.split(',');
-        for (const prop of propList) {
-            const trimmed = prop.trim();
-            if (!trimmed) continue;
-
-            // Check for rename: original: alias
-            const renameMatch = trimmed.match(/^(\w+)\s*:\s*(\w+)$/);
-            if (renameMatch) {
-                const originalName = renameMatch[1];
-                const aliasName = renameMatch[2];
-                const originalPath = `${prefix}.${originalName}`;
-
-                // Check if it's a module (has sub-methods) or a method
-                const isModule = hasSubMethods(originalPath);
-
-                dtsCache.aliases.set(aliasName, {
-                    originalPath,
-                    source: 'destructuring',
-                    isModule
-                });
-            } else {
-                // Simple property: const { fetch } = t
-                const simpleMatch = trimmed.match(/^(\w+)$/);
-                if (simpleMatch) {
-                    const propName = simpleMatch[1];
-                    const originalPath = `${prefix}.${propName}`;
-                    const isModule = hasSubMethods(originalPath);
-
-                    dtsCache.aliases.set(propName, {
-                        originalPath,
-                        source: 'destructuring',
-                        isModule
-                    });
-                }
-            }
-        }
-    }
+/**
+ * @typedef {Object} AsyncTypeContext
+ * @property {Set<string>} asyncNames - Type names configured as async
+ * @property {Map<string, { type: TypeNode, scope: string | null }>} bindings - Generic parameter bindings
+ * @property {Set<string>} visiting - Aliases on the current chain (cycle guard)
+ */
 
-    // =========================================================================
-    // 2. SIMPLE ASSIGNMENT: const myFetch = t.fetch
-    //                       const db = t.db
-    // =========================================================================
+/**
+ * Check if a configured async type name matches a reference.
+ * Qualified references also match by their last segment (TitanCore.Drift → Drift).
+ * @param {string} name
+ * @param {Set<string>} asyncNames
+ * @returns {boolean}
+ */
+function isAsyncTypeName(name, asyncNames) {
+    if (asyncNames.has(name)) return true;
+    const index = name.lastIndexOf('.');
+    return index !== -1 && asyncNames.has(name.slice(index + 1));
+}
 
-    const simpleAssignmentRegex = /(?:const|let|var)\s+(\w+)\s*=\s*(t|Titan)\.(\w+(?:\.\w+)*)\s*[;\n]/g;
+/**
+ * Check if a list of members describes a thenable (has a then() method)
+ * @param {Member[]} members
+ * @returns {boolean}
+ */
+function hasThenMethod(members) {
+    return members.some(member =>
+        member.name === 'then' && (member.kind === 'method' || member.type?.kind === 'function')
+    );
+}
 
-    while ((match = simpleAssignmentRegex.exec(content)) !== null) {
-        const aliasName = match[1];
-        const sourceVar = match[2];
-        const path = match[3];
-        const originalPath = `${sourceVar}.${path}`;
-        const isModule = hasSubMethods(originalPath);
+/**
+ * Bind the type parameters of an alias to the arguments of a reference
+ * @param {TypeAliasInfo} alias
+ * @param {TypeNode} reference
+ * @param {string | null} scopeName - Scope of the reference
+ * @param {AsyncTypeContext} ctx
+ * @returns {Map<string, { type: TypeNode, scope: string | null }>}
+ */
+function bindTypeArguments(alias, reference, scopeName, ctx) {
+    const bindings = new Map();
 
-        dtsCache.aliases.set(aliasName, {
-            originalPath,
-            source: 'assignment',
-            isModule
-        });
-    }
+    alias.typeParameters.forEach((parameter, index) => {
+        const argument = reference.typeArguments[index];
+        if (!argument) return;
 
-    // =========================================================================
-    // 3. EXPORT ASSIGNMENT: export const myFetch = t.fetch
-    //                       export const db = t.db
-    // =========================================================================
+        // Arguments that are themselves outer type parameters keep their binding
+        const outer = argument.kind === 'reference' ? ctx.bindings.get(argument.name) : undefined;
+        bindings.set(parameter, outer || { type: argument, scope: scopeName });
+    });
 
-    const exportAssignmentRegex = /export\s+(?:const|let|var)\s+(\w+)\s*=\s*(t|Titan)\.(\w+(?:\.\w+)*)\s*[;\n]/g;
+    return bindings;
+}
 
-    while ((match = exportAssignmentRegex.exec(content)) !== null) {
-        const aliasName = match[1];
-        const sourceVar = match[2];
-        const path = match[3];
-        const originalPath = `${sourceVar}.${path}`;
-        const isModule = hasSubMethods(originalPath);
+/**
+ * Decide whether a return type is async.
+ *
+ * - Promise<T>, PromiseLike<T>, Thenable<T> and configured names
+ * - Type aliases, resolved across all scanned files (type AsyncResult<T> = Promise<T>)
+ * - Interfaces and object types with a then() method
+ * - Intersections with an async constituent (branded types: Promise<T> & { __brand })
+ * - Unions whose non-empty constituents are all async
+ *
+ * @param {TypeNode | null} type
+ * @param {string | null} scopeName
+ * @param {AsyncTypeContext} ctx
+ * @returns {boolean}
+ */
+function isAsyncType(type, scopeName, ctx) {
+    if (!type) return false;
+
+    switch (type.kind) {
+        case 'reference': {
+            const bound = ctx.bindings.get(type.name);
+            if (bound) {
+                return isAsyncType(bound.type, bound.scope, { ...ctx, bindings: new Map() });
+            }
 
-        dtsCache.aliases.set(aliasName, {
-            originalPath,
-            source: 'export',
-            isModule
-        });
-    }
+            if (isAsyncTypeName(type.name, ctx.asyncNames)) return true;
 
-    // =========================================================================
-    // 4. EXPORT OBJECT: export const db = { query: t.db.query }
-    //    OBJECT INLINE: const utils = { fetch: t.fetch }
-    // =========================================================================
+            const alias = lookupTypeAlias(type.name, scopeName);
+            if (alias) {
+                if (ctx.visiting.has(alias.name)) return false;
+                ctx.visiting.add(alias.name);
+                const result = isAsyncType(alias.type, alias.scope, {
+                    ...ctx,
+                    bindings: bindTypeArguments(alias, type, scopeName, ctx)
+                });
+                ctx.visiting.delete(alias.name);
+                return result;
+            }
 
-    // This regex captures object literals assigned to variables
-    const objectAssignmentRegex = /(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*\{([^{}]+)\}\s*[;\n]/g;
+            const entry = lookupInterface(type.name, scopeName);
+            return Boolean(entry && hasThenMethod(getInterfaceMembers(entry).map(scoped => scoped.member)));
+        }
 
-    while ((match = objectAssignmentRegex.exec(content)) !== null) {
-        const objectName = match[1];
-        const objectContent = match[2];
+        case 'object':
+            return hasThenMethod(type.members);
 
-        // Find properties that reference t.* or Titan.*
-        const propRegex = /(\w+)\s*:\s*(t|Titan)\.(\w+(?:\.\w+)*)/g;
-        let propMatch;
+        case 'intersection':
+            return type.types.some(member => isAsyncType(member, scopeName, ctx));
 
-        while ((propMatch = propRegex.exec(objectContent)) !== null) {
-            const propName = propMatch[1];
-            const sourceVar = propMatch[2];
-            const path = propMatch[3];
-            const originalPath = `${sourceVar}.${path}`;
+        case 'union': {
+            const members = type.types.filter(member =>
+                !(member.kind === 'reference' && EMPTY_TYPE_NAMES.has(member.name))
+            );
+            return members.length > 0 && members.every(member => isAsyncType(member, scopeName, ctx));
+        }
 
-            // Register as: objectName.propName -> originalPath
-            const aliasPath = `${objectName}.${propName}`;
+        case 'conditional':
+            return isAsyncType(type.trueType, scopeName, ctx) && isAsyncType(type.falseType, scopeName, ctx);
 
-            dtsCache.aliases.set(aliasPath, {
-                originalPath,
-                source: 'object-property',
-                isModule: false
-            });
-        }
+        default:
+            return false;
     }
-
-    // =========================================================================
-    // 5. EXPORT DESTRUCTURING: export { fetch } where fetch was assigned earlier
-    //    This is handled by the above patterns since the variable needs to be
-    //    declared first
-    // =========================================================================
 }
 
 /**
- * Check if a path has sub-methods (is a module, not a direct method)
- * @param {string} path
- * @returns {boolean}
+ * Classify one overload with the configured async type names
+ * @param {OverloadInfo} overload
  */
-function hasSubMethods(path) {
-    // Check if any method starts with this path + '.'
-    for (const methodPath of dtsCache.methods.keys()) {
-        if (methodPath.startsWith(path + '.')) {
-            return true;
-        }
-    }
-    return false;
+function classifyOverload(overload) {
+    overload.isAsync = isAsyncType(overload.returnTypeNode, overload.scope, {
+        asyncNames: dtsCache.asyncNames,
+        bindings: new Map(),
+        visiting: new Set()
+    });
 }
 
 /**
- * Parse a source file for aliases
- * @param {string} filePath
+ * Classify every collected declaration (and each of its overloads) as sync/async.
+ * Runs after all .d.ts files are parsed, so aliases declared in any file apply.
+ * Without a call site to pick an overload, a method counts as async
+ * when any overload is; the first async overload provides its return type.
+ * @param {import('../settings.js').TitanSettings} settings
  */
-function parseSourceFile(filePath) {
-    try {
-        const content = readFileSync(filePath, 'utf-8');
-        parseSourceFileAliases(content);
-    } catch {
-        // Ignore files that can't be read
+function classifyMethods(settings) {
+    dtsCache.asyncNames = new Set(settings.asyncReturnTypes);
+
+    for (const declarations of dtsCache.declarations.values()) {
+        for (const info of declarations) {
+            info.overloads.forEach(classifyOverload);
+
+            const summary = info.overloads.find(overload => overload.isAsync) || info.overloads[0];
+            info.isAsync = summary.isAsync;
+            info.returnType = summary.returnType;
+            info.returnTypeNode = summary.returnTypeNode;
+            info.scope = summary.scope;
+        }
     }
 }
 
 // =============================================================================
-// DIRECTORY SCANNING
+// DTS PARSING - OVERLOAD SELECTION
 // =============================================================================
 
-function scanDirectory(dirPath, depth = 0, maxDepth = 10) {
-    // Two-pass scan: first .d.ts files (type definitions), then source files (aliases).
-    // This ensures that hasSubMethods() has all method definitions available
-    // when evaluating module alias isModule flags in source files.
-    scanDirectoryPass(dirPath, 'dts', depth, maxDepth);
-    scanDirectoryPass(dirPath, 'source', depth, maxDepth);
-}
+/**
+ * Argument kinds accepted by object-like parameter types
+ */
+const OBJECT_KINDS = ['object', 'array', 'function', 'regexp'];
 
 /**
- * Single-pass directory scan for a specific file type
- * @param {string} dirPath
- * @param {'dts' | 'source'} pass - Which file types to process
- * @param {number} depth
- * @param {number} maxDepth
+ * Argument kinds accepted by built-in type names
+ * @type {Record<string, string[] | null>} null accepts every kind
  */
-function scanDirectoryPass(dirPath, pass, depth = 0, maxDepth = 10) {
-    if (depth > maxDepth) return;
+const BUILTIN_TYPE_KINDS = {
+    string: ['string'],
+    String: ['string'],
+    number: ['number'],
+    Number: ['number'],
+    boolean: ['boolean'],
+    Boolean: ['boolean'],
+    true: ['boolean'],
+    false: ['boolean'],
+    bigint: ['bigint'],
+    symbol: [],
+    void: [],
+    never: [],
+    object: OBJECT_KINDS,
+    Function: ['function'],
+    Array: ['array'],
+    ReadonlyArray: ['array'],
+    RegExp: ['regexp'],
+    Object: null,
+    any: null,
+    unknown: null
+};
 
-    try {
-        const entries = readdirSync(dirPath);
+/**
+ * Check whether an argument of a known kind can be passed to a parameter type.
+ * Unknown argument kinds and types that can't be decided are accepted.
+ * @param {string} kind - Argument kind from getArgumentKind()
+ * @param {TypeNode | null} type
+ * @param {string | null} scopeName
+ * @param {Set<string>} visiting - Type aliases on the current chain (cycle guard)
+ * @returns {boolean}
+ */
+function acceptsArgumentKind(kind, type, scopeName, visiting) {
+    if (!type || kind === 'unknown' || kind === 'null' || kind === 'undefined') return true;
 
-        for (const entry of entries) {
-            if (entry.startsWith('.') || SKIP_DIRECTORIES.has(entry)) {
-                continue;
-            }
+    switch (type.kind) {
+        case 'union':
+            return type.types.some(member => acceptsArgumentKind(kind, member, scopeName, visiting));
 
-            const entryPath = join(dirPath, entry);
+        case 'intersection':
+            return type.types.every(member => acceptsArgumentKind(kind, member, scopeName, visiting));
 
-            try {
-                const stat = statSync(entryPath);
+        case 'literal':
+            return kind === (/^['"`]/.test(type.text) ? 'string' : 'number');
 
-                if (stat.isDirectory()) {
-                    scanDirectoryPass(entryPath, pass, depth + 1, maxDepth);
-                } else if (stat.isFile()) {
+        case 'function':
+            return kind === 'function';
+
+        case 'object':
+        case 'mapped':
+            return OBJECT_KINDS.includes(kind);
+
+        case 'array':
+        case 'tuple':
+            return kind === 'array';
+
+        case 'reference': {
+            if (Object.hasOwn(BUILTIN_TYPE_KINDS, type.name)) {
+                const kinds = BUILTIN_TYPE_KINDS[type.name];
+                return kinds === null || kinds.includes(kind);
+            }
+
+            const alias = lookupTypeAlias(type.name, scopeName);
+            if (alias && !visiting.has(alias.name)) {
+                visiting.add(alias.name);
+                const result = acceptsArgumentKind(kind, alias.type, alias.scope, visiting);
+                visiting.delete(alias.name);
+                return result;
+            }
+
+            // Interfaces describe objects (or callables); other names are
+            // type parameters or unknown types
+            return lookupInterface(type.name, scopeName) ? OBJECT_KINDS.includes(kind) : true;
+        }
+
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check whether an overload accepts a call with the given argument kinds
+ * @param {OverloadInfo} overload
+ * @param {string[]} argumentKinds - One entry per argument ('spread' for ...args)
+ * @returns {boolean}
+ */
+function acceptsCall(overload, argumentKinds) {
+    const restIndex = overload.params.findIndex(param => param.rest);
+    const fixed = restIndex === -1 ? overload.params : overload.params.slice(0, restIndex);
+    const required = fixed.filter(param => !param.optional).length;
+
+    // A spread argument can stand for any number of arguments
+    const spreadIndex = argumentKinds.indexOf('spread');
+    const known = spreadIndex === -1 ? argumentKinds : argumentKinds.slice(0, spreadIndex);
+
+    if (restIndex === -1 && known.length > fixed.length) return false;
+    if (spreadIndex === -1 && known.length < required) return false;
+
+    const restType = restIndex === -1 ? null : getElementType(overload.params[restIndex].type);
+
+    return known.every((kind, index) => acceptsArgumentKind(
+        kind,
+        index < fixed.length ? fixed[index].type : restType,
+        overload.scope,
+        new Set()
+    ));
+}
+
+/**
+ * Element type of a rest parameter type (string[] / Array<string>)
+ * @param {TypeNode | null} type
+ * @returns {TypeNode | null}
+ */
+function getElementType(type) {
+    if (!type) return null;
+    if (type.kind === 'array') return type.elementType;
+    if (type.kind === 'reference' && (type.name === 'Array' || type.name === 'ReadonlyArray')) {
+        return type.typeArguments[0] || null;
+    }
+    return null;
+}
+
+/**
+ * Pick the overload a call resolves to: like TypeScript, the first one
+ * (in declaration order) that accepts the call's arguments.
+ * Arguments of unknown kinds (variables, calls) fit every overload, so when
+ * the overloads that accept the call disagree on async-ness the result is
+ * undecided (isAsync: null) rather than left to declaration order.
+ * @param {MethodInfo} info
+ * @param {string[]} argumentKinds
+ * @returns {OverloadInfo | null}
+ */
+function selectOverload(info, argumentKinds) {
+    const accepted = info.overloads.filter(overload => acceptsCall(overload, argumentKinds));
+    if (accepted.length === 0) return null;
+
+    const [first] = accepted;
+    if (accepted.some(overload => overload.isAsync !== first.isAsync)) {
+        return { ...first, isAsync: null, returnType: null, returnTypeNode: null };
+    }
+    return first;
+}
+
+// =============================================================================
+// DTS PARSING - RETURNED VALUES
+// =============================================================================
+
+/**
+ * A value of a known declared type, e.g. what a Titan method returns
+ * @typedef {Object} TypedValue
+ * @property {TypeNode} type
+ * @property {string | null} scope - Namespace the type is resolved from
+ */
+
+/**
+ * Drop undefined/null/void from a union (Row | undefined → Row)
+ * @param {TypeNode} type
+ * @returns {TypeNode}
+ */
+function stripEmptyTypes(type) {
+    if (type.kind !== 'union') return type;
+    const members = type.types.filter(member =>
+        !(member.kind === 'reference' && EMPTY_TYPE_NAMES.has(member.name))
+    );
+    return members.length === 1 ? members[0] : type;
+}
+
+/**
+ * Get the members of a typed value (interfaces, aliases, object types)
+ * @param {TypedValue} value
+ * @returns {ScopedMember[]}
+ */
+function getValueMembers(value) {
+    const resolved = resolveObjectType(stripEmptyTypes(value.type), value.scope);
+    return resolved ? resolved.members : [];
+}
+
+/**
+ * Find the type a Promise-like type resolves to (Promise<Rows> → Rows),
+ * following aliases such as type AsyncResult<T> = Promise<T>
+ * @param {TypeNode} type
+ * @param {string | null} scopeName
+ * @param {Map<string, TypedValue>} bindings - Generic parameter bindings
+ * @param {Set<string>} visiting - Aliases on the current chain (cycle guard)
+ * @returns {TypedValue | null}
+ */
+function unwrapAsyncType(type, scopeName, bindings, visiting) {
+    type = stripEmptyTypes(type);
+
+    switch (type.kind) {
+        case 'reference': {
+            const bound = bindings.get(type.name);
+            if (bound) return unwrapAsyncType(bound.type, bound.scope, new Map(), visiting);
+
+            if (isAsyncTypeName(type.name, dtsCache.asyncNames)) {
+                const argument = type.typeArguments[0];
+                if (!argument) return null;
+                const boundArgument = argument.kind === 'reference' ? bindings.get(argument.name) : undefined;
+                return boundArgument || { type: argument, scope: scopeName };
+            }
+
+            const alias = lookupTypeAlias(type.name, scopeName);
+            if (!alias || visiting.has(alias.name)) return null;
+
+            visiting.add(alias.name);
+            const result = unwrapAsyncType(alias.type, alias.scope, bindTypeArguments(alias, type, scopeName, { bindings }), visiting);
+            visiting.delete(alias.name);
+            return result;
+        }
+
+        case 'intersection':
+            for (const member of type.types) {
+                const result = unwrapAsyncType(member, scopeName, bindings, visiting);
+                if (result) return result;
+            }
+            return null;
+
+        default:
+            return null;
+    }
+}
+
+// =============================================================================
+// DTS FILE PARSING
+// =============================================================================
+
+/**
+ * Parse a .d.ts file and extract Titan async methods.
+ * Files it references or re-exports are parsed too; each file is read once.
+ * @param {string} filePath
+ */
+function parseDtsFile(filePath) {
+    if (dtsCache.parsedFiles.has(filePath)) return;
+    dtsCache.parsedFiles.add(filePath);
+
+    try {
+        const content = readFileSync(filePath, 'utf-8');
+        const { statements, references } = parseDeclarations(content);
+        dtsCache.currentFile = filePath;
+        collectDeclarations(statements, GLOBAL_SCOPE);
+
+        for (const dependency of getDeclarationDependencies(filePath, statements, references, dtsCache.projectConfig)) {
+            parseDtsFile(dependency);
+        }
+    } catch {
+        // Ignore files that can't be read/parsed
+    }
+}
+
+/**
+ * Check if a top-level statement of a regular .ts file declares global types.
+ * Only ambient forms count; runtime code in the file is ignored. Interfaces
+ * and type aliases are global only when the file is a script (no imports/exports).
+ * @param {Statement} statement
+ * @param {boolean} isModule
+ * @returns {boolean}
+ */
+function isAmbientStatement(statement, isModule) {
+    switch (statement.kind) {
+        case 'global':
+        case 'module':
+            return true;
+        case 'namespace':
+        case 'variable':
+        case 'function':
+            return Boolean(statement.ambient);
+        case 'interface':
+        case 'typeAlias':
+            return !isModule;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Parse ambient declarations (declare global / declare module / declare namespace)
+ * from a regular TypeScript source file
+ * @param {string} filePath
+ */
+function parseAmbientSourceFile(filePath) {
+    try {
+        const content = readFileSync(filePath, 'utf-8');
+        if (!content.includes('declare')) return;
+
+        const { statements, isModule } = parseDeclarations(content);
+        dtsCache.currentFile = filePath;
+        collectDeclarations(
+            statements.filter(statement => isAmbientStatement(statement, isModule)),
+            GLOBAL_SCOPE
+        );
+    } catch {
+        // Ignore files that can't be read/parsed
+    }
+}
+
+/**
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isTypeScriptSource(fileName) {
+    return /\.[mc]?ts$/.test(fileName) && !isDeclarationFile(fileName);
+}
+
+/**
+ * Parse an explicitly listed definition file (tsconfig `files`, settings `definitions`)
+ * @param {string} filePath
+ */
+function parseDefinitionFile(filePath) {
+    if (isDeclarationFile(filePath)) {
+        parseDtsFile(filePath);
+    } else if (isTypeScriptSource(filePath)) {
+        parseAmbientSourceFile(filePath);
+    }
+}
+
+/**
+ * Check if a project file belongs to the tsconfig/jsconfig program.
+ * Without a config every file counts.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isProjectFile(filePath) {
+    return !dtsCache.projectConfig || isIncludedFile(dtsCache.projectConfig, filePath);
+}
+
+// =============================================================================
+// SOURCE FILE PARSING - ALL ALIAS PATTERNS
+// =============================================================================
+
+/**
+ * Parse the aliases, imports and exports of a source file.
+ * Aliases belong to the module that declares them; other modules only see
+ * the exported ones they import. Files that do not parse have none.
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {ModuleAliases}
+ */
+function parseSourceFileAliases(content, filePath) {
+    // Skip files without any reference to Titan globals or other modules
+    if (
+        !content.includes('t.') &&
+        !content.includes('Titan') &&
+        !content.includes('= t') &&
+        !content.includes('=t') &&
+        !content.includes('import') &&
+        !content.includes('export') &&
+        !dtsCache.globals.some(name => content.includes(name))
+    ) {
+        return EMPTY_MODULE;
+    }
+
+    const program = parseSource(content, filePath, dtsCache.languageOptions);
+    return program ? extractModuleAliases(program, hasSubMethods, dtsCache.globals) : EMPTY_MODULE;
+}
+
+/**
+ * Check if a path has sub-methods (is a module, not a direct method)
+ * @param {string} path
+ * @returns {boolean}
+ */
+function hasSubMethods(path) {
+    // Check if any method starts with this path + '.'
+    const prefix = `${toCanonicalTitanPath(path, dtsCache.globals)}.`;
+    for (const methodPath of dtsCache.methods.keys()) {
+        if (methodPath.startsWith(prefix)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Parse a source file for aliases
+ * @param {string} filePath
+ * @returns {ModuleAliases}
+ */
+function parseSourceFile(filePath) {
+    try {
+        const content = readFileSync(filePath, 'utf-8');
+        const module = parseSourceFileAliases(content, filePath);
+        dtsCache.modules.set(filePath, module);
+        return module;
+    } catch {
+        // Ignore files that can't be read
+        dtsCache.modules.set(filePath, EMPTY_MODULE);
+        return EMPTY_MODULE;
+    }
+}
+
+/**
+ * Get the aliases of a module, parsing it on first use
+ * (imported files the project scan skipped)
+ * @param {string} filePath
+ * @returns {ModuleAliases}
+ */
+function getModuleAliases(filePath) {
+    return dtsCache.modules.get(filePath) || parseSourceFile(filePath);
+}
+
+/**
+ * Add the aliases a module imports to `scope`, keyed by local name
+ * @param {Map<string, AliasInfo>} scope
+ * @param {ModuleAliases} module
+ * @param {string} filePath - File the imports are relative to
+ */
+function addImportedAliases(scope, module, filePath) {
+    for (const { specifier, imported, local } of module.imports) {
+        const target = filePath ? resolveScriptImport(filePath, specifier) : null;
+        if (!target) continue;
+
+        mergeAliases(scope, imported === '*'
+            ? getNamespaceAliases(target, new Set())
+            : getExportedAliases(target, imported), local);
+    }
+}
+
+/**
+ * Resolve an alias path through the aliases of a scope until it starts at
+ * `t` / `Titan` (`fs.readFile` → `core.fs.readFile` → `t.core.fs.readFile`).
+ * `seen` holds the aliases followed so far, so cycles end.
+ * @param {string} path
+ * @param {Map<string, AliasInfo>} scope
+ * @param {Set<string>} seen
+ * @returns {string | null} Null if the chain does not reach Titan
+ */
+function resolveAliasPath(path, scope, seen) {
+    if (isTitanRootPath(path, dtsCache.globals)) return path;
+
+    const parts = path.split('.');
+    for (let length = parts.length; length >= 1; length--) {
+        const key = parts.slice(0, length).join('.');
+        const alias = scope.get(key);
+        if (!alias) continue;
+        if (seen.has(key)) return null;
+
+        // The rest of the path is resolved with the base, since the base
+        // can be an instance (repo.db → Repo.prototype.db → t.db)
+        seen.add(key);
+        return resolveAliasPath([alias.originalPath, ...parts.slice(length)].join('.'), scope, seen);
+    }
+    return null;
+}
+
+/**
+ * Resolve the chained aliases of a scope (`const fs = core.fs`) to Titan
+ * paths, and drop the ones that do not lead to Titan.
+ * Instances and factory results (`const repo = new Repo()`) do not lead to
+ * Titan themselves, so they get a copy of the members of what they point
+ * to instead: `repo.db` from `Repo.prototype.db`.
+ * @param {Map<string, AliasInfo>} scope
+ */
+function resolveAliasChains(scope) {
+    /** @type {Map<string, string>} */
+    const instances = new Map();
+
+    for (const [aliasName, alias] of scope) {
+        if (isTitanRootPath(alias.originalPath, dtsCache.globals)) continue;
+
+        const originalPath = resolveAliasPath(alias.originalPath, scope, new Set([aliasName]));
+        if (originalPath) {
+            scope.set(aliasName, { ...alias, originalPath, isModule: hasSubMethods(originalPath) });
+        } else {
+            instances.set(aliasName, alias.originalPath);
+        }
+    }
+    instances.forEach((path, aliasName) => scope.delete(aliasName));
+
+    // Members that are instances themselves are copied on later passes
+    let added = instances.size > 0;
+    for (let depth = 0; added && depth < MAX_INSTANCE_DEPTH; depth++) {
+        added = false;
+        instances.forEach((path, aliasName) => {
+            for (const [key, alias] of [...scope]) {
+                if (!key.startsWith(`${path}.`)) continue;
+
+                const member = `${aliasName}${key.slice(path.length)}`;
+                if (!scope.has(member)) {
+                    scope.set(member, alias);
+                    added = true;
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Build the aliases visible in a module: global aliases (unless the module
+ * declares the same name), the aliases it imports and its own, with chains
+ * resolved
+ * @param {ModuleAliases} module
+ * @param {string} filePath
+ * @returns {Map<string, AliasInfo>}
+ */
+function buildModuleScope(module, filePath) {
+    const scope = new Map(dtsCache.aliases);
+    module.locals.forEach(name => scope.delete(name));
+    addImportedAliases(scope, module, filePath);
+    module.aliases.forEach((alias, aliasName) => scope.set(aliasName, alias));
+    resolveAliasChains(scope);
+    return scope;
+}
+
+/**
+ * Get the scope of a project module (see buildModuleScope), cached per file.
+ * A module reached again through an import cycle only sees the aliases
+ * known so far: its own aliases of `t` / `Titan` paths.
+ * @param {string} filePath
+ * @returns {Map<string, AliasInfo>}
+ */
+function getModuleScope(filePath) {
+    const cached = dtsCache.moduleScopes.get(filePath);
+    if (cached) return cached;
+
+    const module = getModuleAliases(filePath);
+
+    /** @type {Map<string, AliasInfo>} */
+    const scope = new Map();
+    module.aliases.forEach((alias, aliasName) => {
+        if (isTitanRootPath(alias.originalPath, dtsCache.globals)) scope.set(aliasName, alias);
+    });
+    dtsCache.moduleScopes.set(filePath, scope);
+
+    buildModuleScope(module, filePath).forEach((alias, aliasName) => scope.set(aliasName, alias));
+    return scope;
+}
+
+/**
+ * Copy aliases into `target`, prefixing their keys
+ * @param {Map<string, AliasInfo>} target
+ * @param {Map<string, AliasInfo>} source
+ * @param {string} prefix
+ */
+function mergeAliases(target, source, prefix) {
+    source.forEach((alias, key) => target.set(`${prefix}${key}`, alias));
+}
+
+/**
+ * Get the aliases behind an exported name of a module. Re-exports and
+ * imported bindings that are exported again are followed through the
+ * import graph; `seen` holds the current chain so cycles end.
+ * Keys are relative to the export: `` for the binding itself, `.fetch`
+ * for the properties of an exported object or namespace.
+ * @param {string} filePath
+ * @param {string} exportedName
+ * @param {Set<string>} [seen]
+ * @returns {Map<string, AliasInfo>}
+ */
+function getExportedAliases(filePath, exportedName, seen = new Set()) {
+    /** @type {Map<string, AliasInfo>} */
+    const result = new Map();
+    const key = `${filePath}#${exportedName}`;
+    if (seen.has(key)) return result;
+    seen.add(key);
+
+    const module = getModuleAliases(filePath);
+    const local = module.exports.get(exportedName);
+
+    if (local) {
+        // Imported bindings are part of the module scope, so
+        // `import { fetch } from './a.js'; export { fetch };` is covered
+        for (const [aliasName, alias] of getModuleScope(filePath)) {
+            if (aliasName === local) {
+                result.set('', alias);
+            } else if (aliasName.startsWith(`${local}.`) || aliasName.startsWith(`${local}().`)) {
+                // Object properties, class members (Repo.prototype.db) and factory results (createService().db)
+                result.set(aliasName.slice(local.length), alias);
+            }
+        }
+    } else {
+        for (const reExport of module.reExports) {
+            const isStar = reExport.exported === '*';
+            if (isStar ? exportedName === 'default' : reExport.exported !== exportedName) continue;
+
+            const target = resolveScriptImport(filePath, reExport.specifier);
+            if (!target) continue;
+
+            const aliases = reExport.imported === '*' && !isStar
+                ? getNamespaceAliases(target, seen)
+                : getExportedAliases(target, isStar ? exportedName : reExport.imported, seen);
+            mergeAliases(result, aliases, '');
+            if (result.size > 0) break;
+        }
+    }
+
+    seen.delete(key);
+    return result;
+}
+
+/**
+ * Get the exported names of a module, including `export * from` ones
+ * @param {string} filePath
+ * @param {Set<string>} seen
+ * @returns {Set<string>}
+ */
+function getExportNames(filePath, seen) {
+    const names = new Set();
+    if (seen.has(filePath)) return names;
+    seen.add(filePath);
+
+    const module = getModuleAliases(filePath);
+    module.exports.forEach((local, name) => names.add(name));
+
+    for (const reExport of module.reExports) {
+        if (reExport.exported !== '*') {
+            names.add(reExport.exported);
+            continue;
+        }
+        const target = resolveScriptImport(filePath, reExport.specifier);
+        if (!target) continue;
+        for (const name of getExportNames(target, seen)) {
+            if (name !== 'default') names.add(name);
+        }
+    }
+
+    seen.delete(filePath);
+    return names;
+}
+
+/**
+ * Get the aliases of a namespace import (`import * as helpers`), keyed
+ * `.fetch`, `.utils.fetch`
+ * @param {string} filePath
+ * @param {Set<string>} seen
+ * @returns {Map<string, AliasInfo>}
+ */
+function getNamespaceAliases(filePath, seen) {
+    /** @type {Map<string, AliasInfo>} */
+    const result = new Map();
+    const key = `${filePath}#*`;
+    if (seen.has(key)) return result;
+    seen.add(key);
+
+    for (const name of getExportNames(filePath, new Set())) {
+        mergeAliases(result, getExportedAliases(filePath, name, seen), `.${name}`);
+    }
+
+    seen.delete(key);
+    return result;
+}
+
+// =============================================================================
+// DIRECTORY SCANNING
+// =============================================================================
+
+/**
+ * Single-pass directory scan for a specific file type
+ * @param {string} dirPath
+ * @param {'dts' | 'source'} pass - Which file types to process
+ * @param {number} depth
+ * @param {number} maxDepth
+ */
+function scanDirectoryPass(dirPath, pass, depth = 0, maxDepth = 10) {
+    if (depth > maxDepth) return;
+
+    try {
+        const entries = readdirSync(dirPath);
+
+        for (const entry of entries) {
+            if (entry.startsWith('.') || SKIP_DIRECTORIES.has(entry)) {
+                continue;
+            }
+
+            const entryPath = join(dirPath, entry);
+
+            try {
+                const stat = statSync(entryPath);
+
+                if (stat.isDirectory()) {
+                    scanDirectoryPass(entryPath, pass, depth + 1, maxDepth);
+                } else if (stat.isFile() && isProjectFile(entryPath)) {
                     const ext = extname(entry);
 
-                    if (pass === 'dts' && ext === '.ts' && entry.endsWith('.d.ts')) {
-                        parseDtsFile(entryPath);
-                    } else if (pass === 'source' && (ext === '.js' || (ext === '.ts' && !entry.endsWith('.d.ts')) || ext === '.mjs')) {
+                    if (pass === 'dts') {
+                        if (isDeclarationFile(entry)) {
+                            parseDtsFile(entryPath);
+                        } else if (isTypeScriptSource(entry)) {
+                            parseAmbientSourceFile(entryPath);
+                        }
+                    } else if (pass === 'source' && (ext === '.js' || ext === '.ts' || ext === '.mjs') && !isDeclarationFile(entry)) {
                         parseSourceFile(entryPath);
                     }
                 }
@@ -670,13 +1576,92 @@ function scanDirectoryPass(dirPath, pass, depth = 0, maxDepth = 10) {
 }
 
 /**
- * Process a single package
+ * Check if a file may assign a member of a Titan global (`t.queue.push =`,
+ * `Titan['queue'].size =` or one of settings.titanpl.globals), as every
+ * method it declares does
+ * @param {string} content
+ * @returns {boolean}
+ */
+function mayAssignTitanMember(content) {
+    const roots = getTitanGlobals(dtsCache.globals).map(name => name.replace(/[$.]/g, '\\$&'));
+    return new RegExp(`(?<![\\w$])(?:${roots.join('|')})(?:\\s*\\??\\.\\s*[\\w$]+|\\s*\\[[^\\]]*\\])+\\s*=(?![=>])`).test(content);
+}
+
+/**
+ * Check if a file quotes a relative module that may assign a Titan member.
+ * Only files with methods are followed past the entry, so an entry whose
+ * relative modules assign none needs no parsing.
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function mayImportTitanMethods(content, filePath) {
+    for (const [, specifier] of content.matchAll(/['"`](\.{1,2}\/[^'"`\s]+)['"`]/g)) {
+        const dependency = resolveScriptImport(filePath, specifier);
+        if (dependency && mayAssignTitanMember(readFileSync(dependency, 'utf-8'))) return true;
+    }
+    return false;
+}
+
+/**
+ * Parse a JavaScript file of an extension package for JSDoc-annotated
+ * Titan methods. Relative imports are followed from the entry file and
+ * from files that declare methods.
+ * Files that never assign a Titan member are not parsed, except an entry
+ * that may import one (`import './queue.js'`).
+ * @param {string} filePath
+ * @param {number} depth
+ */
+function parseScriptFile(filePath, depth = 0) {
+    if (depth > MAX_SCRIPT_DEPTH || dtsCache.parsedFiles.has(filePath)) return;
+    dtsCache.parsedFiles.add(filePath);
+
+    try {
+        const content = readFileSync(filePath, 'utf-8');
+        const mayDeclare = mayAssignTitanMember(content);
+        if (!mayDeclare && (depth > 0 || !mayImportTitanMethods(content, filePath))) return;
+
+        const program = parseSource(content, filePath, { parserOptions: { comment: true } });
+        if (!program) return;
+
+        const methods = mayDeclare ? extractJsDocMethods(program, content, dtsCache.globals) : {};
+        const hasMethods = Object.keys(methods).length > 0;
+
+        if (hasMethods) {
+            registerMethodMap(methods, filePath);
+        }
+        if (depth > 0 && !hasMethods) return;
+
+        for (const specifier of getRelativeImports(program)) {
+            const dependency = resolveScriptImport(filePath, specifier);
+            if (dependency) parseScriptFile(dependency, depth + 1);
+        }
+    } catch {
+        // Ignore files that can't be read
+    }
+}
+
+/**
+ * Process a single package: its declaration files, or the JSDoc of its
+ * JavaScript entry when it ships none. API manifests are queued and
+ * registered after every declaration file.
  * @param {string} packagePath
  */
 function processPackage(packagePath) {
+    const apiManifest = readApiManifest(packagePath);
+    if (apiManifest) {
+        dtsCache.pendingManifests.push(apiManifest);
+    }
+
     const dtsPath = getPackageDtsPath(packagePath);
     if (dtsPath) {
         parseDtsFile(dtsPath);
+        return;
+    }
+
+    const entryPath = getPackageEntryPath(packagePath);
+    if (entryPath) {
+        parseScriptFile(entryPath);
     }
 }
 
@@ -691,7 +1676,8 @@ function scanNodeModules(nodeModulesPath) {
         const entries = readdirSync(nodeModulesPath);
 
         for (const entry of entries) {
-            if (entry.startsWith('.') || entry === '.bin') continue;
+            // @types packages are loaded from the type roots
+            if (entry.startsWith('.') || entry === '.bin' || entry === '@types') continue;
 
             const entryPath = join(nodeModulesPath, entry);
 
@@ -720,33 +1706,262 @@ function scanNodeModules(nodeModulesPath) {
     }
 }
 
+/**
+ * Scan type roots (node_modules/@types unless tsconfig sets `typeRoots`).
+ * When tsconfig sets `types`, only those packages are loaded.
+ * @param {string[]} typeRoots
+ * @param {string[] | null} types
+ */
+function scanTypeRoots(typeRoots, types) {
+    for (const typeRoot of typeRoots) {
+        try {
+            for (const entry of readdirSync(typeRoot)) {
+                if (entry.startsWith('.')) continue;
+                if (types && !types.includes(entry)) continue;
+
+                const packagePath = join(typeRoot, entry);
+                try {
+                    if (statSync(packagePath).isDirectory()) {
+                        processPackage(packagePath);
+                    }
+                } catch { continue; }
+            }
+        } catch {
+            // Missing type root
+        }
+    }
+}
+
+// =============================================================================
+// METHOD MAPS
+// =============================================================================
+
+/**
+ * @typedef {Object} ManifestNamespace
+ * @property {Map<string, string[]>} functions - Function name → signatures (`(a: any): string`)
+ * @property {Map<string, ManifestNamespace>} namespaces - Nested namespaces
+ */
+
+/**
+ * Render a namespace tree as declarations
+ * @param {ManifestNamespace} namespace
+ * @returns {string}
+ */
+function renderManifestNamespace(namespace) {
+    let source = '';
+    for (const [name, signatures] of namespace.functions) {
+        for (const signature of signatures) {
+            source += `function ${name}${signature};\n`;
+        }
+    }
+    for (const [name, child] of namespace.namespaces) {
+        source += `namespace ${name} {\n${renderManifestNamespace(child)}}\n`;
+    }
+    return source;
+}
+
+/**
+ * Register method signatures ({ 't.queue.read': ['(a0: any): Promise<any>'] }).
+ * The entries go through the declaration parser, so
+ * they are classified exactly like scanned signatures (several signatures
+ * become overloads), and declarations from another file registered later
+ * replace them.
+ * @param {Record<string, string[]>} signatures - Method path → signatures
+ * @param {string} origin - File the methods are registered from
+ */
+function registerSignatures(signatures, origin) {
+    /** @type {ManifestNamespace} */
+    const tree = { functions: new Map(), namespaces: new Map() };
+
+    for (const [path, list] of Object.entries(signatures)) {
+        const segments = path.split('.').slice(1);
+        const name = segments.pop();
+        let namespace = tree;
+
+        for (const segment of segments) {
+            if (!namespace.namespaces.has(segment)) {
+                namespace.namespaces.set(segment, { functions: new Map(), namespaces: new Map() });
+            }
+            namespace = namespace.namespaces.get(segment);
+        }
+        namespace.functions.set(name, list);
+    }
+
+    const body = renderManifestNamespace(tree);
+    const { statements } = parseDeclarations(`declare namespace t {\n${body}}\n`);
+
+    dtsCache.currentFile = origin;
+    collectDeclarations(statements, GLOBAL_SCOPE);
+}
+
+/**
+ * Register a map of methods ({ 't.core.fs.readFile': 'Promise<string>' })
+ * accepting any arguments
+ * @param {Record<string, string>} methods - Method path → return type
+ * @param {string} origin - File the methods are registered from
+ */
+function registerMethodMap(methods, origin) {
+    /** @type {Record<string, string[]>} */
+    const signatures = {};
+    for (const [path, returnType] of Object.entries(methods)) {
+        signatures[path] = [`(...args: any[]): ${returnType}`];
+    }
+    registerSignatures(signatures, origin);
+}
+
+// =============================================================================
+// API MANIFESTS
+// =============================================================================
+
+/**
+ * Register the methods of a titan.api.json / package.json `titanpl` manifest
+ * and their deprecations
+ * @param {import('./api-manifest.js').ApiManifestFile} entry
+ */
+function loadApiManifest({ file, manifest }) {
+    const methods = getManifestMethods(manifest, dtsCache.globals);
+
+    /** @type {Record<string, string[]>} */
+    const signatures = {};
+    for (const method of methods) {
+        signatures[method.path] = method.signatures;
+    }
+    registerSignatures(signatures, file);
+
+    for (const method of methods) {
+        if (method.deprecated === null) continue;
+
+        const info = getDeclarations(method.path).find(declaration => declaration.origin === file);
+        if (info) info.deprecated = method.deprecated;
+    }
+}
+
+// =============================================================================
+// BASELINE MANIFEST
+// =============================================================================
+
+/**
+ * Pseudo file the baseline declarations are registered from
+ */
+const BASELINE_FILE = '<titanpl:baseline>';
+
+/**
+ * Register the built-in manifest of core Titan APIs.
+ * Any scanned declaration of the same method replaces its entry.
+ * @param {import('../titan-version.js').CoreManifest} manifest
+ */
+function loadManifest(manifest) {
+    registerMethodMap(manifest.methods, BASELINE_FILE);
+}
+
+/**
+ * Name the source a method was classified from
+ * @param {MethodInfo} methodInfo
+ * @returns {DetectionResult['source']}
+ */
+function getDetectionSource(methodInfo) {
+    if (methodInfo.origin === BASELINE_FILE) return 'baseline';
+    if (typeof methodInfo.origin === 'string' && /\.[mc]?js$/.test(methodInfo.origin)) return 'jsdoc';
+    if (typeof methodInfo.origin === 'string' && methodInfo.origin.endsWith('.json')) return 'manifest';
+    return 'dts-file';
+}
+
 // =============================================================================
 // CACHE INITIALIZATION
 // =============================================================================
 
 /**
- * Initialize the cache
- * @param {string} projectRoot
+ * Get the parser ESLint is configured with for the linted file
+ * @param {Object} context - ESLint rule context
+ * @returns {SourceLanguageOptions}
  */
-function initializeCache(projectRoot) {
-    if (dtsCache.initialized && dtsCache.projectRoot === projectRoot) {
+function getLanguageOptions(context) {
+    const { parser, parserOptions } = context.languageOptions || {};
+    return { parser, parserOptions };
+}
+
+/**
+ * Initialize the cache. Scanned source files are parsed with the parser of
+ * the linted file, which does not invalidate the cache.
+ * @param {string | null} projectRoot - null when the linted file has no project (baseline only)
+ * @param {Object} context - ESLint rule context
+ */
+function initializeCache(projectRoot, context) {
+    const settings = getTitanSettings(context);
+    const settingsKey = JSON.stringify(settings);
+    dtsCache.languageOptions = getLanguageOptions(context);
+
+    if (
+        dtsCache.initialized &&
+        dtsCache.projectRoot === projectRoot &&
+        dtsCache.settingsKey === settingsKey
+    ) {
         return;
     }
 
     dtsCache.methods.clear();
+    dtsCache.declarations.clear();
     dtsCache.aliases.clear();
+    dtsCache.modules.clear();
+    dtsCache.moduleScopes.clear();
     dtsCache.interfaces.clear();
+    dtsCache.typeAliases.clear();
+    dtsCache.pendingReferences = [];
+    dtsCache.pendingManifests = [];
+    dtsCache.parsedFiles.clear();
+    dtsCache.preferDeclarations = settings.preferDeclarations;
+    dtsCache.globals = settings.globals;
     dtsCache.projectRoot = projectRoot;
+    dtsCache.settingsKey = settingsKey;
+    dtsCache.visibleAliases = null;
 
-    // 1. Scan node_modules first (to get base definitions)
-    const nodeModulesPath = join(projectRoot, 'node_modules');
-    scanNodeModules(nodeModulesPath);
+    // 0. Built-in baseline of core Titan APIs (overridden by any scanned .d.ts)
+    if (settings.baseline) {
+        loadManifest(getCoreManifest(settings.version, settings.releases));
+    }
 
-    // 2. Scan project for .d.ts files (to get local definitions)
-    scanDirectory(projectRoot);
+    const projectConfig = projectRoot ? loadProjectConfig(projectRoot) : null;
+    dtsCache.projectConfig = projectConfig;
+
+    if (projectRoot) {
+        // 1. Scan node_modules and type roots first (to get base definitions)
+        const nodeModulesPath = join(projectRoot, 'node_modules');
+        scanNodeModules(nodeModulesPath);
+        scanTypeRoots(
+            (projectConfig && projectConfig.typeRoots) || [join(nodeModulesPath, '@types')],
+            projectConfig && projectConfig.types
+        );
+
+        // 2. Extra definitions from settings and tsconfig entries outside the
+        //    project, then the project's own .d.ts files
+        for (const pattern of settings.definitions) {
+            expandGlob(pattern, projectRoot).forEach(parseDefinitionFile);
+        }
+        if (projectConfig) {
+            getExternalIncludedFiles(projectConfig, projectRoot).forEach(parseDefinitionFile);
+            projectConfig.files.forEach(parseDefinitionFile);
+        }
+        scanDirectoryPass(projectRoot, 'dts');
 
-    // 3. Scan project again for source files (to get aliases)
-    // Note: This is done in the same scanDirectory call above
+        // 3. API manifests: packages, then the project's own
+        const projectManifest = readApiManifest(projectRoot);
+        if (projectManifest) {
+            dtsCache.pendingManifests.push(projectManifest);
+        }
+        dtsCache.pendingManifests.forEach(loadApiManifest);
+    }
+
+    // 4. Resolve interface-typed members and classify return types
+    //    now that every declaration and type alias is known
+    resolveTitanReferences();
+    classifyMethods(settings);
+
+    // 5. Scan project again for source files (to get aliases).
+    // Running after the .d.ts pass ensures that hasSubMethods() has all method
+    // definitions available when evaluating module alias isModule flags.
+    if (projectRoot) {
+        scanDirectoryPass(projectRoot, 'source');
+    }
 
     dtsCache.initialized = true;
 }
@@ -763,60 +1978,53 @@ function initializeCache(projectRoot) {
  * - Simple aliases: myFetch -> t.fetch
  * - Module aliases: db.query -> t.db.query (where db = t.db)
  * - Object property aliases: utils.fetch -> t.fetch
+ * - Namespace imports: helpers.db.query -> t.db.query
  * 
  * @param {string} path
+ * @param {Map<string, AliasInfo>} aliases - Aliases visible in the linted file
  * @returns {{ resolvedPath: string, methodInfo: MethodInfo | undefined }}
  */
-function resolveMethodPath(path) {
+function resolveMethodPath(path, aliases) {
     // 1. Check if it's a direct method path
-    if (dtsCache.methods.has(path)) {
+    const directMethod = getMethod(path);
+    if (directMethod) {
         return {
             resolvedPath: path,
-            methodInfo: dtsCache.methods.get(path)
+            methodInfo: directMethod
         };
     }
 
-    // 2. Check if it's a direct alias (myFetch -> t.fetch)
-    const directAlias = dtsCache.aliases.get(path);
+    // 2. Check if it's a direct alias (myFetch -> t.fetch, utils.fetch -> t.fetch)
+    const directAlias = aliases.get(path);
     if (directAlias) {
-        const methodInfo = dtsCache.methods.get(directAlias.originalPath);
+        const methodInfo = getMethod(directAlias.originalPath);
         return {
             resolvedPath: directAlias.originalPath,
             methodInfo
         };
     }
 
-    // 3. Check if it's a module alias path (db.query where db = t.db)
-    //    Split the path and check if the first part is a module alias
+    // 3. Check if it's a module alias path (db.query where db = t.db,
+    //    helpers.db.query where helpers is a namespace import)
+    //    Split the path and check the longest prefix that is a module alias
     const parts = path.split('.');
-    if (parts.length >= 2) {
-        const firstPart = parts[0];
-        const alias = dtsCache.aliases.get(firstPart);
+    for (let length = parts.length - 1; length >= 1; length--) {
+        const alias = aliases.get(parts.slice(0, length).join('.'));
 
         if (alias && alias.isModule) {
             // Reconstruct the full path
-            const remainingPath = parts.slice(1).join('.');
+            const remainingPath = parts.slice(length).join('.');
             const fullPath = `${alias.originalPath}.${remainingPath}`;
-            const methodInfo = dtsCache.methods.get(fullPath);
+            const methodInfo = getMethod(fullPath);
 
             return {
                 resolvedPath: fullPath,
                 methodInfo
             };
         }
-
-        // 4. Check for object property aliases (utils.fetch -> t.fetch)
-        const objectPropAlias = dtsCache.aliases.get(path);
-        if (objectPropAlias) {
-            const methodInfo = dtsCache.methods.get(objectPropAlias.originalPath);
-            return {
-                resolvedPath: objectPropAlias.originalPath,
-                methodInfo
-            };
-        }
     }
 
-    // 5. Not found
+    // 4. Not found
     return {
         resolvedPath: path,
         methodInfo: undefined
@@ -824,27 +2032,32 @@ function resolveMethodPath(path) {
 }
 
 /**
- * Parse aliases from the current file being linted (via ESLint context).
- * This handles inline aliases that the disk scanner might miss.
+ * Get the aliases visible in the file being linted: global aliases, the
+ * aliases it imports (followed through renames and re-exports), and its own. The file is read
+ * from the ESLint source text, so unsaved edits count.
  * @param {Object} context - ESLint rule context
+ * @returns {Map<string, AliasInfo>}
  */
-function parseCurrentFileSource(context) {
+function getVisibleAliases(context) {
     const filename = context.getFilename?.() || context.filename || '';
-    if (dtsCache._lastParsedFile === filename) return;
+    const sourceCode = context.sourceCode
+        || (typeof context.getSourceCode === 'function' ? context.getSourceCode() : null);
+    const text = sourceCode && typeof sourceCode.getText === 'function' ? sourceCode.getText() : '';
 
-    try {
-        const sourceCode = context.sourceCode
-            || (typeof context.getSourceCode === 'function' ? context.getSourceCode() : null);
-        if (!sourceCode) return;
+    const cached = dtsCache.visibleAliases;
+    if (cached && cached.file === filename && cached.text === text) {
+        return cached.aliases;
+    }
 
-        const text = typeof sourceCode.getText === 'function' ? sourceCode.getText() : '';
-        if (!text) return;
+    // The linted file reuses the AST and scopes of the rules, so alias keys
+    // match the variables the rules look up (see resolveBindingPath)
+    const module = sourceCode && sourceCode.ast
+        ? extractModuleAliases(sourceCode.ast, hasSubMethods, dtsCache.globals, sourceCode.scopeManager)
+        : text ? parseSourceFileAliases(text, filename) : EMPTY_MODULE;
+    const aliases = buildModuleScope(module, filename);
 
-        parseSourceFileAliases(text);
-        dtsCache._lastParsedFile = filename;
-    } catch {
-        // Ignore errors
-    }
+    dtsCache.visibleAliases = { file: filename, text, aliases };
+    return aliases;
 }
 
 // =============================================================================
@@ -852,30 +2065,34 @@ function parseCurrentFileSource(context) {
 // =============================================================================
 
 /**
- * Check if a method is async using .d.ts file definitions
+ * Check if a method is async using .d.ts file definitions.
+ * When the call expression is given, overloaded methods are classified
+ * by the overload its arguments select.
  * 
  * @param {string} methodPath - Full method path or alias
  * @param {Object} context - ESLint rule context
+ * @param {Object} [node] - AST CallExpression node
  * @returns {DetectionResult}
  */
-export function checkWithDtsFile(methodPath, context) {
+export function checkWithDtsFile(methodPath, context, node) {
     try {
         const filename = context.getFilename?.() || context.filename || '';
+        // Without a project only the baseline manifest is available
         const projectRoot = findProjectRoot(dirname(filename));
+        initializeCache(projectRoot, context);
 
-        if (!projectRoot) {
-            return NULL_RESULT;
-        }
-
-        initializeCache(projectRoot);
-
-        const { methodInfo } = resolveMethodPath(methodPath);
+        const { methodInfo } = resolveMethodPath(methodPath, getVisibleAliases(context));
 
         if (methodInfo !== undefined) {
+            const overload = node && node.type === 'CallExpression' && methodInfo.overloads.length > 1
+                ? selectOverload(methodInfo, getTitanCall(node, context).arguments.map(getArgumentKind))
+                : null;
+            const selected = overload || methodInfo;
+
             return {
-                isAsync: methodInfo.isAsync,
-                source: 'dts-file',
-                returnType: methodInfo.returnType
+                isAsync: selected.isAsync,
+                source: getDetectionSource(methodInfo),
+                returnType: selected.returnType
             };
         }
 
@@ -886,6 +2103,192 @@ export function checkWithDtsFile(methodPath, context) {
     }
 }
 
+/**
+ * Get the function a call invokes and its arguments (see getInvokedCall).
+ * `call`, `apply` and `bind` are only unwrapped when the member is not a
+ * Titan method itself: with `t.rpc.call(name): Promise<any>` declared,
+ * `t.rpc.call('x')` calls t.rpc.call, while `t.fetch.call(null, url)` calls t.fetch.
+ * 
+ * @param {Object} node - AST CallExpression node
+ * @param {Object} context - ESLint rule context
+ * @returns {{ callee: Object | null, arguments: Object[] }}
+ */
+export function getTitanCall(node, context) {
+    return getInvokedCall(node, member => isKnownMethod(member, context));
+}
+
+/**
+ * Check if a member expression names a declared Titan method (directly or
+ * through an alias of the linted file)
+ * @param {Object} member - AST MemberExpression node
+ * @param {Object} context - ESLint rule context
+ * @returns {boolean}
+ */
+function isKnownMethod(member, context) {
+    try {
+        const path = isShadowedTitanRoot(member, context)
+            ? null
+            : resolveBindingPath(buildMemberPath(member), member, context);
+        if (!path) return false;
+
+        const filename = context.getFilename?.() || context.filename || '';
+        initializeCache(findProjectRoot(dirname(filename)), context);
+
+        return resolveMethodPath(path, getVisibleAliases(context)).methodInfo !== undefined;
+
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the value a Titan method call returns (for `const conn = drift(t.db.connect())`).
+ * Overloads are selected by the call's argument kinds.
+ * 
+ * @param {string} methodPath - Full method path or alias
+ * @param {Object} context - ESLint rule context
+ * @param {string[]} argumentKinds - From getArgumentKind()
+ * @returns {TypedValue | null}
+ */
+export function getCallReturnValue(methodPath, context, argumentKinds) {
+    try {
+        const filename = context.getFilename?.() || context.filename || '';
+        const projectRoot = findProjectRoot(dirname(filename));
+        initializeCache(projectRoot, context);
+
+        const { methodInfo } = resolveMethodPath(methodPath, getVisibleAliases(context));
+        if (!methodInfo) {
+            return null;
+        }
+
+        const selected = selectOverload(methodInfo, argumentKinds) || methodInfo;
+        return selected.returnTypeNode ? { type: selected.returnTypeNode, scope: selected.scope } : null;
+
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the deprecation an API manifest declares for a Titan method
+ * 
+ * @param {string} methodPath - Full method path or alias
+ * @param {Object} context - ESLint rule context
+ * @returns {string | null} Deprecation message ('' without one), null when not deprecated
+ */
+export function getMethodDeprecation(methodPath, context) {
+    try {
+        const filename = context.getFilename?.() || context.filename || '';
+        const projectRoot = findProjectRoot(dirname(filename));
+        initializeCache(projectRoot, context);
+
+        const { methodInfo } = resolveMethodPath(methodPath, getVisibleAliases(context));
+        return methodInfo && typeof methodInfo.deprecated === 'string' ? methodInfo.deprecated : null;
+
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * List the files that declare a Titan method (direct path or alias), one
+ * record per file. The built-in baseline is left out: every declaration
+ * is meant to replace it.
+ * @param {string} methodPath
+ * @param {Object} context - ESLint rule context
+ * @returns {DeclarationRecord[]}
+ */
+export function getMethodDeclarations(methodPath, context) {
+    try {
+        const filename = context.getFilename?.() || context.filename || '';
+        const projectRoot = findProjectRoot(dirname(filename));
+        initializeCache(projectRoot, context);
+
+        const { resolvedPath, methodInfo } = resolveMethodPath(methodPath, getVisibleAliases(context));
+
+        /** @type {Map<string, DeclarationRecord>} */
+        const records = new Map();
+        for (const info of getDeclarations(resolvedPath)) {
+            if (typeof info.file !== 'string' || info.file === BASELINE_FILE) continue;
+
+            const record = records.get(info.file);
+            records.set(info.file, {
+                file: info.file,
+                isAsync: info.isAsync,
+                returnType: info.returnType,
+                active: info === methodInfo || Boolean(record && record.active)
+            });
+        }
+        return Array.from(records.values());
+
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Get the value drift() produces for an async value
+ * @param {TypedValue} value
+ * @returns {TypedValue | null}
+ */
+export function unwrapAsyncValue(value) {
+    return unwrapAsyncType(value.type, value.scope, new Map(), new Set());
+}
+
+/**
+ * Get the type of a property of a typed value (res.body)
+ * @param {TypedValue} value
+ * @param {string} name
+ * @returns {TypedValue | null}
+ */
+export function getPropertyValue(value, name) {
+    const found = getValueMembers(value).find(({ member }) =>
+        member.kind === 'property' && member.name === name && member.type
+    );
+    return found ? { type: found.member.type, scope: found.scope } : null;
+}
+
+/**
+ * @typedef {Object} MemberCallInfo
+ * @property {boolean | null} isAsync - Whether the selected signature is async, null when undecided
+ * @property {string | null} returnType - Its return type
+ * @property {TypedValue | null} value - The returned value
+ */
+
+/**
+ * Classify a method called on a typed value (conn.query(), res.json())
+ * @param {TypedValue} value
+ * @param {string} name - Method name
+ * @param {string[]} argumentKinds - From getArgumentKind()
+ * @returns {MemberCallInfo | null} null if the value has no such method
+ */
+export function getMemberCall(value, name, argumentKinds) {
+    const overloads = [];
+
+    for (const { member, scope } of getValueMembers(value)) {
+        if (member.name !== name) continue;
+
+        const signature = member.kind === 'method'
+            ? member.signature
+            : member.type?.kind === 'function' ? member.type.signature : null;
+
+        if (signature) overloads.push(createOverload(signature, scope));
+    }
+
+    if (overloads.length === 0) return null;
+
+    overloads.forEach(classifyOverload);
+    const selected = selectOverload({ overloads }, argumentKinds)
+        || overloads.find(overload => overload.isAsync)
+        || overloads[0];
+
+    return {
+        isAsync: selected.isAsync,
+        returnType: selected.returnType,
+        value: selected.returnTypeNode ? { type: selected.returnTypeNode, scope: selected.scope } : null
+    };
+}
+
 /**
  * Check if a name is a known Titan alias
  * 
@@ -902,11 +2305,11 @@ export function checkForAlias(name, context) {
             return { isAlias: false, originalPath: null, source: null, isModule: false };
         }
 
-        initializeCache(projectRoot);
-        parseCurrentFileSource(context)
+        initializeCache(projectRoot, context);
+        const aliases = getVisibleAliases(context);
 
         // 1. Direct alias lookup (myFetch -> t.fetch)
-        const alias = dtsCache.aliases.get(name);
+        const alias = aliases.get(name);
         if (alias) {
             return {
                 isAlias: true,
@@ -916,13 +2319,12 @@ export function checkForAlias(name, context) {
             };
         }
 
-        // 2. Module alias path resolution (db.query where db = t.db)
+        // 2. Module alias path resolution (db.query where db = t.db), longest prefix first
         const parts = name.split('.');
-        if (parts.length >= 2) {
-            const firstPart = parts[0];
-            const moduleAlias = dtsCache.aliases.get(firstPart);
+        for (let length = parts.length - 1; length >= 1; length--) {
+            const moduleAlias = aliases.get(parts.slice(0, length).join('.'));
             if (moduleAlias && moduleAlias.isModule) {
-                const remainingPath = parts.slice(1).join('.');
+                const remainingPath = parts.slice(length).join('.');
                 const fullPath = `${moduleAlias.originalPath}.${remainingPath}`;
                 return {
                     isAlias: true,
@@ -961,15 +2363,14 @@ export function resolveAlias(methodPath, context) {
             return { resolvedPath: methodPath, wasAlias: false, isModule: false };
         }
 
-        initializeCache(projectRoot);
-        parseCurrentFileSource(context);
+        initializeCache(projectRoot, context);
 
         // Direct Titan path
         if (isTitanPath(methodPath)) {
             return { resolvedPath: methodPath, wasAlias: false, isModule: false };
         }
 
-        const { resolvedPath, methodInfo } = resolveMethodPath(methodPath);
+        const { resolvedPath, methodInfo } = resolveMethodPath(methodPath, getVisibleAliases(context));
 
         if (resolvedPath !== methodPath && isTitanPath(resolvedPath)) {
             return {
@@ -987,7 +2388,9 @@ export function resolveAlias(methodPath, context) {
 }
 
 /**
- * Get all known aliases
+ * Get the global aliases (declare global { const x: typeof t.x }).
+ * Aliases declared in source files are only visible where they are
+ * declared or imported.
  * @returns {Map<string, AliasInfo>}
  */
 export function getAliases() {
@@ -999,22 +2402,34 @@ export function getAliases() {
  */
 export function clearDtsCache() {
     dtsCache.methods.clear();
+    dtsCache.declarations.clear();
     dtsCache.aliases.clear();
+    dtsCache.modules.clear();
+    dtsCache.moduleScopes.clear();
     dtsCache.interfaces.clear();
+    dtsCache.typeAliases.clear();
+    dtsCache.pendingReferences = [];
+    dtsCache.pendingManifests = [];
+    dtsCache.parsedFiles.clear();
+    dtsCache.projectConfig = null;
+    dtsCache.preferDeclarations = null;
+    dtsCache.globals = [];
     dtsCache.initialized = false;
     dtsCache.projectRoot = null;
-    dtsCache._lastParsedFile = null;
+    dtsCache.settingsKey = null;
+    dtsCache.visibleAliases = null;
 }
 
 /**
  * Get cache statistics
- * @returns {{ methodsSize: number, aliasesSize: number, interfacesSize: number, projectRoot: string | null }}
+ * @returns {{ methodsSize: number, aliasesSize: number, interfacesSize: number, typeAliasesSize: number, projectRoot: string | null }}
  */
 export function getDtsCacheStats() {
     return {
         methodsSize: dtsCache.methods.size,
         aliasesSize: dtsCache.aliases.size,
         interfacesSize: dtsCache.interfaces.size,
+        typeAliasesSize: dtsCache.typeAliases.size,
         projectRoot: dtsCache.projectRoot
     };
 }
@@ -0,0 +1,1464 @@
+/**
+ * DTS Parser - Declaration Subset
+ *
+ * Tokenizes and parses the subset of TypeScript used by declaration files,
+ * producing a small AST the DTS checker walks to build its symbol table.
+ *
+ * Understands:
+ * 1. Namespaces and modules (nested, dotted, `declare module 'x'`, `declare global`)
+ * 2. Interfaces and classes (members, call signatures, `extends` clauses)
+ * 3. Functions, variables and type aliases
+ * 4. Imports, re-exports and triple-slash directives
+ *
+ * Types are parsed into structured nodes (references, unions, function types,
+ * object literals...) and every node keeps its normalized source `text`.
+ * Comments, strings and template literals never leak into the token stream,
+ * so braces or `Promise<` inside them are ignored.
+ *
+ * Anything outside the subset (expressions, bodies, enums) is skipped
+ * statement by statement, so a single unsupported construct never hides
+ * the rest of the file.
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {'ident' | 'punct' | 'string' | 'number' | 'template' | 'regex' | 'eof'} type
+ * @property {string} value - Identifier name, punctuator or string contents
+ * @property {number} start - Start offset in the source
+ * @property {number} end - End offset in the source
+ * @property {boolean} nl - True if a line break precedes the token
+ */
+
+/**
+ * @typedef {Object} TypeNode
+ * @property {'reference' | 'function' | 'object' | 'mapped' | 'union' | 'intersection' | 'array' | 'tuple' | 'typeof' | 'literal' | 'operator' | 'indexed' | 'conditional'} kind
+ * @property {string} text - Normalized source text of the type
+ * @property {string} [name] - Entity name (reference, typeof)
+ * @property {TypeNode[]} [typeArguments] - Type arguments (reference)
+ * @property {TypeNode[]} [types] - Constituents (union, intersection, tuple)
+ * @property {Signature} [signature] - Signature (function)
+ * @property {Member[]} [members] - Members (object)
+ * @property {TypeNode} [elementType] - Element type (array)
+ */
+
+/**
+ * @typedef {Object} Parameter
+ * @property {string | null} name - Parameter name (null for destructuring patterns)
+ * @property {boolean} optional - Optional or has a default value
+ * @property {boolean} rest - Rest parameter
+ * @property {TypeNode | null} type - Declared type
+ */
+
+/**
+ * @typedef {Object} Signature
+ * @property {string[]} typeParameters - Generic parameter names
+ * @property {Parameter[]} params - Parameters
+ * @property {TypeNode | null} returnType - Declared return type
+ */
+
+/**
+ * @typedef {Object} Member
+ * @property {'method' | 'property' | 'call' | 'construct' | 'index'} kind
+ * @property {string} [name] - Member name (method, property)
+ * @property {boolean} [optional] - Declared with `?`
+ * @property {Signature} [signature] - Signature (method, call, construct)
+ * @property {TypeNode | null} [type] - Declared type (property, index)
+ */
+
+/**
+ * @typedef {Object} Statement
+ * @property {'namespace' | 'module' | 'global' | 'interface' | 'class' | 'typeAlias' | 'function' | 'variable' | 'enum' | 'import' | 'importEquals' | 'exportAll' | 'exportNamed' | 'exportAssignment'} kind
+ * @property {string} [name] - Declared name
+ * @property {boolean} [exported] - Declared with `export`
+ * @property {boolean} [ambient] - Declared with `declare`
+ * @property {Statement[]} [body] - Nested statements (namespace, module, global)
+ * @property {Member[]} [members] - Members (interface, class)
+ * @property {TypeNode[]} [extends] - Heritage clause (interface, class)
+ * @property {string[]} [typeParameters] - Generic parameter names
+ * @property {TypeNode} [type] - Aliased type (typeAlias)
+ * @property {Signature} [signature] - Signature (function)
+ * @property {Array<{ name: string, type: TypeNode | null }>} [declarations] - Declarators (variable)
+ * @property {string} [source] - Module specifier (import, re-exports)
+ */
+
+/**
+ * @typedef {Object} TripleSlashDirective
+ * @property {'path' | 'types' | 'lib'} kind
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} ParsedDeclarations
+ * @property {Statement[]} statements - Top-level statements
+ * @property {TripleSlashDirective[]} references - Triple-slash directives
+ * @property {boolean} isModule - True if the file has top-level imports/exports
+ */
+
+const IDENTIFIER_START = /[$_\p{ID_Start}]/u;
+const IDENTIFIER_REGEX = /[$_\p{ID_Start}][$\u200c\u200d\p{ID_Continue}]*/uy;
+const NUMBER_REGEX = /(?:0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][+-]?\d+)?)n?/y;
+const TRIPLE_SLASH_REGEX = /^\/\/\/\s*<reference\s+(path|types|lib)\s*=\s*["']([^"']+)["']/;
+
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+/**
+ * Keywords after which a `/` starts a regular expression, not a division
+ */
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'case', 'do', 'else', 'in', 'of',
+    'new', 'delete', 'void', 'throw', 'yield', 'await'
+]);
+
+/**
+ * Keywords that start a declaration when they begin a new line
+ */
+const DECLARATION_KEYWORDS = new Set([
+    'declare', 'export', 'import', 'namespace', 'module', 'interface', 'type',
+    'const', 'let', 'var', 'function', 'class', 'enum', 'abstract', 'global'
+]);
+
+const MEMBER_MODIFIERS = new Set([
+    'readonly', 'static', 'public', 'private', 'protected', 'abstract',
+    'declare', 'override', 'accessor', 'async', 'get', 'set'
+]);
+
+const PARAMETER_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+
+const TYPE_OPERATORS = new Set(['keyof', 'unique', 'readonly', 'infer']);
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * Split source text into tokens, dropping whitespace and comments.
+ * Triple-slash reference directives are collected separately.
+ *
+ * @param {string} source
+ * @returns {{ tokens: Token[], references: TripleSlashDirective[] }}
+ */
+export function tokenize(source) {
+    /** @type {Token[]} */
+    const tokens = [];
+    /** @type {TripleSlashDirective[]} */
+    const references = [];
+    const length = source.length;
+    let pos = 0;
+    let nl = false;
+
+    const push = (type, value, start) => {
+        tokens.push({ type, value, start, end: pos, nl });
+        nl = false;
+    };
+
+    while (pos < length) {
+        const ch = source[pos];
+
+        // Line breaks and whitespace
+        if (ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029') {
+            nl = true;
+            pos++;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        // Comments
+        if (ch === '/' && source[pos + 1] === '/') {
+            let end = pos;
+            while (end < length && source[end] !== '\n' && source[end] !== '\r') end++;
+            const directive = source.slice(pos, end).match(TRIPLE_SLASH_REGEX);
+            if (directive) {
+                references.push({ kind: directive[1], value: directive[2] });
+            }
+            pos = end;
+            continue;
+        }
+        if (ch === '/' && source[pos + 1] === '*') {
+            const close = source.indexOf('*/', pos + 2);
+            const end = close === -1 ? length : close + 2;
+            if (/[\n\r\u2028\u2029]/.test(source.slice(pos, end))) nl = true;
+            pos = end;
+            continue;
+        }
+
+        const start = pos;
+
+        // Strings
+        if (ch === '"' || ch === '\'') {
+            pos++;
+            let value = '';
+            while (pos < length && source[pos] !== ch && source[pos] !== '\n') {
+                if (source[pos] === '\\') {
+                    value += source[pos + 1] ?? '';
+                    pos += 2;
+                } else {
+                    value += source[pos++];
+                }
+            }
+            pos++;
+            push('string', value, start);
+            continue;
+        }
+
+        // Template literals (substitutions are skipped as part of the token)
+        if (ch === '`') {
+            pos = skipTemplate(source, pos + 1);
+            push('template', source.slice(start + 1, pos - 1), start);
+            continue;
+        }
+
+        // Identifiers and keywords
+        if (IDENTIFIER_START.test(ch) || (ch === '\\' && source[pos + 1] === 'u')) {
+            IDENTIFIER_REGEX.lastIndex = pos;
+            const match = IDENTIFIER_REGEX.exec(source);
+            if (match) {
+                pos += match[0].length;
+                push('ident', match[0], start);
+                continue;
+            }
+        }
+
+        // Numbers
+        if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[pos + 1] ?? ''))) {
+            NUMBER_REGEX.lastIndex = pos;
+            const match = NUMBER_REGEX.exec(source);
+            pos += match ? Math.max(match[0].length, 1) : 1;
+            push('number', source.slice(start, pos), start);
+            continue;
+        }
+
+        // Regular expression literals (only in source files, never in types)
+        if (ch === '/' && isRegexAllowed(tokens[tokens.length - 1])) {
+            pos = skipRegex(source, pos + 1);
+            push('regex', source.slice(start, pos), start);
+            continue;
+        }
+
+        // Punctuators
+        if (source.startsWith('...', pos)) {
+            pos += 3;
+        } else if (source.startsWith('=>', pos) || (source.startsWith('?.', pos) && !/\d/.test(source[pos + 2] ?? ''))) {
+            pos += 2;
+        } else {
+            pos++;
+        }
+        push('punct', source.slice(start, pos), start);
+    }
+
+    return { tokens, references };
+}
+
+/**
+ * Skip a template literal body, including nested substitutions
+ * @param {string} source
+ * @param {number} pos - Position right after the opening backtick
+ * @returns {number} Position right after the closing backtick
+ */
+function skipTemplate(source, pos) {
+    while (pos < source.length) {
+        const ch = source[pos];
+        if (ch === '\\') {
+            pos += 2;
+        } else if (ch === '`') {
+            return pos + 1;
+        } else if (ch === '$' && source[pos + 1] === '{') {
+            pos = skipSubstitution(source, pos + 2);
+        } else {
+            pos++;
+        }
+    }
+    return pos;
+}
+
+/**
+ * Skip a `${ ... }` substitution inside a template literal
+ * @param {string} source
+ * @param {number} pos - Position right after `${`
+ * @returns {number} Position right after the closing brace
+ */
+function skipSubstitution(source, pos) {
+    let depth = 1;
+    while (pos < source.length) {
+        const ch = source[pos];
+        if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            if (--depth === 0) return pos + 1;
+        } else if (ch === '`') {
+            pos = skipTemplate(source, pos + 1);
+            continue;
+        } else if (ch === '"' || ch === '\'') {
+            pos++;
+            while (pos < source.length && source[pos] !== ch && source[pos] !== '\n') {
+                pos += source[pos] === '\\' ? 2 : 1;
+            }
+        }
+        pos++;
+    }
+    return pos;
+}
+
+/**
+ * Skip a regular expression literal body and its flags
+ * @param {string} source
+ * @param {number} pos - Position right after the opening slash
+ * @returns {number}
+ */
+function skipRegex(source, pos) {
+    let inClass = false;
+    while (pos < source.length) {
+        const ch = source[pos];
+        if (ch === '\n') return pos;
+        if (ch === '\\') {
+            pos += 2;
+            continue;
+        }
+        if (ch === '[') inClass = true;
+        else if (ch === ']') inClass = false;
+        else if (ch === '/' && !inClass) {
+            pos++;
+            while (pos < source.length && /[a-z]/i.test(source[pos])) pos++;
+            return pos;
+        }
+        pos++;
+    }
+    return pos;
+}
+
+/**
+ * Decide whether a `/` starts a regular expression given the previous token
+ * @param {Token | undefined} previous
+ * @returns {boolean}
+ */
+function isRegexAllowed(previous) {
+    if (!previous) return true;
+    if (previous.type === 'punct') return !CLOSERS.has(previous.value);
+    if (previous.type === 'ident') return REGEX_PRECEDING_KEYWORDS.has(previous.value);
+    return false;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * Thrown when the parser meets a construct it cannot handle.
+ * Always caught internally to resynchronize at the next statement or member.
+ */
+class DeclarationSyntaxError extends Error {}
+
+class DeclarationParser {
+    /**
+     * @param {string} source
+     */
+    constructor(source) {
+        const { tokens, references } = tokenize(source);
+        this.source = source;
+        this.tokens = tokens;
+        this.references = references;
+        this.pos = 0;
+        this.isModule = false;
+        /** @type {Token} */
+        this.eof = { type: 'eof', value: '', start: source.length, end: source.length, nl: true };
+    }
+
+    // -------------------------------------------------------------------------
+    // Token helpers
+    // -------------------------------------------------------------------------
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || this.eof;
+    }
+
+    next() {
+        const token = this.peek();
+        if (this.pos < this.tokens.length) this.pos++;
+        return token;
+    }
+
+    previous() {
+        return this.tokens[this.pos - 1] || this.eof;
+    }
+
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    /**
+     * Check the value of a punctuator or identifier token
+     * @param {string} value
+     * @param {number} [offset]
+     */
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return (token.type === 'punct' || token.type === 'ident') && token.value === value;
+    }
+
+    eat(value) {
+        return this.is(value) ? this.next() : null;
+    }
+
+    expect(value) {
+        if (!this.is(value)) {
+            this.fail(`Expected "${value}"`);
+        }
+        return this.next();
+    }
+
+    expectIdentifier() {
+        const token = this.peek();
+        if (token.type !== 'ident') {
+            this.fail('Expected identifier');
+        }
+        return this.next().value;
+    }
+
+    expectString() {
+        const token = this.peek();
+        if (token.type !== 'string') {
+            this.fail('Expected string');
+        }
+        return this.next().value;
+    }
+
+    fail(message) {
+        throw new DeclarationSyntaxError(`${message} at offset ${this.peek().start}`);
+    }
+
+    /**
+     * Skip a balanced (), [] or {} group starting at the current opener
+     */
+    skipBalanced() {
+        let depth = 0;
+        do {
+            const token = this.next();
+            if (token.type !== 'punct') continue;
+            if (OPENERS.has(token.value)) depth++;
+            else if (CLOSERS.has(token.value)) depth--;
+        } while (depth > 0 && !this.atEnd());
+    }
+
+    /**
+     * Index of the token closing the group opened at `index`
+     * @param {number} index
+     * @returns {number}
+     */
+    findClosing(index) {
+        let depth = 0;
+        for (let i = index; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token.type !== 'punct') continue;
+            if (OPENERS.has(token.value)) depth++;
+            else if (CLOSERS.has(token.value) && --depth === 0) return i;
+        }
+        return this.tokens.length;
+    }
+
+    /**
+     * True if the current token starts a new line and nothing on the previous
+     * line asks for a continuation (automatic semicolon insertion)
+     */
+    atLineBoundary() {
+        const token = this.peek();
+        if (!token.nl) return false;
+        const previous = this.previous();
+        if (previous.type === 'punct' && !CLOSERS.has(previous.value)) return false;
+        return token.type !== 'punct' || token.value === '}';
+    }
+
+    /**
+     * Skip an expression up to `,` or `;` or an unbalanced closer
+     */
+    skipExpression() {
+        const start = this.pos;
+        while (!this.atEnd()) {
+            const token = this.peek();
+            if (this.pos > start && this.atLineBoundary()) return;
+            if (token.type === 'punct') {
+                if (token.value === ',' || token.value === ';' || CLOSERS.has(token.value)) return;
+                if (OPENERS.has(token.value)) {
+                    this.skipBalanced();
+                    continue;
+                }
+            }
+            this.next();
+        }
+    }
+
+    /**
+     * Skip the rest of an unsupported statement
+     */
+    skipStatement() {
+        const start = this.pos;
+        while (!this.atEnd()) {
+            const token = this.peek();
+            if (this.pos > start && token.nl && token.type === 'ident' && DECLARATION_KEYWORDS.has(token.value)) {
+                return;
+            }
+            if (token.type === 'punct') {
+                if (token.value === ';') {
+                    this.next();
+                    return;
+                }
+                if (CLOSERS.has(token.value)) return;
+                if (OPENERS.has(token.value)) {
+                    this.skipBalanced();
+                    if (token.value === '{' && this.peek().nl) return;
+                    continue;
+                }
+            }
+            this.next();
+        }
+    }
+
+    /**
+     * Attach normalized source text to a type node
+     * @param {Object} node
+     * @param {Token} startToken
+     * @returns {TypeNode}
+     */
+    finishType(node, startToken) {
+        node.text = this.source
+            .slice(startToken.start, this.previous().end)
+            .replace(/\s+/g, ' ')
+            .trim();
+        return node;
+    }
+
+    // -------------------------------------------------------------------------
+    // Statements
+    // -------------------------------------------------------------------------
+
+    /**
+     * @param {string | null} terminator - Closing punctuator, or null for EOF
+     * @param {boolean} [topLevel]
+     * @returns {Statement[]}
+     */
+    parseStatements(terminator, topLevel = false) {
+        const statements = [];
+
+        while (!this.atEnd() && !(terminator && this.is(terminator))) {
+            const start = this.pos;
+
+            try {
+                const statement = this.parseStatement();
+                if (statement) {
+                    statements.push(statement);
+                    if (topLevel && isModuleStatement(statement)) this.isModule = true;
+                }
+            } catch (error) {
+                if (!(error instanceof DeclarationSyntaxError)) throw error;
+                this.pos = start;
+                this.skipStatement();
+            }
+
+            // Stray closers (or a failed skip) must not stall the loop
+            if (this.pos === start) this.next();
+        }
+
+        return statements;
+    }
+
+    /**
+     * @returns {Statement | null}
+     */
+    parseStatement() {
+        if (this.eat(';')) return null;
+
+        const modifiers = this.parseModifiers();
+        const token = this.peek();
+
+        if (modifiers.export) {
+            const exportStatement = this.parseExport();
+            if (exportStatement) return exportStatement;
+        }
+
+        if (token.type === 'ident') {
+            const following = this.peek(1);
+
+            switch (token.value) {
+                case 'namespace':
+                    if (following.type === 'ident') return this.parseNamespace(modifiers);
+                    break;
+                case 'module':
+                    if (following.type === 'string') return this.parseModule(modifiers);
+                    if (following.type === 'ident') return this.parseNamespace(modifiers);
+                    break;
+                case 'global':
+                    if (this.is('{', 1)) return this.parseGlobal();
+                    break;
+                case 'interface':
+                    if (following.type === 'ident') return this.parseInterface(modifiers);
+                    break;
+                case 'type':
+                    if (following.type === 'ident' && !following.nl) return this.parseTypeAlias(modifiers);
+                    break;
+                case 'function':
+                    return this.parseFunction(modifiers);
+                case 'const':
+                case 'let':
+                case 'var':
+                    return this.parseVariableStatement(modifiers);
+                case 'class':
+                    return this.parseClass(modifiers);
+                case 'enum':
+                    return this.parseEnum(modifiers);
+                case 'import':
+                    if (!this.is('(', 1) && !this.is('.', 1)) return this.parseImport();
+                    break;
+            }
+        }
+
+        this.skipStatement();
+        return null;
+    }
+
+    parseModifiers() {
+        const modifiers = { export: false, declare: false, default: false };
+
+        for (;;) {
+            const token = this.peek();
+            const following = this.peek(1);
+            if (token.type !== 'ident') break;
+
+            if (token.value === 'export' && !this.is('=', 1) && !this.is('.', 1)) {
+                modifiers.export = true;
+            } else if (token.value === 'default' && modifiers.export) {
+                modifiers.default = true;
+            } else if (
+                (token.value === 'declare' || token.value === 'abstract' || token.value === 'async') &&
+                following.type === 'ident' && !following.nl
+            ) {
+                if (token.value === 'declare') modifiers.declare = true;
+            } else {
+                break;
+            }
+            this.next();
+        }
+
+        return modifiers;
+    }
+
+    /**
+     * Parse the export-only statement forms; returns null for
+     * `export <declaration>`, which the caller handles
+     * @returns {Statement | null}
+     */
+    parseExport() {
+        if (this.eat('*')) {
+            let name = null;
+            if (this.eat('as')) name = this.expectIdentifier();
+            this.expect('from');
+            const source = this.expectString();
+            this.eat(';');
+            return { kind: 'exportAll', source, name };
+        }
+
+        if (this.is('type') && this.is('{', 1)) {
+            this.next();
+        }
+
+        if (this.is('{')) {
+            const specifiers = this.parseSpecifiers();
+            let source = null;
+            if (this.eat('from')) source = this.expectString();
+            this.eat(';');
+            return { kind: 'exportNamed', specifiers, source };
+        }
+
+        if (this.eat('=')) {
+            const start = this.peek();
+            const name = this.parseEntityName();
+            if (!this.atLineBoundary() && !this.is(';') && !this.atEnd()) {
+                this.skipStatement();
+                return { kind: 'exportAssignment', name: null };
+            }
+            this.eat(';');
+            return { kind: 'exportAssignment', name: name || start.value };
+        }
+
+        if (this.is('as') && this.is('namespace', 1)) {
+            this.skipStatement();
+            return { kind: 'exportAssignment', name: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse `{ a, b as c, type d }` import/export specifiers
+     * @returns {Array<{ imported: string, local: string }>}
+     */
+    parseSpecifiers() {
+        const specifiers = [];
+        this.expect('{');
+
+        while (!this.is('}') && !this.atEnd()) {
+            if (this.is('type') && (this.peek(1).type === 'ident' || this.peek(1).type === 'string') && !this.is('as', 1)) {
+                this.next();
+            }
+            const token = this.next();
+            if (token.type !== 'ident' && token.type !== 'string') this.fail('Expected specifier');
+            const imported = token.value;
+            let local = imported;
+            if (this.eat('as')) {
+                const alias = this.next();
+                local = alias.value;
+            }
+            specifiers.push({ imported, local });
+            if (!this.eat(',')) break;
+        }
+
+        this.expect('}');
+        return specifiers;
+    }
+
+    parseNamespace(modifiers) {
+        this.next();
+        const names = [this.expectIdentifier()];
+        while (this.eat('.')) names.push(this.expectIdentifier());
+
+        let body = [];
+        if (this.eat('{')) {
+            body = this.parseStatements('}');
+            this.expect('}');
+        } else {
+            this.eat(';');
+        }
+
+        // namespace A.B.C { } is shorthand for nested exported namespaces
+        let node = { kind: 'namespace', name: names[names.length - 1], exported: names.length > 1 || modifiers.export, ambient: modifiers.declare, body };
+        for (let i = names.length - 2; i >= 0; i--) {
+            node = { kind: 'namespace', name: names[i], exported: i > 0 || modifiers.export, ambient: modifiers.declare, body: [node] };
+        }
+        return node;
+    }
+
+    parseModule(modifiers) {
+        this.next();
+        const name = this.expectString();
+        let body = [];
+        if (this.eat('{')) {
+            body = this.parseStatements('}');
+            this.expect('}');
+        } else {
+            this.eat(';');
+        }
+        return { kind: 'module', name, exported: modifiers.export, body };
+    }
+
+    parseGlobal() {
+        this.next();
+        this.expect('{');
+        const body = this.parseStatements('}');
+        this.expect('}');
+        return { kind: 'global', body };
+    }
+
+    parseInterface(modifiers) {
+        this.next();
+        const name = this.expectIdentifier();
+        const typeParameters = this.parseTypeParameters();
+        const heritage = [];
+
+        if (this.eat('extends')) {
+            do {
+                heritage.push(this.parseType());
+            } while (this.eat(','));
+        }
+
+        const members = this.parseObjectMembers(false);
+        return { kind: 'interface', name, exported: modifiers.export, typeParameters, extends: heritage, members };
+    }
+
+    parseClass(modifiers) {
+        this.next();
+        const name = this.peek().type === 'ident' && !this.is('extends') && !this.is('implements') && !this.is('{')
+            ? this.next().value
+            : null;
+        const typeParameters = this.parseTypeParameters();
+        const heritage = [];
+
+        while (this.is('extends') || this.is('implements')) {
+            this.next();
+            do {
+                heritage.push(this.parseType());
+                if (this.is('(')) this.skipBalanced();
+            } while (this.eat(','));
+        }
+
+        const members = this.parseObjectMembers(true);
+        return { kind: 'class', name, exported: modifiers.export, ambient: modifiers.declare, typeParameters, extends: heritage, members };
+    }
+
+    parseTypeAlias(modifiers) {
+        this.next();
+        const name = this.expectIdentifier();
+        const typeParameters = this.parseTypeParameters();
+        this.expect('=');
+        const type = this.parseType();
+        this.eat(';');
+        return { kind: 'typeAlias', name, exported: modifiers.export, typeParameters, type };
+    }
+
+    parseFunction(modifiers) {
+        this.next();
+        this.eat('*');
+        const name = this.expectIdentifier();
+        const signature = this.parseSignature();
+
+        if (this.is('{')) {
+            this.skipBalanced();
+        } else {
+            this.eat(';');
+        }
+
+        return { kind: 'function', name, exported: modifiers.export, ambient: modifiers.declare, signature };
+    }
+
+    parseVariableStatement(modifiers) {
+        const keyword = this.next().value;
+
+        if (keyword === 'const' && this.is('enum')) {
+            return this.parseEnum(modifiers);
+        }
+
+        const declarations = [];
+        do {
+            let name = null;
+            if (this.is('{') || this.is('[')) {
+                this.skipBalanced();
+            } else {
+                name = this.expectIdentifier();
+            }
+            this.eat('!');
+            const type = this.eat(':') ? this.parseType() : null;
+            if (this.eat('=')) this.skipExpression();
+            if (name) declarations.push({ name, type });
+        } while (this.eat(','));
+
+        this.eat(';');
+        return { kind: 'variable', keyword, exported: modifiers.export, ambient: modifiers.declare, declarations };
+    }
+
+    parseEnum(modifiers) {
+        this.next();
+        const name = this.expectIdentifier();
+        if (this.is('{')) this.skipBalanced();
+        return { kind: 'enum', name, exported: modifiers.export };
+    }
+
+    parseImport() {
+        this.next();
+
+        if (this.is('type') && !this.is('from', 1) && !this.is(',', 1) && !this.is('=', 1)) {
+            this.next();
+        }
+
+        // import 'side-effect';
+        if (this.peek().type === 'string') {
+            const source = this.next().value;
+            this.eat(';');
+            return { kind: 'import', source, specifiers: [] };
+        }
+
+        // import x = require('y') / import x = A.B
+        if (this.peek().type === 'ident' && this.is('=', 1)) {
+            const name = this.next().value;
+            this.next();
+            if (this.is('require') && this.is('(', 1)) {
+                this.next();
+                this.next();
+                const source = this.expectString();
+                this.expect(')');
+                this.eat(';');
+                return { kind: 'importEquals', name, source, target: null };
+            }
+            const target = this.parseEntityName();
+            this.eat(';');
+            return { kind: 'importEquals', name, source: null, target };
+        }
+
+        const specifiers = [];
+
+        if (this.peek().type === 'ident' && !this.is('from')) {
+            specifiers.push({ imported: 'default', local: this.next().value });
+            this.eat(',');
+        } else if (this.is('from') && (this.is(',', 1) || this.is('from', 1))) {
+            specifiers.push({ imported: 'default', local: this.next().value });
+            this.eat(',');
+        }
+
+        if (this.eat('*')) {
+            this.expect('as');
+            specifiers.push({ imported: '*', local: this.expectIdentifier() });
+        } else if (this.is('{')) {
+            specifiers.push(...this.parseSpecifiers());
+        }
+
+        this.expect('from');
+        const source = this.expectString();
+
+        // Import attributes: with { type: 'json' }
+        if ((this.is('with') || this.is('assert')) && this.is('{', 1)) {
+            this.next();
+            this.skipBalanced();
+        }
+
+        this.eat(';');
+        return { kind: 'import', source, specifiers };
+    }
+
+    /**
+     * Parse a dotted entity name (A.B.C)
+     * @returns {string | null}
+     */
+    parseEntityName() {
+        if (this.peek().type !== 'ident') return null;
+        let name = this.next().value;
+        while (this.is('.') && this.peek(1).type === 'ident') {
+            this.next();
+            name += `.${this.next().value}`;
+        }
+        return name;
+    }
+
+    // -------------------------------------------------------------------------
+    // Members and signatures
+    // -------------------------------------------------------------------------
+
+    /**
+     * Parse `{ members }` of an interface, class or object type
+     * @param {boolean} allowBodies - Class members may have bodies and initializers
+     * @returns {Member[]}
+     */
+    parseObjectMembers(allowBodies) {
+        this.expect('{');
+        const members = [];
+
+        while (!this.atEnd() && !this.is('}')) {
+            const start = this.pos;
+
+            try {
+                const member = this.parseMember(allowBodies);
+                if (member) members.push(member);
+            } catch (error) {
+                if (!(error instanceof DeclarationSyntaxError)) throw error;
+                this.pos = start;
+                this.skipMember();
+            }
+
+            while (this.eat(';') || this.eat(',')) { /* separators */ }
+            if (this.pos === start) this.next();
+        }
+
+        this.expect('}');
+        return members;
+    }
+
+    skipMember() {
+        const start = this.pos;
+        while (!this.atEnd()) {
+            const token = this.peek();
+            if (this.pos > start && token.nl) return;
+            if (token.type === 'punct') {
+                if (token.value === ';' || token.value === ',' || token.value === '}') return;
+                if (OPENERS.has(token.value)) {
+                    this.skipBalanced();
+                    continue;
+                }
+            }
+            this.next();
+        }
+    }
+
+    /**
+     * @param {boolean} allowBodies
+     * @returns {Member | null}
+     */
+    parseMember(allowBodies) {
+        // Decorators: @decorator or @decorator(...)
+        while (this.eat('@')) {
+            this.parseEntityName();
+            if (this.is('(')) this.skipBalanced();
+        }
+
+        const modifiers = new Set();
+        while (
+            this.peek().type === 'ident' &&
+            MEMBER_MODIFIERS.has(this.peek().value) &&
+            this.isModifierPosition()
+        ) {
+            modifiers.add(this.next().value);
+        }
+
+        // static { } initialization block
+        if (modifiers.has('static') && this.is('{')) {
+            this.skipBalanced();
+            return null;
+        }
+
+        this.eat('*');
+
+        // Call and construct signatures
+        if (this.is('(') || this.is('<')) {
+            return { kind: 'call', signature: this.parseSignature() };
+        }
+        if (this.is('new') && (this.is('(', 1) || this.is('<', 1))) {
+            this.next();
+            return { kind: 'construct', signature: this.parseSignature() };
+        }
+
+        // Index signatures: [key: string]: T
+        if (this.is('[') && this.peek(1).type === 'ident' && this.is(':', 2)) {
+            this.skipBalanced();
+            const type = this.eat(':') ? this.parseType() : null;
+            return { kind: 'index', type };
+        }
+
+        const name = this.parseMemberName();
+        const optional = Boolean(this.eat('?'));
+        this.eat('!');
+
+        if (this.is('(') || this.is('<')) {
+            const signature = this.parseSignature();
+            if (allowBodies && this.is('{')) this.skipBalanced();
+
+            if (modifiers.has('get')) {
+                return { kind: 'property', name, optional, type: signature.returnType };
+            }
+            if (modifiers.has('set')) {
+                return null;
+            }
+            return { kind: 'method', name, optional, signature };
+        }
+
+        const type = this.eat(':') ? this.parseType() : null;
+        if (this.eat('=')) this.skipExpression();
+        return { kind: 'property', name, optional, type };
+    }
+
+    /**
+     * A modifier keyword is only a modifier when followed by a member name
+     */
+    isModifierPosition() {
+        const following = this.peek(1);
+        if (following.nl) return false;
+        if (following.type === 'ident' || following.type === 'string' || following.type === 'number') return true;
+        return following.type === 'punct' && (following.value === '[' || following.value === '*' || following.value === '#');
+    }
+
+    parseMemberName() {
+        const token = this.peek();
+
+        if (token.type === 'ident' || token.type === 'string' || token.type === 'number') {
+            return this.next().value;
+        }
+        if (this.eat('#')) {
+            return `#${this.expectIdentifier()}`;
+        }
+        if (this.is('[')) {
+            const start = this.peek();
+            this.skipBalanced();
+            return this.source.slice(start.start, this.previous().end);
+        }
+
+        this.fail('Expected member name');
+    }
+
+    /**
+     * Parse `<T>(params): ReturnType`
+     * @returns {Signature}
+     */
+    parseSignature() {
+        const typeParameters = this.parseTypeParameters();
+        const params = this.parseParameters();
+        const returnType = this.eat(':') ? this.parseReturnType() : null;
+        return { typeParameters, params, returnType };
+    }
+
+    /**
+     * @returns {Parameter[]}
+     */
+    parseParameters() {
+        const params = [];
+        this.expect('(');
+
+        while (!this.is(')') && !this.atEnd()) {
+            while (this.eat('@')) {
+                this.parseEntityName();
+                if (this.is('(')) this.skipBalanced();
+            }
+            while (PARAMETER_MODIFIERS.has(this.peek().value) && this.peek(1).type === 'ident') {
+                this.next();
+            }
+
+            const rest = Boolean(this.eat('...'));
+            let name = null;
+
+            if (this.is('{') || this.is('[')) {
+                this.skipBalanced();
+            } else {
+                name = this.expectIdentifier();
+            }
+
+            const optional = Boolean(this.eat('?'));
+            const type = this.eat(':') ? this.parseType() : null;
+            let hasDefault = false;
+
+            if (this.eat('=')) {
+                hasDefault = true;
+                this.skipExpression();
+            }
+
+            if (name !== 'this') {
+                params.push({ name, optional: optional || hasDefault, rest, type });
+            }
+
+            if (!this.eat(',')) break;
+        }
+
+        this.expect(')');
+        return params;
+    }
+
+    /**
+     * Parse `<T extends X = Y, U>` and return the parameter names
+     * @returns {string[]}
+     */
+    parseTypeParameters() {
+        const names = [];
+        if (!this.eat('<')) return names;
+
+        while (!this.is('>') && !this.atEnd()) {
+            while ((this.is('const') || this.is('in') || this.is('out')) && this.peek(1).type === 'ident') {
+                this.next();
+            }
+            names.push(this.expectIdentifier());
+            if (this.eat('extends')) this.parseType();
+            if (this.eat('=')) this.parseType();
+            if (!this.eat(',')) break;
+        }
+
+        this.expect('>');
+        return names;
+    }
+
+    /**
+     * Return types may be type predicates: `x is T`, `asserts x is T`
+     * @returns {TypeNode}
+     */
+    parseReturnType() {
+        const start = this.peek();
+
+        if (this.is('asserts') && this.peek(1).type === 'ident' && !this.peek(1).nl) {
+            this.next();
+            this.next();
+            if (this.eat('is')) this.parseType();
+            return this.finishType({ kind: 'reference', name: 'void', typeArguments: [] }, start);
+        }
+
+        if (this.peek().type === 'ident' && this.is('is', 1) && !this.peek(1).nl) {
+            this.next();
+            this.next();
+            this.parseType();
+            return this.finishType({ kind: 'reference', name: 'boolean', typeArguments: [] }, start);
+        }
+
+        return this.parseType();
+    }
+
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /**
+     * @returns {TypeNode}
+     */
+    parseType() {
+        const start = this.peek();
+
+        if (this.isStartOfFunctionType()) {
+            return this.parseFunctionType();
+        }
+
+        const type = this.parseUnionType();
+
+        if (this.is('extends') && !this.peek().nl) {
+            this.next();
+            const extendsType = this.parseUnionType();
+            this.expect('?');
+            const trueType = this.parseType();
+            this.expect(':');
+            const falseType = this.parseType();
+            return this.finishType({ kind: 'conditional', checkType: type, extendsType, trueType, falseType }, start);
+        }
+
+        return type;
+    }
+
+    isStartOfFunctionType() {
+        if (this.is('<')) return true;
+        if (this.is('new') && (this.is('(', 1) || this.is('<', 1))) return true;
+        if (this.is('abstract') && this.is('new', 1)) return true;
+        if (!this.is('(')) return false;
+
+        const closing = this.tokens[this.findClosing(this.pos) + 1];
+        return Boolean(closing && closing.type === 'punct' && closing.value === '=>');
+    }
+
+    parseFunctionType() {
+        const start = this.peek();
+        this.eat('abstract');
+        const isConstructor = Boolean(this.eat('new'));
+        const typeParameters = this.parseTypeParameters();
+        const params = this.parseParameters();
+        this.expect('=>');
+        const returnType = this.parseReturnType();
+
+        return this.finishType({
+            kind: 'function',
+            isConstructor,
+            signature: { typeParameters, params, returnType }
+        }, start);
+    }
+
+    parseUnionType() {
+        const start = this.peek();
+        this.eat('|');
+        const types = [this.parseIntersectionType()];
+
+        while (this.eat('|')) {
+            types.push(this.parseIntersectionType());
+        }
+
+        return types.length === 1 ? types[0] : this.finishType({ kind: 'union', types }, start);
+    }
+
+    parseIntersectionType() {
+        const start = this.peek();
+        this.eat('&');
+        const types = [this.parseOperatorType()];
+
+        while (this.eat('&')) {
+            types.push(this.parseOperatorType());
+        }
+
+        return types.length === 1 ? types[0] : this.finishType({ kind: 'intersection', types }, start);
+    }
+
+    parseOperatorType() {
+        const start = this.peek();
+
+        if (TYPE_OPERATORS.has(start.value) && start.type === 'ident' && this.isTypeOperatorPosition()) {
+            const operator = this.next().value;
+            if (operator === 'infer') {
+                const name = this.expectIdentifier();
+                return this.finishType({ kind: 'operator', operator, type: null, name }, start);
+            }
+            const type = this.parseOperatorType();
+            return this.finishType({ kind: 'operator', operator, type }, start);
+        }
+
+        if (this.isStartOfFunctionType()) {
+            return this.parseFunctionType();
+        }
+
+        return this.parsePostfixType();
+    }
+
+    isTypeOperatorPosition() {
+        const following = this.peek(1);
+        if (following.type === 'ident' || following.type === 'string' || following.type === 'number' || following.type === 'template') {
+            return true;
+        }
+        return following.type === 'punct' && (following.value === '(' || following.value === '[' || following.value === '{');
+    }
+
+    parsePostfixType() {
+        const start = this.peek();
+        let type = this.parsePrimaryType();
+
+        while (this.is('[') && !this.peek().nl) {
+            this.next();
+            if (this.eat(']')) {
+                type = this.finishType({ kind: 'array', elementType: type }, start);
+            } else {
+                const indexType = this.parseType();
+                this.expect(']');
+                type = this.finishType({ kind: 'indexed', objectType: type, indexType }, start);
+            }
+        }
+
+        return type;
+    }
+
+    parsePrimaryType() {
+        const start = this.peek();
+
+        if (start.type === 'string' || start.type === 'number' || start.type === 'template') {
+            this.next();
+            return this.finishType({ kind: 'literal', value: start.value }, start);
+        }
+
+        if (start.type === 'punct') {
+            switch (start.value) {
+                case '(': {
+                    this.next();
+                    const type = this.parseType();
+                    this.expect(')');
+                    return type;
+                }
+                case '{':
+                    return this.parseObjectType();
+                case '[':
+                    return this.parseTupleType();
+                case '-':
+                    this.next();
+                    if (this.peek().type !== 'number') this.fail('Expected number');
+                    this.next();
+                    return this.finishType({ kind: 'literal', value: `-${this.previous().value}` }, start);
+            }
+            this.fail(`Unexpected "${start.value}" in type`);
+        }
+
+        if (start.type !== 'ident') {
+            this.fail('Expected type');
+        }
+
+        if (this.eat('typeof')) {
+            let name;
+            if (this.is('import') && this.is('(', 1)) {
+                name = this.parseImportTypeName();
+            } else {
+                name = this.parseEntityName();
+            }
+            if (!name) this.fail('Expected name after typeof');
+            const typeArguments = this.parseTypeArguments();
+            return this.finishType({ kind: 'typeof', name, typeArguments }, start);
+        }
+
+        const name = this.is('import') && this.is('(', 1)
+            ? this.parseImportTypeName()
+            : this.parseEntityName();
+        const typeArguments = this.parseTypeArguments();
+        return this.finishType({ kind: 'reference', name, typeArguments }, start);
+    }
+
+    /**
+     * Parse `import('module').A.B` into a single reference name
+     * @returns {string}
+     */
+    parseImportTypeName() {
+        this.next();
+        this.expect('(');
+        const source = this.expectString();
+        this.expect(')');
+        let name = `import("${source}")`;
+        while (this.is('.') && this.peek(1).type === 'ident') {
+            this.next();
+            name += `.${this.next().value}`;
+        }
+        return name;
+    }
+
+    /**
+     * @returns {TypeNode[]}
+     */
+    parseTypeArguments() {
+        const typeArguments = [];
+        if (!this.is('<') || this.peek().nl) return typeArguments;
+        this.next();
+
+        while (!this.is('>') && !this.atEnd()) {
+            typeArguments.push(this.parseType());
+            if (!this.eat(',')) break;
+        }
+
+        this.expect('>');
+        return typeArguments;
+    }
+
+    parseObjectType() {
+        const start = this.peek();
+
+        // Mapped types: { [K in keyof T]: ... } / { readonly [K in T]?: ... }
+        let offset = 1;
+        while (this.is('readonly', offset) || this.is('+', offset) || this.is('-', offset)) offset++;
+        if (this.is('[', offset) && this.peek(offset + 1).type === 'ident' && this.is('in', offset + 2)) {
+            this.skipBalanced();
+            return this.finishType({ kind: 'mapped' }, start);
+        }
+
+        const members = this.parseObjectMembers(false);
+        return this.finishType({ kind: 'object', members }, start);
+    }
+
+    parseTupleType() {
+        const start = this.peek();
+        const types = [];
+        this.expect('[');
+
+        while (!this.is(']') && !this.atEnd()) {
+            this.eat('...');
+            // Named tuple members: [name: T, rest?: U]
+            if (this.peek().type === 'ident' && (this.is(':', 1) || (this.is('?', 1) && this.is(':', 2)))) {
+                this.next();
+                this.eat('?');
+                this.next();
+            }
+            types.push(this.parseType());
+            this.eat('?');
+            if (!this.eat(',')) break;
+        }
+
+        this.expect(']');
+        return this.finishType({ kind: 'tuple', types }, start);
+    }
+}
+
+/**
+ * Statements that turn a declaration file into a module
+ * @param {Statement} statement
+ * @returns {boolean}
+ */
+function isModuleStatement(statement) {
+    switch (statement.kind) {
+        case 'import':
+        case 'importEquals':
+        case 'exportAll':
+        case 'exportNamed':
+        case 'exportAssignment':
+            return true;
+        default:
+            return Boolean(statement.exported);
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Parse declaration source text
+ *
+ * Never throws on malformed input: unsupported or broken statements are
+ * skipped and parsing resumes at the next statement.
+ *
+ * @param {string} source
+ * @returns {ParsedDeclarations}
+ */
+export function parseDeclarations(source) {
+    const parser = new DeclarationParser(source);
+    const statements = parser.parseStatements(null, true);
+
+    return {
+        statements,
+        references: parser.references,
+        isModule: parser.isModule
+    };
+}
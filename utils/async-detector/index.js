@@ -2,22 +2,62 @@
  * Async Method Detector - Enhanced Version
  * 
  * Detects if a Titan method is async using:
- * 1. DTS File Reader (reads .d.ts from node_modules and project)
+ * 0. Per-project overrides (settings.titanpl.methods)
+ * 1. DTS File Reader (reads .d.ts from node_modules and project, API
+ *    manifests, JSDoc of JavaScript-only packages, on top of the built-in
+ *    baseline manifest of core Titan APIs)
  * 2. Alias resolution (destructuring, declare global, exports)
- * 3. Permissive fallback
+ * 3. Return types (methods on objects returned by Titan methods)
+ * 4. Permissive fallback
  */
 
-import { checkWithDtsFile, checkForAlias, clearDtsCache as clearDtsFileCacheInternal, getDtsCacheStats } from './dts-file-checker.js';
+import { checkWithDtsFile, checkForAlias, getMethodDeprecation, getMethodDeclarations, getTitanCall, clearDtsCache as clearDtsFileCacheInternal, getDtsCacheStats } from './dts-file-checker.js';
 import { AsyncMethodCache } from './cache.js';
+import { detectReturnedMethod } from './return-types.js';
 import { isTitanCallee } from '../is-titan-callee.js';
+import { getArgumentKind, isShadowedTitanRoot, resolveBindingPath } from '../ast-helpers.js';
+import { getSettingsKey, getTitanSettings } from '../settings.js';
+import { findMethodOverride } from './method-overrides.js';
 
 const cache = new AsyncMethodCache();
 
+/**
+ * Settings the cached results were computed with
+ * @type {string | null}
+ */
+let cacheSettingsKey = null;
+
+/**
+ * Drop cached results when linting with different settings.titanpl
+ * @param {Object} context - ESLint rule context
+ */
+function syncCacheSettings(context) {
+    const settingsKey = getSettingsKey(context);
+    if (settingsKey !== cacheSettingsKey) {
+        cache.clear();
+        cacheSettingsKey = settingsKey;
+    }
+}
+
+/**
+ * Cache key for a call: overloaded methods can resolve differently
+ * depending on the arguments, so the argument kinds are part of the key
+ * @param {string} methodPath
+ * @param {Object} [node] - AST CallExpression node
+ * @param {Object} context - ESLint rule context
+ * @returns {string}
+ */
+function getCacheKey(methodPath, node, context) {
+    if (!node || node.type !== 'CallExpression') return methodPath;
+    return `${methodPath}(${getTitanCall(node, context).arguments.map(getArgumentKind).join(',')})`;
+}
+
 /**
  * Detection result with source information
  * @typedef {Object} DetectionResult
  * @property {boolean | null} isAsync - Whether the method is async (null if unknown)
- * @property {'dts-file' | 'fallback' | null} source - Detection source
+ * @property {'override' | 'dts-file' | 'manifest' | 'jsdoc' | 'baseline' | 'return-type' | 'fallback' | null} source - Detection source
+ *   ('override' with isAsync null: the method is ignored by settings.titanpl.methods)
  * @property {string | null} returnType - Detected return type (if available)
  */
 
@@ -38,7 +78,7 @@ const cache = new AsyncMethodCache();
  */
 export function resolveMethodPath(methodName, context) {
     // If it already starts with t. or Titan., it's a direct path
-    if (isTitanCallee(methodName)) {
+    if (isTitanCallee(methodName, getTitanSettings(context).globals)) {
         return {
             resolvedPath: methodName,
             wasAlias: false,
@@ -67,7 +107,7 @@ export function resolveMethodPath(methodName, context) {
 
 /**
  * Check if a method path represents an async method
- * Uses cascade detection: Alias Resolution → DTS File → Fallback
+ * Uses cascade detection: Alias Resolution → Overrides → DTS File → Return Types → Fallback
  * 
  * @param {string} methodPath - Full method path (e.g., 't.ws.connect') or alias name
  * @param {Object} context - ESLint rule context
@@ -75,46 +115,69 @@ export function resolveMethodPath(methodName, context) {
  * @returns {DetectionResult}
  */
 export function detectAsyncMethod(methodPath, context, node) {
+    // A local `t` / `Titan` (const t = useTranslations()) is not the runtime
+    const callee = node && node.type === 'CallExpression' ? getTitanCall(node, context).callee : null;
+    if (callee && isShadowedTitanRoot(callee, context)) {
+        return detectReturnedMethod(node, context) || { isAsync: false, source: null, returnType: null };
+    }
+
+    // Aliases are looked up through the variable the callee refers to, so a
+    // local that shadows an alias is not the alias; this.db.query inside
+    // class Repo is looked up as Repo.prototype.db.query
+    const bindingPath = resolveBindingPath(methodPath, callee || node, context);
+    if (!bindingPath) {
+        return detectReturnedMethod(node, context) || { isAsync: false, source: null, returnType: null };
+    }
+
     // First, try to resolve if it's an alias
-    const { resolvedPath, wasAlias } = resolveMethodPath(methodPath, context);
+    const { resolvedPath } = resolveMethodPath(bindingPath, context);
     
     // Use the resolved path for detection
     const pathToCheck = resolvedPath;
     
-    // Must be a Titan callee (after alias resolution)
-    if (!isTitanCallee(pathToCheck)) {
-        return { isAsync: false, source: null, returnType: null };
+    // Must be a Titan callee (after alias resolution), or a method on a
+    // value returned by one. Those depend on the variables of the file
+    // being linted, so they are never cached.
+    if (!isTitanCallee(pathToCheck, getTitanSettings(context).globals)) {
+        return detectReturnedMethod(node, context) || { isAsync: false, source: null, returnType: null };
     }
 
-    // Check cache first
-    const cached = cache.get(pathToCheck);
+    // Check cache first. Results are keyed by the resolved Titan path, since
+    // alias names only mean something in the file that sees them.
+    syncCacheSettings(context);
+    const cacheKey = getCacheKey(pathToCheck, node, context);
+    const cached = cache.get(cacheKey);
     if (cached !== undefined) {
         return cached;
     }
 
     let result;
 
-    // 1. Try DTS File Reader (reads .d.ts from node_modules and project)
-    result = checkWithDtsFile(pathToCheck, context);
-    if (result.isAsync !== null) {
-        cache.set(pathToCheck, result);
-        
-        // Also cache the alias if used
-        if (wasAlias && methodPath !== pathToCheck) {
-            cache.set(methodPath, result);
-        }
-        
+    // 0. Per-project overrides win over every declaration
+    const { methods, globals } = getTitanSettings(context);
+    const override = findMethodOverride(pathToCheck, methods, globals);
+    if (override) {
+        result = {
+            isAsync: override === 'ignore' ? null : override === 'async',
+            source: 'override',
+            returnType: null
+        };
+        cache.set(cacheKey, result);
+        return result;
+    }
+
+    // 1. Try DTS File Reader (reads .d.ts from node_modules and project).
+    // A declared method stays undecided (isAsync: null) when the call fits
+    // overloads that disagree.
+    result = checkWithDtsFile(pathToCheck, context, node);
+    if (result.isAsync !== null || result.source !== null) {
+        cache.set(cacheKey, result);
         return result;
     }
 
     // 2. Final fallback: unknown Titan methods are treated as sync (permissive)
     result = { isAsync: false, source: 'fallback', returnType: null };
-    cache.set(pathToCheck, result);
-    
-    if (wasAlias && methodPath !== pathToCheck) {
-        cache.set(methodPath, result);
-    }
-    
+    cache.set(cacheKey, result);
     return result;
 }
 
@@ -143,27 +206,63 @@ export function isTitanAlias(name, context) {
     return checkForAlias(name, context);
 }
 
+/**
+ * Get the deprecation message of a Titan method (direct path or alias)
+ * 
+ * @param {string} methodPath - Full method path or alias
+ * @param {Object} context - ESLint rule context
+ * @returns {string | null} Message ('' without one), null when not deprecated
+ */
+export function getDeprecation(methodPath, context) {
+    return getMethodDeprecation(methodPath, context);
+}
+
+/**
+ * List the files that declare a Titan method (direct path or alias)
+ * 
+ * @param {string} methodPath - Full method path or alias
+ * @param {Object} context - ESLint rule context
+ * @returns {import('./dts-file-checker.js').DeclarationRecord[]}
+ */
+export function getDeclarations(methodPath, context) {
+    return getMethodDeclarations(methodPath, context);
+}
+
 /**
  * Check if a callee is or resolves to a Titan method
  * This combines the original isTitanCallee with alias checking
  * 
  * @param {string} calleePath - The callee path or name
  * @param {Object} context - ESLint rule context  
+ * @param {Object} [calleeNode] - AST node the path was built from, to ignore locals that shadow `t` / `Titan` or an alias
  * @returns {{ isTitan: boolean, resolvedPath: string | null }}
  */
-export function checkTitanCallee(calleePath, context) {
+export function checkTitanCallee(calleePath, context, calleeNode) {
+    const { globals } = getTitanSettings(context);
+
+    if (calleeNode && isShadowedTitanRoot(calleeNode, context)) {
+        return {
+            isTitan: false,
+            resolvedPath: null
+        };
+    }
+
     // Direct Titan path
-    if (isTitanCallee(calleePath)) {
+    if (isTitanCallee(calleePath, globals)) {
         return {
             isTitan: true,
             resolvedPath: calleePath
         };
     }
     
-    // Check for alias
-    const { resolvedPath, wasAlias } = resolveMethodPath(calleePath, context);
+    // Check for alias, through the variable the callee refers to
+    // (this.db inside class Repo is Repo.prototype.db)
+    const bindingPath = resolveBindingPath(calleePath, calleeNode, context);
+    const { resolvedPath, wasAlias } = bindingPath
+        ? resolveMethodPath(bindingPath, context)
+        : { resolvedPath: null, wasAlias: false };
     
-    if (wasAlias && isTitanCallee(resolvedPath)) {
+    if (wasAlias && isTitanCallee(resolvedPath, globals)) {
         return {
             isTitan: true,
             resolvedPath
@@ -201,4 +300,4 @@ export function getCacheStats() {
 }
 
 export { AsyncMethodCache } from './cache.js';
-export { clearDtsCache, getDtsCacheStats, getAliases, getAliasEntries } from './dts-file-checker.js';
\ No newline at end of file
+export { clearDtsCache, getDtsCacheStats, getAliases, getAliasEntries, getTitanCall } from './dts-file-checker.js';
\ No newline at end of file
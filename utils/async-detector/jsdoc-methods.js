@@ -0,0 +1,173 @@
+/**
+ * JSDoc Methods
+ *
+ * Extracts Titan methods from JavaScript-only extension packages, which
+ * document their API with JSDoc instead of shipping .d.ts files: a JSDoc
+ * block with `@returns {Promise<Row[]>}` right before
+ * `t.cache.get = function (key) { ... }` declares an async t.cache.get.
+ *
+ * Every function assigned to a t / Titan path (or one of the names in
+ * settings.titanpl.globals) becomes a method. Its return
+ * type is the JSDoc `@returns` type converted to TypeScript syntax; `async`
+ * functions without one return Promise<any>, others return any.
+ *
+ * Methods and imports are read from the parsed file (parseSource() with
+ * comments), so assignments and require() calls inside comments and strings
+ * do not count.
+ */
+
+import { buildMemberPath, stripGlobalThis } from '../ast-helpers.js';
+import { walk, isTitanRootPath } from './source-aliases.js';
+
+/**
+ * Values that make an assignment a method
+ */
+const FUNCTION_TYPES = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Read the type of a `@returns` / `@return` tag, with balanced braces
+ * @param {string} comment - JSDoc block
+ * @returns {string | null}
+ */
+function getReturnsTag(comment) {
+    const match = comment.match(/@returns?\s*\{/);
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    let depth = 1;
+
+    for (let index = start; index < comment.length; index++) {
+        if (comment[index] === '{') depth++;
+        if (comment[index] === '}' && --depth === 0) {
+            return comment.slice(start, index).replace(/\s*\n\s*\*?\s*/g, ' ').trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that brackets in a type are balanced
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isBalanced(type) {
+    const closing = { '<': '>', '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+
+    for (const ch of type) {
+        if (closing[ch]) {
+            stack.push(closing[ch]);
+        } else if (Object.values(closing).includes(ch) && stack.pop() !== ch) {
+            return false;
+        }
+    }
+    return stack.length === 0;
+}
+
+/**
+ * Convert a JSDoc type to TypeScript syntax
+ * (Promise.<string> → Promise<string>, ?Row → Row, * → any)
+ * @param {string} type
+ * @returns {string}
+ */
+function toTypeScriptType(type) {
+    if (/\bfunction\s*\(/.test(type)) return 'Function';
+
+    const converted = type
+        .replace(/\.</g, '<')
+        .replace(/(^|[<,(|:\s])[?!](?=[\w$({[])/g, '$1')
+        .replace(/(^|[<,(|:\s])\*(?=$|[>,)|\s])/g, '$1any')
+        .trim();
+
+    return converted && isBalanced(converted) ? converted : 'any';
+}
+
+/**
+ * Get the JSDoc block that ends right before a node, with only whitespace between
+ * @param {Object} node
+ * @param {Map<number, string>} jsDocByEnd - JSDoc block values by end offset
+ * @param {string} content
+ * @returns {string | null}
+ */
+function getLeadingJsDoc(node, jsDocByEnd, content) {
+    let end = node.range[0];
+    while (end > 0 && /\s/.test(content[end - 1])) end--;
+
+    return jsDocByEnd.get(end) ?? null;
+}
+
+/**
+ * Extract the Titan methods a JavaScript file assigns
+ * @param {Object} program - ESTree Program, parsed with comments
+ * @param {string} content - Text of the file
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {Record<string, string>} Method path → return type
+ */
+export function extractJsDocMethods(program, content, globals = []) {
+    /** @type {Record<string, string>} */
+    const methods = {};
+
+    /** @type {Map<number, string>} */
+    const jsDocByEnd = new Map();
+    for (const comment of program.comments || []) {
+        if (comment.type === 'Block' && comment.value.startsWith('*')) {
+            jsDocByEnd.set(comment.range[1], comment.value);
+        }
+    }
+
+    walk(program, node => {
+        if (node.type !== 'AssignmentExpression' || node.operator !== '=' || !FUNCTION_TYPES.has(node.right.type)) return;
+
+        const memberPath = node.left.type === 'MemberExpression' ? buildMemberPath(node.left) : null;
+        const path = memberPath && stripGlobalThis(memberPath, globals);
+        if (!path || !path.includes('.') || !isTitanRootPath(path, globals)) return;
+
+        const comment = getLeadingJsDoc(node, jsDocByEnd, content);
+        const returnsType = comment ? getReturnsTag(comment) : null;
+
+        methods[path] = returnsType
+            ? toTypeScriptType(returnsType)
+            : node.right.async ? 'Promise<any>' : 'any';
+    });
+
+    return methods;
+}
+
+/**
+ * Get the module specifier of an import, re-export, import() or require() node
+ * @param {Object} node
+ * @returns {unknown}
+ */
+function getSpecifier(node) {
+    switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ExportNamedDeclaration':
+        case 'ImportExpression':
+            return node.source && node.source.value;
+        case 'CallExpression':
+            // require('./queue')
+            return node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments[0]
+                ? node.arguments[0].value
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * List the relative modules a JavaScript file imports, re-exports or requires
+ * @param {Object} program - ESTree Program
+ * @returns {string[]}
+ */
+export function getRelativeImports(program) {
+    /** @type {Set<string>} */
+    const specifiers = new Set();
+
+    walk(program, node => {
+        const specifier = getSpecifier(node);
+        if (typeof specifier === 'string' && /^\.{1,2}\//.test(specifier)) specifiers.add(specifier);
+    });
+
+    return [...specifiers];
+}
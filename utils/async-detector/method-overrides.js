@@ -0,0 +1,104 @@
+/**
+ * Method Overrides
+ *
+ * Applies `settings.titanpl.methods`, which forces Titan methods async, sync
+ * or ignored regardless of their declarations:
+ *
+ * methods: {
+ *     't.cache.get': 'async',     // exact path
+ *     't.metrics.*': 'sync',      // one path segment
+ *     't.legacy.**': 'ignore'     // any number of segments
+ * }
+ *
+ * An exact path wins over globs; among globs the most specific one (most
+ * literal characters) wins. `t.` and `Titan.` paths match each other.
+ */
+
+import { globToRegExp, hasGlobMagic } from '../glob.js';
+import { toCanonicalTitanPath } from '../ast-helpers.js';
+
+/**
+ * @typedef {import('../settings.js').MethodOverrideMode} MethodOverrideMode
+ */
+
+/**
+ * @typedef {Object} CompiledOverride
+ * @property {RegExp} matcher - Matches `/`-separated core paths
+ * @property {number} specificity - Literal characters in the pattern
+ * @property {MethodOverrideMode} mode
+ */
+
+/**
+ * @typedef {Object} CompiledOverrides
+ * @property {Map<string, MethodOverrideMode>} exact - Core path → mode
+ * @property {CompiledOverride[]} globs - Most specific first
+ */
+
+/**
+ * Compiled overrides by settings
+ * @type {Map<string, CompiledOverrides>}
+ */
+const compiledCache = new Map();
+
+/**
+ * Turn a method path into a `/`-separated path, so dotted globs can reuse
+ * the file glob matcher (`*` stays within one segment)
+ * @param {string} path
+ * @param {string[]} globals - settings.titanpl.globals
+ * @returns {string}
+ */
+function toSegmentPath(path, globals) {
+    return toCanonicalTitanPath(path, globals).replace(/\./g, '/');
+}
+
+/**
+ * @param {Record<string, MethodOverrideMode>} methods
+ * @param {string[]} globals - settings.titanpl.globals
+ * @returns {CompiledOverrides}
+ */
+function compileOverrides(methods, globals) {
+    const key = JSON.stringify([methods, globals]);
+    const cached = compiledCache.get(key);
+    if (cached) return cached;
+
+    /** @type {CompiledOverrides} */
+    const compiled = { exact: new Map(), globs: [] };
+
+    for (const [pattern, mode] of Object.entries(methods)) {
+        if (!hasGlobMagic(pattern)) {
+            compiled.exact.set(toCanonicalTitanPath(pattern, globals), mode);
+            continue;
+        }
+        compiled.globs.push({
+            matcher: globToRegExp(toSegmentPath(pattern, globals)),
+            specificity: pattern.replace(/[*?]/g, '').length,
+            mode
+        });
+    }
+
+    // Stable sort keeps declaration order between equally specific globs
+    compiled.globs.sort((a, b) => b.specificity - a.specificity);
+
+    compiledCache.set(key, compiled);
+    return compiled;
+}
+
+/**
+ * Find the override for a Titan method path
+ * @param {string} methodPath - Resolved Titan path (t.* or Titan.*)
+ * @param {Record<string, MethodOverrideMode>} methods - settings.titanpl.methods
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {MethodOverrideMode | null}
+ */
+export function findMethodOverride(methodPath, methods, globals = []) {
+    if (Object.keys(methods).length === 0) return null;
+
+    const { exact, globs } = compileOverrides(methods, globals);
+
+    const exactMode = exact.get(toCanonicalTitanPath(methodPath, globals));
+    if (exactMode) return exactMode;
+
+    const segmentPath = toSegmentPath(methodPath, globals);
+    const glob = globs.find(override => override.matcher.test(segmentPath));
+    return glob ? glob.mode : null;
+}
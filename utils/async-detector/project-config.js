@@ -0,0 +1,308 @@
+/**
+ * Project Config
+ *
+ * Reads the project's tsconfig.json / jsconfig.json so that definition
+ * discovery matches what the editor's TypeScript sees:
+ * 1. `files`, `include` and `exclude` decide which project files are scanned
+ * 2. `compilerOptions.typeRoots` / `types` decide which @types-style packages load
+ * 3. `compilerOptions.paths` / `baseUrl` resolve bare imports between declaration files
+ * 4. `extends` (relative paths, packages, arrays) is followed and merged
+ *
+ * Paths are resolved against the config file that declares them, like tsc does.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { resolve, join, dirname } from 'path';
+import { globToRegExp, hasGlobMagic, toPosixPath, expandGlob } from '../glob.js';
+
+/**
+ * @typedef {Object} PathMapping
+ * @property {string} pattern - Module pattern (`@shared/*`)
+ * @property {string[]} targets - Absolute target patterns (`/repo/shared/*`)
+ */
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string} configPath - The tsconfig/jsconfig that was loaded
+ * @property {Set<string>} files - Absolute `files` entries
+ * @property {string[]} includeGlobs - Absolute `include` patterns
+ * @property {RegExp[]} include - Compiled `include` patterns
+ * @property {RegExp[]} exclude - Compiled `exclude` patterns
+ * @property {string[] | null} typeRoots - Absolute type roots, null for the default
+ * @property {string[] | null} types - Packages allowed from the type roots, null for all
+ * @property {PathMapping[]} paths - Path mappings, most specific first
+ */
+
+/**
+ * Config file names, in lookup order
+ */
+const CONFIG_FILE_NAMES = ['tsconfig.json', 'jsconfig.json'];
+
+/**
+ * Folders excluded when the config has no `exclude`
+ */
+const DEFAULT_EXCLUDE = ['node_modules', 'bower_components', 'jspm_packages'];
+
+/**
+ * Maximum `extends` depth
+ */
+const MAX_EXTENDS_DEPTH = 10;
+
+// =============================================================================
+// CONFIG FILE READING
+// =============================================================================
+
+/**
+ * Parse JSON with comments and trailing commas (tsconfig flavour)
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsonc(text) {
+    let output = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const ch = text[index];
+
+        if (ch === '"') {
+            const start = index++;
+            while (index < text.length && text[index] !== '"') {
+                index += text[index] === '\\' ? 2 : 1;
+            }
+            output += text.slice(start, ++index);
+        } else if (ch === '/' && text[index + 1] === '/') {
+            while (index < text.length && text[index] !== '\n') index++;
+        } else if (ch === '/' && text[index + 1] === '*') {
+            const close = text.indexOf('*/', index + 2);
+            index = close === -1 ? text.length : close + 2;
+        } else {
+            output += ch;
+            index++;
+        }
+    }
+
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isFile(filePath) {
+    try {
+        return statSync(filePath).isFile();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolve an `extends` entry: a relative path or a package in node_modules
+ * @param {string} specifier
+ * @param {string} configDir
+ * @returns {string | null}
+ */
+function resolveExtends(specifier, configDir) {
+    const candidates = [];
+
+    if (specifier.startsWith('.') || specifier.startsWith('/') || /^[A-Za-z]:/.test(specifier)) {
+        const base = resolve(configDir, specifier);
+        candidates.push(base, `${base}.json`);
+    } else {
+        let currentPath = configDir;
+        while (true) {
+            const base = join(currentPath, 'node_modules', specifier);
+            candidates.push(base, `${base}.json`, join(base, 'tsconfig.json'));
+
+            const parentPath = dirname(currentPath);
+            if (parentPath === currentPath) break;
+            currentPath = parentPath;
+        }
+    }
+
+    return candidates.find(isFile) || null;
+}
+
+/**
+ * Turn a tsconfig include/exclude entry into an absolute glob.
+ * A last segment without extension or wildcard names a directory.
+ * @param {string} pattern
+ * @param {string} configDir
+ * @returns {string}
+ */
+function toAbsolutePattern(pattern, configDir) {
+    const absolute = toPosixPath(resolve(configDir, pattern));
+    const lastSegment = absolute.slice(absolute.lastIndexOf('/') + 1);
+    const isDirectory = !hasGlobMagic(lastSegment) && !lastSegment.includes('.');
+    return isDirectory ? `${absolute}/**/*` : absolute;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[] | undefined}
+ */
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string') : undefined;
+}
+
+/**
+ * Read a config file and everything it extends. Relative paths are made
+ * absolute against the file declaring them before merging.
+ * @param {string} configPath
+ * @param {Set<string>} seen - Guards against `extends` cycles
+ * @returns {Object}
+ */
+function readConfigChain(configPath, seen) {
+    if (seen.has(configPath) || seen.size > MAX_EXTENDS_DEPTH) return {};
+    seen.add(configPath);
+
+    const json = parseJsonc(readFileSync(configPath, 'utf-8')) || {};
+    const configDir = dirname(configPath);
+    const merged = { compilerOptions: {} };
+
+    const parents = typeof json.extends === 'string' ? [json.extends] : stringList(json.extends) || [];
+    for (const parent of parents) {
+        const parentPath = resolveExtends(parent, configDir);
+        if (!parentPath) continue;
+        try {
+            mergeConfig(merged, readConfigChain(parentPath, seen));
+        } catch {
+            // Ignore unreadable base configs
+        }
+    }
+
+    const own = { compilerOptions: {} };
+    const files = stringList(json.files);
+    const include = stringList(json.include);
+    const exclude = stringList(json.exclude);
+
+    if (files) own.files = files.map(file => toPosixPath(resolve(configDir, file)));
+    if (include) own.include = include.map(pattern => toAbsolutePattern(pattern, configDir));
+    if (exclude) own.exclude = exclude.map(pattern => toAbsolutePattern(pattern, configDir));
+
+    const options = json.compilerOptions && typeof json.compilerOptions === 'object' ? json.compilerOptions : {};
+    const typeRoots = stringList(options.typeRoots);
+    const types = stringList(options.types);
+
+    if (typeRoots) own.compilerOptions.typeRoots = typeRoots.map(root => resolve(configDir, root));
+    if (types) own.compilerOptions.types = types;
+    if (typeof options.baseUrl === 'string') own.compilerOptions.baseUrl = resolve(configDir, options.baseUrl);
+    if (typeof options.outDir === 'string') own.compilerOptions.outDir = resolve(configDir, options.outDir);
+    if (options.paths && typeof options.paths === 'object') {
+        own.compilerOptions.paths = options.paths;
+        own.compilerOptions.pathsBase = configDir;
+    }
+
+    mergeConfig(merged, own);
+    return merged;
+}
+
+/**
+ * Merge a config over a base: top-level lists replace, compiler options merge
+ * @param {Object} base
+ * @param {Object} config
+ */
+function mergeConfig(base, config) {
+    for (const key of ['files', 'include', 'exclude']) {
+        if (config[key]) base[key] = config[key];
+    }
+    Object.assign(base.compilerOptions, config.compilerOptions);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Build path mappings, resolving targets against baseUrl (or the declaring config)
+ * @param {Object} options - Merged compiler options
+ * @returns {PathMapping[]}
+ */
+function buildPathMappings(options) {
+    if (!options.paths) return [];
+
+    const base = options.baseUrl || options.pathsBase;
+    const mappings = [];
+
+    for (const [pattern, targets] of Object.entries(options.paths)) {
+        const list = stringList(targets);
+        if (!list) continue;
+        mappings.push({ pattern, targets: list.map(target => resolve(base, target)) });
+    }
+
+    // Longest prefix wins, as in tsc
+    const prefixLength = (pattern) => pattern.includes('*') ? pattern.indexOf('*') : Infinity;
+    return mappings.sort((a, b) => prefixLength(b.pattern) - prefixLength(a.pattern));
+}
+
+/**
+ * Load tsconfig.json (or jsconfig.json) from the project root
+ * @param {string} projectRoot
+ * @returns {ProjectConfig | null} null when the project has no config
+ */
+export function loadProjectConfig(projectRoot) {
+    const configPath = CONFIG_FILE_NAMES.map(name => join(projectRoot, name)).find(isFile);
+    if (!configPath) return null;
+
+    try {
+        const merged = readConfigChain(configPath, new Set());
+        const options = merged.compilerOptions;
+        const configDir = dirname(configPath);
+
+        const include = merged.include
+            || (merged.files ? [] : [toAbsolutePattern('**/*', configDir)]);
+        const exclude = merged.exclude
+            || [...DEFAULT_EXCLUDE, ...(options.outDir ? [options.outDir] : [])]
+                .map(pattern => toAbsolutePattern(pattern, configDir));
+
+        return {
+            configPath,
+            files: new Set(merged.files || []),
+            includeGlobs: include,
+            include: include.map(globToRegExp),
+            exclude: exclude.map(globToRegExp),
+            typeRoots: options.typeRoots || null,
+            types: options.types || null,
+            paths: buildPathMappings(options)
+        };
+    } catch {
+        // Unreadable config: fall back to scanning everything
+        return null;
+    }
+}
+
+/**
+ * Check whether a project file is part of the TypeScript program
+ * @param {ProjectConfig} config
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isIncludedFile(config, filePath) {
+    const path = toPosixPath(filePath);
+    if (config.files.has(path)) return true;
+    if (config.exclude.some(pattern => pattern.test(path))) return false;
+    return config.include.some(pattern => pattern.test(path));
+}
+
+/**
+ * List included files that live outside the project root
+ * (e.g. `"include": ["../shared/typings"]`), which a scan of the root misses
+ * @param {ProjectConfig} config
+ * @param {string} projectRoot
+ * @returns {string[]}
+ */
+export function getExternalIncludedFiles(config, projectRoot) {
+    const rootPrefix = `${toPosixPath(projectRoot).replace(/\/$/, '')}/`;
+    const files = [];
+
+    for (const pattern of config.includeGlobs) {
+        if (pattern.startsWith(rootPrefix)) continue;
+        files.push(...expandGlob(pattern, projectRoot).filter(file => isIncludedFile(config, file)));
+    }
+
+    for (const file of config.files) {
+        if (!file.startsWith(rootPrefix)) files.push(file);
+    }
+
+    return files;
+}
@@ -0,0 +1,147 @@
+/**
+ * Return Type Tracking
+ *
+ * Follows the values Titan methods return through variables and drift(),
+ * so methods called on returned objects are classified too:
+ * 1. const conn = drift(t.db.connect());  conn.query()   → Connection.query
+ * 2. const res = drift(t.fetch(url));     res.json()     → Response.json
+ * 3. const cursor = t.db.cursor();        cursor.next()  → Cursor.next
+ * 4. Chains: drift(conn.query()).first(), res.body.read()
+ *
+ * drift() unwraps Promise<T> (and configured async types) to T. Variables are
+ * followed through their initializer when they are never reassigned.
+ */
+
+import {
+    buildMemberPath,
+    getPropertyName,
+    getArgumentKind,
+    isDriftCall,
+    isShadowedTitanRoot,
+    resolveBindingPath,
+    getScope,
+    findVariable
+} from '../ast-helpers.js';
+import { getCallReturnValue, getMemberCall, getPropertyValue, getTitanCall, unwrapAsyncValue } from './dts-file-checker.js';
+
+/**
+ * @typedef {import('./dts-file-checker.js').TypedValue} TypedValue
+ * @typedef {import('./index.js').DetectionResult} DetectionResult
+ */
+
+/**
+ * Maximum number of expressions followed for a single value
+ */
+const MAX_DEPTH = 20;
+
+/**
+ * Get the initializer of a variable that is never reassigned
+ * @param {Object} variable - ESLint scope variable
+ * @returns {Object | null}
+ */
+function getInitializer(variable) {
+    if (variable.defs.length !== 1) return null;
+
+    const def = variable.defs[0];
+    if (def.type !== 'Variable' || def.node.id.type !== 'Identifier' || !def.node.init) {
+        return null;
+    }
+
+    const writes = variable.references.filter(reference => reference.isWrite());
+    return writes.length <= 1 ? def.node.init : null;
+}
+
+/**
+ * Resolve the declared type of an expression
+ * @param {Object} node - Expression node
+ * @param {Object} context - ESLint rule context
+ * @param {number} depth
+ * @returns {TypedValue | null}
+ */
+function resolveValue(node, context, depth) {
+    if (!node || depth > MAX_DEPTH) return null;
+
+    switch (node.type) {
+        case 'CallExpression': {
+            if (isDriftCall(node, context)) {
+                const inner = resolveValue(node.arguments[0], context, depth + 1);
+                return inner ? unwrapAsyncValue(inner) : null;
+            }
+            return resolveCallValue(node, context, depth);
+        }
+
+        case 'ChainExpression':
+            return resolveValue(node.expression, context, depth + 1);
+
+        case 'Identifier': {
+            const variable = findVariable(getScope(context, node), node.name);
+            const init = variable ? getInitializer(variable) : null;
+            return init ? resolveValue(init, context, depth + 1) : null;
+        }
+
+        case 'MemberExpression': {
+            const name = getPropertyName(node);
+            const object = name ? resolveValue(node.object, context, depth + 1) : null;
+            return object ? getPropertyValue(object, name) : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolve the value a call returns: a Titan method (direct or aliased)
+ * or a method of a value that was itself resolved
+ * @param {Object} node - CallExpression
+ * @param {Object} context - ESLint rule context
+ * @param {number} depth
+ * @returns {TypedValue | null}
+ */
+function resolveCallValue(node, context, depth) {
+    const { callee, arguments: args } = getTitanCall(node, context);
+    const argumentKinds = args.map(getArgumentKind);
+    const methodPath = isShadowedTitanRoot(callee, context)
+        ? null
+        : resolveBindingPath(buildMemberPath(callee), callee, context);
+
+    if (methodPath) {
+        const value = getCallReturnValue(methodPath, context, argumentKinds);
+        if (value) return value;
+    }
+
+    if (callee.type !== 'MemberExpression') return null;
+
+    const name = getPropertyName(callee);
+    const object = name ? resolveValue(callee.object, context, depth + 1) : null;
+    const call = object ? getMemberCall(object, name, argumentKinds) : null;
+    return call ? call.value : null;
+}
+
+/**
+ * Classify a method called on a value returned by a Titan method
+ * (conn.query() where const conn = drift(t.db.connect()))
+ * @param {Object} node - CallExpression
+ * @param {Object} context - ESLint rule context
+ * @returns {DetectionResult | null} null when the receiver's type is unknown
+ */
+export function detectReturnedMethod(node, context) {
+    if (!node || node.type !== 'CallExpression') {
+        return null;
+    }
+
+    const { callee, arguments: args } = getTitanCall(node, context);
+    const name = callee.type === 'MemberExpression' ? getPropertyName(callee) : null;
+    if (!name) return null;
+
+    try {
+        const object = resolveValue(callee.object, context, 0);
+        const call = object ? getMemberCall(object, name, args.map(getArgumentKind)) : null;
+
+        return call
+            ? { isAsync: call.isAsync, source: 'return-type', returnType: call.returnType }
+            : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,640 @@
+/**
+ * Source Aliases
+ *
+ * Extracts the Titan aliases, imports and exports of a JavaScript module
+ * from its ESTree AST, so comments, template strings, JSX and multi-line
+ * expressions are read the way the rules read them.
+ *
+ * const { fetch } = t;                    → fetch      → t.fetch
+ * const { core: { fs } } = t;             → fs         → t.core.fs (module)
+ * const db = t.db;                        → db         → t.db (module)
+ * const get = t.fetch.bind(t);            → get        → t.fetch
+ * function handler(fs = t.core.fs) {}     → fs         → t.core.fs (module)
+ * const utils = { read: t.core.fs.readFile };
+ *                                         → utils.read → t.core.fs.readFile
+ * class Repo { db = t.db }               → Repo.prototype.db → t.db (module)
+ * this.db = t.db (in a method of Repo)   → Repo.prototype.db → t.db (module)
+ * const repo = new Repo();                → repo       → Repo.prototype
+ * function createService() { return { db: t.db }; }
+ *                                         → createService().db → t.db (module)
+ * import { fetch as get } from './a.js';  → import of `fetch` as `get`
+ * export * from './a.js';                 → re-export of every name
+ *
+ * Aliases are keyed by the variable that declares them (see getBindingKey):
+ * top-level variables by name, variables of functions and blocks by name
+ * and position (`fs@120`), so they only apply where that variable is in scope.
+ *
+ * Scanned files are parsed with the parser ESLint is configured with, or
+ * espree. Files with syntax errors have no aliases.
+ */
+
+import * as espree from 'espree';
+import { analyze } from 'eslint-scope';
+import { KEYS } from 'eslint-visitor-keys';
+import {
+    buildMemberPath,
+    getBindingKey,
+    getPropertyName,
+    getRootNode,
+    getThisOwner,
+    getVariableName,
+    isTitanGlobal,
+    stripGlobalThis
+} from '../ast-helpers.js';
+
+/**
+ * @typedef {Object} AliasInfo
+ * @property {string} originalPath - Original Titan path (e.g., 't.fetch' or 't.db' for modules)
+ * @property {'destructuring' | 'assignment' | 'export' | 'object-property' | 'declare-global'} source
+ * @property {boolean} [isModule] - True if this alias points to a module (not a method)
+ */
+
+/**
+ * @typedef {Object} ImportedBinding
+ * @property {string} specifier - Relative module specifier
+ * @property {string} imported - Exported name, `default`, or `*` for a namespace import
+ * @property {string} local - Local binding name
+ */
+
+/**
+ * @typedef {Object} ReExport
+ * @property {string} specifier - Relative module specifier
+ * @property {string} imported - Name in the other module, or `*`
+ * @property {string} exported - Exported name, or `*` for `export * from`
+ */
+
+/**
+ * @typedef {Object} ModuleAliases
+ * @property {Map<string, AliasInfo>} aliases - Aliases declared in the module (`fetch`, `utils.fetch`, `default`)
+ * @property {Map<string, string>} exports - Exported name → local name
+ * @property {ImportedBinding[]} imports - Imports of relative modules
+ * @property {ReExport[]} reExports - `export ... from` of relative modules
+ * @property {Set<string>} locals - Names declared at the top level, which hide global aliases
+ */
+
+/**
+ * @typedef {Object} ExtractOptions
+ * @property {(path: string) => boolean} isModulePath - True for Titan paths with sub-methods
+ * @property {(identifier: Object) => string} keyOf - Key of the variable an identifier declares or refers to
+ * @property {string[]} globals - Extra Titan roots from settings.titanpl.globals
+ */
+
+/**
+ * @typedef {Object} SourceLanguageOptions
+ * @property {{ parse?: Function, parseForESLint?: Function }} [parser] - Custom parser (espree if omitted)
+ * @property {Object} [parserOptions]
+ */
+
+/**
+ * Empty module, for files without Titan aliases
+ * @type {ModuleAliases}
+ */
+export const EMPTY_MODULE = { aliases: new Map(), exports: new Map(), imports: [], reExports: [], locals: new Set() };
+
+/**
+ * Node keys that never hold child nodes
+ */
+const SKIPPED_KEYS = new Set(['parent', 'loc', 'range', 'tokens', 'comments']);
+
+/**
+ * Nodes with parameters
+ */
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse a source file into an ESTree Program
+ * @param {string} text
+ * @param {string} filePath
+ * @param {SourceLanguageOptions} [languageOptions] - Parser ESLint is configured with
+ * @returns {Object | null} Null on syntax errors
+ */
+export function parseSource(text, filePath, languageOptions = {}) {
+    const { parser, parserOptions } = languageOptions;
+
+    for (const sourceType of ['module', 'script']) {
+        const options = { ...parserOptions, ecmaVersion: 'latest', sourceType, filePath, range: true };
+        try {
+            if (parser && typeof parser.parseForESLint === 'function') {
+                return parser.parseForESLint(text, options).ast;
+            }
+            if (parser && typeof parser.parse === 'function') {
+                return parser.parse(text, options);
+            }
+            return espree.parse(text, { ecmaFeatures: { jsx: true }, ...options });
+        } catch {
+            // Retry as a script (with statements, top-level return), then give up
+        }
+    }
+    return null;
+}
+
+/**
+ * Analyze the scopes of a parsed source file
+ * @param {Object} program - ESTree Program
+ * @returns {Object | null} eslint-scope ScopeManager, null if the tree cannot be analyzed
+ */
+export function analyzeScopes(program) {
+    try {
+        return analyze(program, {
+            ecmaVersion: espree.latestEcmaVersion,
+            sourceType: program.sourceType === 'module' ? 'module' : 'script',
+            childVisitorKeys: KEYS,
+            // Nodes of other parsers (TypeScript, Flow) are walked by their keys
+            fallback: node => Object.keys(node).filter(key => !SKIPPED_KEYS.has(key))
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the key of the variable every identifier of a program declares or
+ * refers to (see getBindingKey). Globals and unresolved names keep their name.
+ * @param {Object | null} scopeManager
+ * @returns {(identifier: Object) => string}
+ */
+function createKeyOf(scopeManager) {
+    /** @type {Map<Object, Object>} */
+    const variables = new Map();
+
+    for (const scope of scopeManager ? scopeManager.scopes : []) {
+        for (const variable of scope.variables) {
+            variable.identifiers.forEach(identifier => variables.set(identifier, variable));
+        }
+        for (const reference of scope.references) {
+            if (reference.resolved) variables.set(reference.identifier, reference.resolved);
+        }
+    }
+
+    return identifier => {
+        const variable = variables.get(identifier);
+        return variable ? getBindingKey(variable) : identifier.name;
+    };
+}
+
+/**
+ * Names declared at the top level of a program
+ * @param {Object | null} scopeManager
+ * @returns {Set<string>}
+ */
+function getTopLevelNames(scopeManager) {
+    const names = new Set();
+
+    for (const scope of scopeManager ? scopeManager.scopes : []) {
+        if (scope.block.type !== 'Program') continue;
+        scope.variables.forEach(variable => {
+            if (variable.defs.length > 0) names.add(variable.name);
+        });
+    }
+    return names;
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Call `visit` for every node below `node`, with its ancestors (outermost first)
+ * @param {Object} node
+ * @param {(node: Object, ancestors: Object[]) => void} visit
+ * @param {Object[]} [ancestors]
+ */
+export function walk(node, visit, ancestors = []) {
+    visit(node, ancestors);
+
+    ancestors.push(node);
+    for (const [key, value] of Object.entries(node)) {
+        if (SKIPPED_KEYS.has(key) || !value || typeof value !== 'object') continue;
+
+        for (const child of Array.isArray(value) ? value : [value]) {
+            if (child && typeof child.type === 'string') walk(child, visit, ancestors);
+        }
+    }
+    ancestors.pop();
+}
+
+/**
+ * Get the path an alias refers to: a Titan path (`Titan.core.fs`), or a
+ * path through another variable (`core.fs`) that is resolved later, once
+ * the aliases of the module and its imports are known.
+ * `globalThis.t` is `t`; `this` is replaced by its owner (`Repo.prototype`),
+ * instances by the prototype of their class, and results of local
+ * factories by the call (`createService()`). Roots are keyed by the
+ * variable they refer to (`fs@120.readFile`).
+ * @param {Object | null} node
+ * @param {Object[]} ancestors - Ancestors of the node, outermost first
+ * @param {ExtractOptions} options
+ * @returns {string | null}
+ */
+function getAliasPath(node, ancestors, options) {
+    if (!node) return null;
+
+    // const get = t.fetch.bind(t)
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && getPropertyName(node.callee) === 'bind') {
+        return getAliasPath(node.callee.object, ancestors, options);
+    }
+
+    if (node.type === 'NewExpression' || node.type === 'CallExpression') {
+        // Results of Titan calls are typed by their declarations (return types)
+        const callee = getAliasPath(node.callee, ancestors, options);
+        if (!callee || isTitanRootPath(callee, options.globals)) return null;
+        return node.type === 'NewExpression' ? `${callee}.prototype` : `${callee}()`;
+    }
+
+    const path = buildMemberPath(node);
+    if (path === 'this' || (path && path.startsWith('this.'))) {
+        const owner = getThisOwner(ancestors, options.keyOf);
+        return owner && `${owner}${path.slice('this'.length)}`;
+    }
+
+    const root = path ? getRootNode(node) : null;
+    return root && stripGlobalThis(`${options.keyOf(root)}${path.slice(root.name.length)}`, options.globals);
+}
+
+/**
+ * Check if an alias path starts at `t` / `Titan`
+ * @param {string} path
+ * @param {string[]} [globals] - settings.titanpl.globals
+ * @returns {boolean}
+ */
+export function isTitanRootPath(path, globals = []) {
+    return isTitanGlobal(path.split('.')[0], globals);
+}
+
+/**
+ * Name of an identifier or string literal (`export { a as "b" }`)
+ * @param {Object | null} node
+ * @returns {string | null}
+ */
+function getName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    return node.type === 'Literal' && typeof node.value === 'string' ? node.value : null;
+}
+
+/**
+ * Relative module specifier of an import / export declaration
+ * @param {Object} node
+ * @returns {string | null}
+ */
+function getRelativeSpecifier(node) {
+    const specifier = node.source && node.source.value;
+    return typeof specifier === 'string' && /^\.{1,2}\//.test(specifier) ? specifier : null;
+}
+
+/**
+ * Register the Titan members of an object literal as `objectName.prop` aliases
+ * @param {ModuleAliases} module
+ * @param {string} objectName
+ * @param {Object} objectNode - ObjectExpression
+ * @param {ExtractOptions} options
+ * @param {Object[]} [ancestors] - Ancestors of the object, outermost first
+ */
+function addObjectAliases(module, objectName, objectNode, options, ancestors = []) {
+    for (const property of objectNode.properties) {
+        if (property.type !== 'Property' || property.computed) continue;
+
+        const key = getName(property.key);
+        const originalPath = getAliasPath(property.value, ancestors, options);
+        if (key && originalPath) {
+            module.aliases.set(`${objectName}.${key}`, { originalPath, source: 'object-property', isModule: options.isModulePath(originalPath) });
+        }
+    }
+}
+
+/**
+ * Register the value assigned to a member path (`Repo.prototype.db`,
+ * `createService().db`): an alias path, or the members of an object literal
+ * @param {ModuleAliases} module
+ * @param {string} memberPath
+ * @param {Object} value
+ * @param {ExtractOptions} options
+ * @param {Object[]} ancestors - Ancestors of the value, outermost first
+ */
+function addMemberAlias(module, memberPath, value, options, ancestors) {
+    if (value.type === 'ObjectExpression') {
+        addObjectAliases(module, memberPath, value, options, ancestors);
+        return;
+    }
+
+    const originalPath = getAliasPath(value, ancestors, options);
+    if (originalPath) {
+        module.aliases.set(memberPath, { originalPath, source: 'assignment', isModule: options.isModulePath(originalPath) });
+    }
+}
+
+/**
+ * Register the members `this` gets in a class or object method:
+ * fields (`db = t.db`) and assignments (`this.db = t.db`)
+ * @param {ModuleAliases} module
+ * @param {Object} node - PropertyDefinition or AssignmentExpression
+ * @param {Object[]} ancestors - Ancestors of the node, outermost first
+ * @param {ExtractOptions} options
+ */
+function addThisMemberAliases(module, node, ancestors, options) {
+    const inner = [...ancestors, node];
+
+    if (node.type === 'PropertyDefinition') {
+        // db = t.db / #db = t.db
+        const key = node.computed ? null : node.key.type === 'PrivateIdentifier' ? `#${node.key.name}` : getName(node.key);
+        const owner = key && node.value ? getThisOwner(inner, options.keyOf) : null;
+        if (owner) addMemberAlias(module, `${owner}.${key}`, node.value, options, inner);
+        return;
+    }
+
+    if (node.operator !== '=' || node.left.type !== 'MemberExpression') return;
+
+    const target = buildMemberPath(node.left);
+    const memberPath = target && target.startsWith('this.') ? getAliasPath(node.left, ancestors, options) : null;
+    if (memberPath) addMemberAlias(module, memberPath, node.right, options, inner);
+}
+
+/**
+ * Register what a named function returns as `name()` aliases, so the
+ * results of object factories keep their members:
+ * function createService() { return { db: t.db }; }  → createService().db → t.db
+ * @param {ModuleAliases} module
+ * @param {Object} value - Returned expression
+ * @param {Object} fn - Function returning it
+ * @param {Object | undefined} parent - Parent of the function
+ * @param {Object[]} ancestors - Ancestors of the value, outermost first
+ * @param {ExtractOptions} options
+ */
+function addReturnAliases(module, value, fn, parent, ancestors, options) {
+    const name = getVariableName(fn, parent, options.keyOf);
+    if (name) addMemberAlias(module, `${name}()`, value, options, ancestors);
+}
+
+/**
+ * Register the aliases of a variable declarator
+ * @param {ModuleAliases} module
+ * @param {Object} declarator - VariableDeclarator
+ * @param {boolean} exported
+ * @param {ExtractOptions} options
+ * @param {Object[]} ancestors - Ancestors of the declarator, outermost first
+ */
+function addDeclaratorAliases(module, declarator, exported, options, ancestors) {
+    const { id, init } = declarator;
+    if (!init) return;
+
+    // const utils = { fetch: t.fetch }
+    if (id.type === 'Identifier' && init.type === 'ObjectExpression') {
+        addObjectAliases(module, options.keyOf(id), init, options, ancestors);
+        return;
+    }
+
+    const prefix = getAliasPath(init, ancestors, options);
+    if (!prefix) return;
+
+    // const myFetch = t.fetch / export const db = t.db / const fs = core.fs
+    if (id.type === 'Identifier') {
+        module.aliases.set(options.keyOf(id), { originalPath: prefix, source: exported ? 'export' : 'assignment', isModule: options.isModulePath(prefix) });
+        return;
+    }
+
+    // const { fetch, join: pathJoin } = t.core
+    addPatternAliases(module, id, prefix, options);
+}
+
+/**
+ * Register the aliases bound by a destructuring pattern whose value is
+ * `path`. Nested patterns extend the path; default values do not
+ * change it, since the default only applies when the member is missing.
+ *
+ * const { core: { fs: { readFile: rf } } } = t   → rf → t.core.fs.readFile
+ * const { fetch = fallback } = t                  → fetch → t.fetch
+ * const { log, ...rest } = t                      → rest → t (module)
+ *
+ * @param {ModuleAliases} module
+ * @param {Object} pattern
+ * @param {string} path
+ * @param {ExtractOptions} options
+ */
+function addPatternAliases(module, pattern, path, options) {
+    switch (pattern.type) {
+        case 'Identifier':
+            module.aliases.set(options.keyOf(pattern), { originalPath: path, source: 'destructuring', isModule: options.isModulePath(path) });
+            break;
+        case 'AssignmentPattern':
+            addPatternAliases(module, pattern.left, path, options);
+            break;
+        case 'ObjectPattern':
+            for (const property of pattern.properties) {
+                if (property.type === 'RestElement') {
+                    if (property.argument.type === 'Identifier') {
+                        module.aliases.set(options.keyOf(property.argument), { originalPath: path, source: 'destructuring', isModule: true });
+                    }
+                    continue;
+                }
+
+                const key = property.computed ? null : getName(property.key);
+                if (key) addPatternAliases(module, property.value, `${path}.${key}`, options);
+            }
+            break;
+        default:
+            // Array patterns do not map to Titan members
+            break;
+    }
+}
+
+/**
+ * Register the aliases of parameters whose default is a Titan path:
+ * function handler(fs = t.core.fs) { ... }
+ * @param {ModuleAliases} module
+ * @param {Object} fn - Function node
+ * @param {ExtractOptions} options
+ * @param {Object[]} ancestors - Ancestors of the function, outermost first
+ */
+function addParameterAliases(module, fn, options, ancestors) {
+    for (const param of fn.params) {
+        if (param.type !== 'AssignmentPattern') continue;
+
+        const path = getAliasPath(param.right, [...ancestors, fn], options);
+        if (path) addPatternAliases(module, param.left, path, options);
+    }
+}
+
+/**
+ * Names bound by a declaration pattern
+ * @param {Object} pattern
+ * @returns {string[]}
+ */
+function getBoundNames(pattern) {
+    switch (pattern.type) {
+        case 'Identifier':
+            return [pattern.name];
+        case 'ObjectPattern':
+            return pattern.properties.flatMap(property => getBoundNames(property.type === 'RestElement' ? property.argument : property.value));
+        case 'ArrayPattern':
+            return pattern.elements.filter(Boolean).flatMap(getBoundNames);
+        case 'AssignmentPattern':
+            return getBoundNames(pattern.left);
+        case 'RestElement':
+            return getBoundNames(pattern.argument);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Register an import declaration of a relative module
+ * @param {ModuleAliases} module
+ * @param {Object} node - ImportDeclaration
+ */
+function addImport(module, node) {
+    const specifier = getRelativeSpecifier(node);
+    if (!specifier || node.importKind === 'type') return;
+
+    for (const item of node.specifiers) {
+        if (item.importKind === 'type') continue;
+
+        const imported = item.type === 'ImportDefaultSpecifier' ? 'default'
+            : item.type === 'ImportNamespaceSpecifier' ? '*'
+                : getName(item.imported);
+        if (imported) module.imports.push({ specifier, imported, local: item.local.name });
+    }
+}
+
+/**
+ * Register an export declaration
+ * @param {ModuleAliases} module
+ * @param {Object} node - ExportNamedDeclaration, ExportAllDeclaration or ExportDefaultDeclaration
+ * @param {ExtractOptions} options
+ */
+function addExport(module, node, options) {
+    if (node.exportKind === 'type') return;
+
+    // export * from './a.js' / export * as helpers from './a.js'
+    if (node.type === 'ExportAllDeclaration') {
+        const specifier = getRelativeSpecifier(node);
+        if (specifier) module.reExports.push({ specifier, imported: '*', exported: getName(node.exported) || '*' });
+        return;
+    }
+
+    if (node.type === 'ExportDefaultDeclaration') {
+        const declaration = node.declaration;
+
+        if (declaration.type === 'Identifier' && !isTitanGlobal(declaration.name, options.globals)) {
+            // export default myFetch
+            module.exports.set('default', declaration.name);
+        } else if (declaration.type === 'Identifier' || declaration.type === 'MemberExpression') {
+            // export default t.fetch
+            const originalPath = getAliasPath(declaration, [], options);
+            if (originalPath) {
+                module.aliases.set('default', { originalPath, source: 'export', isModule: options.isModulePath(originalPath) });
+                module.exports.set('default', 'default');
+            }
+        } else if (declaration.type === 'ObjectExpression') {
+            // export default { fetch: t.fetch }
+            addObjectAliases(module, 'default', declaration, options);
+            module.exports.set('default', 'default');
+        } else if (declaration.type === 'ClassDeclaration' || declaration.type === 'FunctionDeclaration') {
+            // export default class Repo { ... } (members are keyed Repo.prototype.*)
+            module.exports.set('default', declaration.id ? declaration.id.name : 'default');
+        }
+        return;
+    }
+
+    // export { fetch as get } from './a.js'
+    const specifier = getRelativeSpecifier(node);
+    if (node.source) {
+        if (!specifier) return;
+        for (const item of node.specifiers) {
+            const imported = getName(item.local);
+            const exported = getName(item.exported);
+            if (imported && exported) module.reExports.push({ specifier, imported, exported });
+        }
+        return;
+    }
+
+    // export const fetch = t.fetch / export const { fetch } = t
+    if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const declarator of node.declaration.declarations) {
+            getBoundNames(declarator.id).forEach(name => module.exports.set(name, name));
+        }
+    }
+
+    // export class Repo { ... } / export function createService() { ... }
+    if (node.declaration && node.declaration.id && node.declaration.id.type === 'Identifier') {
+        module.exports.set(node.declaration.id.name, node.declaration.id.name);
+    }
+
+    // export { fetch, db as database }
+    for (const item of node.specifiers) {
+        const local = getName(item.local);
+        const exported = getName(item.exported);
+        if (local && exported) module.exports.set(exported, local);
+    }
+}
+
+/**
+ * Extract the aliases, imports and exports of a module.
+ * Aliases are read from every variable declaration and parameter default,
+ * so aliases declared in functions count too (the rules check scopes when they are called),
+ * and from the members classes and object factories give their instances;
+ * imports and exports only appear at the top level.
+ * @param {Object} program - ESTree Program
+ * @param {(path: string) => boolean} isModulePath - True for Titan paths with sub-methods
+ * @param {string[]} [globals] - Extra Titan roots from settings.titanpl.globals
+ * @param {Object | null} [scopeManager] - Scopes of the program (the linted file reuses ESLint's)
+ * @returns {ModuleAliases}
+ */
+export function extractModuleAliases(program, isModulePath, globals = [], scopeManager = analyzeScopes(program)) {
+    /** @type {ModuleAliases} */
+    const module = { aliases: new Map(), exports: new Map(), imports: [], reExports: [], locals: getTopLevelNames(scopeManager) };
+    /** @type {ExtractOptions} */
+    const options = { isModulePath, keyOf: createKeyOf(scopeManager), globals };
+
+    const exportedDeclarations = new Set(program.body
+        .filter(statement => statement.type === 'ExportNamedDeclaration' && statement.declaration)
+        .map(statement => statement.declaration));
+
+    walk(program, (node, ancestors) => {
+        if (FUNCTION_TYPES.has(node.type)) {
+            addParameterAliases(module, node, options, ancestors);
+        }
+
+        switch (node.type) {
+            case 'VariableDeclaration': {
+                const exported = exportedDeclarations.has(node);
+                for (const declarator of node.declarations) {
+                    addDeclaratorAliases(module, declarator, exported, options, [...ancestors, node]);
+                }
+                break;
+            }
+            case 'PropertyDefinition':
+            case 'AssignmentExpression':
+                addThisMemberAliases(module, node, ancestors, options);
+                break;
+            case 'ArrowFunctionExpression':
+                // const createService = () => ({ db: t.db })
+                if (node.body.type !== 'BlockStatement') {
+                    addReturnAliases(module, node.body, node, ancestors[ancestors.length - 1], [...ancestors, node], options);
+                }
+                break;
+            case 'ReturnStatement': {
+                const index = ancestors.findLastIndex(ancestor => FUNCTION_TYPES.has(ancestor.type));
+                if (node.argument && index >= 0) {
+                    addReturnAliases(module, node.argument, ancestors[index], ancestors[index - 1], [...ancestors, node], options);
+                }
+                break;
+            }
+        }
+    });
+
+    for (const statement of program.body) {
+        if (statement.type === 'ImportDeclaration') {
+            addImport(module, statement);
+        } else if (/^Export(?:Named|All|Default)Declaration$/.test(statement.type)) {
+            addExport(module, statement, options);
+        }
+    }
+
+    const isEmpty = module.aliases.size === 0 && module.exports.size === 0
+        && module.imports.length === 0 && module.reExports.length === 0 && module.locals.size === 0;
+    return isEmpty ? EMPTY_MODULE : module;
+}
@@ -0,0 +1,385 @@
+/**
+ * Typings Resolver
+ *
+ * Locates the declaration files of a package the way TypeScript does and
+ * lists the declaration files an entry pulls in:
+ * 1. package.json `exports` (`types` condition, nested `import` / `require` entries)
+ * 2. `typesVersions` path mappings
+ * 3. `types` / `typings`, then a `.d.ts` next to `main`
+ * 4. index.d.ts / dist/index.d.ts fallbacks (also for @types packages without package.json)
+ * 5. `/// <reference path>` / `/// <reference types>` directives and
+ *    relative imports / re-exports (`export * from './sub'`)
+ * 6. Bare imports matching tsconfig `paths`
+ *
+ * Packages without declaration files are resolved to their JavaScript entry
+ * instead (`exports`, `main`, index.js), for JSDoc-annotated extensions.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { resolve, join, dirname } from 'path';
+
+/**
+ * @typedef {import('./dts-parser.js').Statement} Statement
+ * @typedef {import('./dts-parser.js').TripleSlashDirective} TripleSlashDirective
+ */
+
+/**
+ * Export conditions TypeScript matches for ESM consumers, in priority order
+ * of appearance in the package's own `exports` object
+ */
+const IMPORT_CONDITIONS = new Set(['types', 'import', 'node', 'default']);
+
+/**
+ * Export conditions matched for CommonJS consumers
+ */
+const REQUIRE_CONDITIONS = new Set(['types', 'require', 'node', 'default']);
+
+/**
+ * Statement kinds that pull in another module
+ */
+const DEPENDENCY_KINDS = new Set(['import', 'importEquals', 'exportAll', 'exportNamed']);
+
+// =============================================================================
+// FILE HELPERS
+// =============================================================================
+
+/**
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isDeclarationFile(fileName) {
+    return /\.d\.[mc]?ts$/.test(fileName);
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string | null} The path if it is an existing file
+ */
+function existingFile(filePath) {
+    try {
+        return statSync(filePath).isFile() ? filePath : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the declaration file for a module path (file.js → file.d.ts,
+ * file.mjs → file.d.mts, dir → dir/index.d.ts)
+ * @param {string} filePath
+ * @returns {string | null}
+ */
+function findDeclarationFor(filePath) {
+    if (isDeclarationFile(filePath)) return existingFile(filePath);
+
+    const codeMatch = filePath.match(/\.([mc]?)[jt]sx?$/);
+    if (codeMatch) {
+        const base = filePath.slice(0, -codeMatch[0].length);
+        const isTypeScript = /ts/.test(codeMatch[0]);
+        return existingFile(`${base}.d.${codeMatch[1]}ts`)
+            || (isTypeScript ? existingFile(filePath) : null);
+    }
+
+    return existingFile(`${filePath}.d.ts`)
+        || existingFile(`${filePath}.ts`)
+        || existingFile(`${filePath}.d.mts`)
+        || existingFile(`${filePath}.d.cts`)
+        || existingFile(join(filePath, 'index.d.ts'));
+}
+
+/**
+ * Find the source file for a module path (file, file.js, file.ts, dir/index.js).
+ * TypeScript sources import their siblings by the emitted name, so
+ * `./helper.js` also finds `helper.ts` (and `.mjs` → `.mts`, `.cjs` → `.cts`).
+ * @param {string} filePath
+ * @returns {string | null}
+ */
+function findScriptFor(filePath) {
+    if (isDeclarationFile(filePath)) return null;
+
+    const codeMatch = filePath.match(/\.([mc]?)([jt])s$/);
+    if (codeMatch) {
+        const base = filePath.slice(0, -codeMatch[0].length);
+        return existingFile(filePath)
+            || (codeMatch[2] === 'j' ? existingFile(`${base}.${codeMatch[1]}ts`) : null);
+    }
+
+    return existingFile(`${filePath}.js`)
+        || existingFile(`${filePath}.mjs`)
+        || existingFile(`${filePath}.cjs`)
+        || existingFile(`${filePath}.ts`)
+        || existingFile(`${filePath}.mts`)
+        || existingFile(`${filePath}.cts`)
+        || existingFile(join(filePath, 'index.js'))
+        || existingFile(join(filePath, 'index.ts'));
+}
+
+/**
+ * @param {string} packagePath
+ * @returns {Object | null}
+ */
+function readPackageJson(packagePath) {
+    try {
+        const packageJson = JSON.parse(readFileSync(join(packagePath, 'package.json'), 'utf-8'));
+        return packageJson && typeof packageJson === 'object' ? packageJson : null;
+    } catch {
+        return null;
+    }
+}
+
+// =============================================================================
+// PACKAGE ENTRY RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve an `exports` target for a set of active conditions
+ * @param {string} packagePath
+ * @param {unknown} target
+ * @param {Set<string>} conditions
+ * @param {(filePath: string) => string | null} findFile - Declaration or script lookup
+ * @returns {string | null}
+ */
+function resolveExportTarget(packagePath, target, conditions, findFile) {
+    if (typeof target === 'string') {
+        return findFile(resolve(packagePath, target));
+    }
+
+    if (Array.isArray(target)) {
+        for (const item of target) {
+            const found = resolveExportTarget(packagePath, item, conditions, findFile);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    if (target && typeof target === 'object') {
+        // Conditions are matched in the order the package lists them
+        for (const [condition, value] of Object.entries(target)) {
+            if (!conditions.has(condition) && !condition.startsWith('types@')) continue;
+            const found = resolveExportTarget(packagePath, value, conditions, findFile);
+            if (found) return found;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the file of the package root from `exports`
+ * @param {string} packagePath
+ * @param {unknown} exports
+ * @param {(filePath: string) => string | null} findFile - Declaration or script lookup
+ * @returns {string | null}
+ */
+function resolveExportsRoot(packagePath, exports, findFile) {
+    if (!exports) return null;
+
+    let root = exports;
+    if (typeof exports === 'object' && !Array.isArray(exports)) {
+        const isSubpathMap = Object.keys(exports).some(key => key.startsWith('.'));
+        if (isSubpathMap) root = exports['.'];
+    }
+    if (!root) return null;
+
+    return resolveExportTarget(packagePath, root, IMPORT_CONDITIONS, findFile)
+        || resolveExportTarget(packagePath, root, REQUIRE_CONDITIONS, findFile);
+}
+
+/**
+ * Match a typesVersions pattern (`*`, `index.d.ts`, `dist/*`) against a path
+ * @param {string} pattern
+ * @param {string} path
+ * @returns {string | null} The text captured by `*`, '' for exact matches, null if no match
+ */
+function matchPathPattern(pattern, path) {
+    const star = pattern.indexOf('*');
+    if (star === -1) return pattern === path ? '' : null;
+
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (path.length < prefix.length + suffix.length) return null;
+    if (!path.startsWith(prefix) || !path.endsWith(suffix)) return null;
+    return path.slice(prefix.length, path.length - suffix.length);
+}
+
+/**
+ * Resolve the root typings through `typesVersions` path mappings.
+ * Version ranges are not evaluated: the first mapping is assumed to match
+ * the TypeScript version in use, as it does for any current compiler.
+ * @param {string} packagePath
+ * @param {Object} packageJson
+ * @returns {string | null}
+ */
+function resolveTypesVersions(packagePath, packageJson) {
+    const typesVersions = packageJson.typesVersions;
+    if (!typesVersions || typeof typesVersions !== 'object') return null;
+
+    const mappings = Object.values(typesVersions)[0];
+    if (!mappings || typeof mappings !== 'object') return null;
+
+    const entry = String(packageJson.types || packageJson.typings || 'index.d.ts').replace(/^\.\//, '');
+
+    for (const [pattern, targets] of Object.entries(mappings)) {
+        const captured = matchPathPattern(pattern, entry);
+        if (captured === null) continue;
+
+        for (const target of Array.isArray(targets) ? targets : [targets]) {
+            if (typeof target !== 'string') continue;
+            const found = findDeclarationFor(resolve(packagePath, target.replace('*', captured)));
+            if (found) return found;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the entry declaration file of a package
+ * @param {string} packagePath
+ * @returns {string | null}
+ */
+export function getPackageDtsPath(packagePath) {
+    const packageJson = readPackageJson(packagePath) || {};
+
+    const typesField = packageJson.types || packageJson.typings;
+
+    return resolveExportsRoot(packagePath, packageJson.exports, findDeclarationFor)
+        || resolveTypesVersions(packagePath, packageJson)
+        || (typeof typesField === 'string' ? findDeclarationFor(resolve(packagePath, typesField)) : null)
+        || (typeof packageJson.main === 'string' ? findDeclarationFor(resolve(packagePath, packageJson.main)) : null)
+        || existingFile(join(packagePath, 'index.d.ts'))
+        || existingFile(join(packagePath, 'dist', 'index.d.ts'));
+}
+
+/**
+ * Get the JavaScript entry file of a package
+ * @param {string} packagePath
+ * @returns {string | null}
+ */
+export function getPackageEntryPath(packagePath) {
+    const packageJson = readPackageJson(packagePath) || {};
+
+    return resolveExportsRoot(packagePath, packageJson.exports, findScriptFor)
+        || (typeof packageJson.main === 'string' ? findScriptFor(resolve(packagePath, packageJson.main)) : null)
+        || existingFile(join(packagePath, 'index.js'));
+}
+
+/**
+ * Resolve a relative import of a JavaScript file
+ * @param {string} fromFile
+ * @param {string} specifier - `./cache.js`, `../lib`
+ * @returns {string | null}
+ */
+export function resolveScriptImport(fromFile, specifier) {
+    return findScriptFor(resolve(dirname(fromFile), specifier));
+}
+
+/**
+ * Name of the @types package for a module (`@scope/pkg` → `@types/scope__pkg`)
+ * @param {string} packageName
+ * @returns {string}
+ */
+function typesPackageName(packageName) {
+    return `@types/${packageName.replace(/^@/, '').replace('/', '__')}`;
+}
+
+/**
+ * Resolve `/// <reference types="name" />`: configured type roots first,
+ * then node_modules folders walking up from the referencing file
+ * @param {string} packageName
+ * @param {string} fromFile
+ * @param {string[] | null} typeRoots
+ * @returns {string | null}
+ */
+function resolveTypesReference(packageName, fromFile, typeRoots) {
+    for (const typeRoot of typeRoots || []) {
+        const found = getPackageDtsPath(join(typeRoot, packageName));
+        if (found) return found;
+    }
+
+    let currentPath = dirname(fromFile);
+
+    while (true) {
+        for (const candidate of [packageName, typesPackageName(packageName)]) {
+            const found = getPackageDtsPath(join(currentPath, 'node_modules', candidate));
+            if (found) return found;
+        }
+
+        const parentPath = dirname(currentPath);
+        if (parentPath === currentPath) return null;
+        currentPath = parentPath;
+    }
+}
+
+/**
+ * Resolve a bare module specifier through tsconfig `paths` mappings
+ * @param {string} specifier
+ * @param {import('./project-config.js').PathMapping[]} paths
+ * @returns {string | null}
+ */
+function resolveMappedSpecifier(specifier, paths) {
+    for (const { pattern, targets } of paths) {
+        const captured = matchPathPattern(pattern, specifier);
+        if (captured === null) continue;
+
+        for (const target of targets) {
+            const found = findDeclarationFor(target.replace('*', captured));
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// =============================================================================
+// DECLARATION DEPENDENCIES
+// =============================================================================
+
+/**
+ * @typedef {Object} ResolutionOptions
+ * @property {import('./project-config.js').PathMapping[]} [paths] - tsconfig path mappings
+ * @property {string[] | null} [typeRoots] - tsconfig type roots
+ */
+
+/**
+ * List the declaration files a parsed declaration file pulls in: triple-slash
+ * references plus imports and re-exports (top level and inside `declare module`
+ * blocks). Bare specifiers are followed only through tsconfig `paths`.
+ * @param {string} filePath
+ * @param {Statement[]} statements
+ * @param {TripleSlashDirective[]} references
+ * @param {ResolutionOptions | null} [options]
+ * @returns {string[]}
+ */
+export function getDeclarationDependencies(filePath, statements, references, options = null) {
+    const paths = (options && options.paths) || [];
+    const typeRoots = (options && options.typeRoots) || null;
+    const dependencies = [];
+    const fileDir = dirname(filePath);
+
+    for (const reference of references) {
+        const found = reference.kind === 'path'
+            ? findDeclarationFor(resolve(fileDir, reference.value))
+            : reference.kind === 'types'
+                ? resolveTypesReference(reference.value, filePath, typeRoots)
+                : null;
+        if (found) dependencies.push(found);
+    }
+
+    const visit = (list) => {
+        for (const statement of list) {
+            if (statement.kind === 'module' && statement.body) {
+                visit(statement.body);
+                continue;
+            }
+            if (!DEPENDENCY_KINDS.has(statement.kind) || typeof statement.source !== 'string') continue;
+
+            const found = statement.source.startsWith('.')
+                ? findDeclarationFor(resolve(fileDir, statement.source))
+                : resolveMappedSpecifier(statement.source, paths);
+            if (found) dependencies.push(found);
+        }
+    };
+    visit(statements);
+
+    return dependencies;
+}
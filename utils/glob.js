@@ -0,0 +1,128 @@
+/**
+ * Glob helpers
+ *
+ * Minimal glob support for file patterns in settings and tsconfig files:
+ * `*` (any characters except `/`), `?` (one character) and `**` (any number
+ * of directories). Patterns always use `/` as separator.
+ */
+
+import { readdirSync, statSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Directories never entered while expanding a glob, unless the pattern names them
+ */
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Convert a path to forward slashes
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function toPosixPath(filePath) {
+    return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * @param {string} pattern
+ * @returns {boolean} True if the pattern contains wildcards
+ */
+export function hasGlobMagic(pattern) {
+    return /[*?]/.test(pattern);
+}
+
+/**
+ * Compile a glob pattern to a regular expression matching whole paths
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    const segments = toPosixPath(pattern).split('/');
+    let source = '';
+
+    segments.forEach((segment, index) => {
+        const isLast = index === segments.length - 1;
+
+        if (segment === '**') {
+            source += isLast ? '.*' : '(?:[^/]*/)*';
+            return;
+        }
+
+        source += segment
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '[^/]');
+
+        if (!isLast) source += '/';
+    });
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand a file path or glob into existing files.
+ * Plain directories expand to every file below them.
+ * @param {string} pattern - Absolute, or relative to `cwd`
+ * @param {string} cwd
+ * @param {number} [maxDepth]
+ * @returns {string[]}
+ */
+export function expandGlob(pattern, cwd, maxDepth = 20) {
+    const absolute = toPosixPath(resolve(cwd, pattern));
+    const files = [];
+
+    if (!hasGlobMagic(absolute)) {
+        try {
+            const stat = statSync(absolute);
+            if (stat.isFile()) return [absolute];
+            if (stat.isDirectory()) walk(absolute, null, pattern, files, 0, maxDepth);
+        } catch {
+            // Missing path
+        }
+        return files;
+    }
+
+    // Walk from the deepest directory without wildcards
+    const segments = absolute.split('/');
+    const firstMagic = segments.findIndex(hasGlobMagic);
+    const base = segments.slice(0, firstMagic).join('/') || '/';
+
+    walk(base, globToRegExp(absolute), pattern, files, 0, maxDepth);
+    return files;
+}
+
+/**
+ * @param {string} dirPath
+ * @param {RegExp | null} matcher - null to collect every file
+ * @param {string} pattern - Original pattern (decides which ignored folders may be entered)
+ * @param {string[]} files - Output
+ * @param {number} depth
+ * @param {number} maxDepth
+ */
+function walk(dirPath, matcher, pattern, files, depth, maxDepth) {
+    if (depth > maxDepth) return;
+
+    let entries;
+    try {
+        entries = readdirSync(dirPath);
+    } catch {
+        return;
+    }
+
+    for (const entry of entries) {
+        const entryPath = dirPath.endsWith('/') ? `${dirPath}${entry}` : `${dirPath}/${entry}`;
+
+        try {
+            const stat = statSync(entryPath);
+
+            if (stat.isDirectory()) {
+                if (IGNORED_DIRECTORIES.includes(entry) && !pattern.includes(entry)) continue;
+                walk(entryPath, matcher, pattern, files, depth + 1, maxDepth);
+            } else if (stat.isFile() && (!matcher || matcher.test(entryPath))) {
+                files.push(entryPath);
+            }
+        } catch {
+            continue;
+        }
+    }
+}
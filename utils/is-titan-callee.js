@@ -1,6 +1,10 @@
-export function isTitanCallee(calleePath) {
+import { isTitanGlobal, stripGlobalThis } from './ast-helpers.js';
+
+export function isTitanCallee(calleePath, globals = []) {
     if (!calleePath || typeof calleePath !== 'string') {
         return false;
     }
-    return calleePath.startsWith('t.') || calleePath.startsWith('Titan.');
+    const path = stripGlobalThis(calleePath, globals);
+    const dot = path.indexOf('.');
+    return dot > 0 && isTitanGlobal(path.slice(0, dot), globals);
 }
\ No newline at end of file
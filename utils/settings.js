@@ -0,0 +1,184 @@
+/**
+ * Plugin settings
+ *
+ * Reads the shared `settings.titanpl` object from the ESLint configuration:
+ *
+ * settings: {
+ *     titanpl: {
+ *         asyncReturnTypes: ['Drift', 'AsyncResult'],
+ *         definitions: ['../shared/typings', 'types/*.d.ts'],
+ *         baseline: true,
+ *         version: '1.1.0',
+ *         releases: [{ version: '1.1.0', methods: { 't.core.fs.exists': 'Promise<boolean>' } }],
+ *         methods: { 't.cache.get': 'async', 't.metrics.*': 'sync' },
+ *         preferDeclarations: 'packages',
+ *         globals: ['$titan'],
+ *         driftNames: ['runAsync'],
+ *         driftModules: ['@acme/titan-runtime']
+ *     }
+ * }
+ */
+
+/**
+ * Return type names that always mean "async"
+ */
+export const DEFAULT_ASYNC_RETURN_TYPES = ['Promise', 'PromiseLike', 'Thenable'];
+
+/**
+ * Modules that export drift, besides the ones in `settings.titanpl.driftModules`
+ */
+export const DEFAULT_DRIFT_MODULES = ['@titanpl/core'];
+
+/**
+ * Values accepted in `settings.titanpl.methods`
+ */
+export const METHOD_OVERRIDE_MODES = ['async', 'sync', 'ignore'];
+
+/**
+ * @typedef {'async' | 'sync' | 'ignore'} MethodOverrideMode
+ */
+
+/**
+ * Values accepted in `settings.titanpl.preferDeclarations`
+ */
+export const DECLARATION_PREFERENCES = ['project', 'packages'];
+
+/**
+ * @typedef {'project' | 'packages'} DeclarationPreference
+ */
+
+/**
+ * @typedef {Object} TitanSettings
+ * @property {string[]} asyncReturnTypes - Type names treated as async return types
+ * @property {string[]} definitions - Extra .d.ts files, folders or globs (relative to the project root)
+ * @property {boolean} baseline - Load the built-in manifest of core Titan APIs
+ * @property {string | null} version - Targeted Titan runtime version, null for the current runtime
+ * @property {import('./titan-version.js').TitanRelease[]} releases - Core API changes of older runtime versions
+ * @property {Record<string, MethodOverrideMode>} methods - Method paths or globs forced async, sync or ignored
+ * @property {DeclarationPreference | null} preferDeclarations - Side that wins when the project and a package declare the same method, null for the last declaration
+ * @property {string[]} globals - Names of the Titan runtime besides `t` and `Titan`
+ * @property {string[]} driftNames - Names drift is known by (always includes `drift`)
+ * @property {string[]} driftModules - Module specifiers drift can be imported from
+ */
+
+/**
+ * Normalize a setting that may be a single value or a list
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toStringList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Normalize a version setting ('1.2.0', 1.2)
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+function toVersion(value) {
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Normalize the release history, dropping releases without a version and
+ * methods whose return type is neither a string nor null
+ * @param {unknown} value
+ * @returns {import('./titan-version.js').TitanRelease[]}
+ */
+function toReleases(value) {
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .filter(release => release && typeof release === 'object' && toVersion(release.version))
+        .map(release => {
+            /** @type {Record<string, string | null>} */
+            const methods = {};
+            const entries = release.methods && typeof release.methods === 'object' ? Object.entries(release.methods) : [];
+
+            for (const [path, returnType] of entries) {
+                if (path && (typeof returnType === 'string' || returnType === null)) {
+                    methods[path] = returnType;
+                }
+            }
+            return { version: toVersion(release.version), methods };
+        });
+}
+
+/**
+ * Normalize the method overrides, dropping invalid entries
+ * @param {unknown} value
+ * @returns {Record<string, MethodOverrideMode>}
+ */
+function toMethodOverrides(value) {
+    /** @type {Record<string, MethodOverrideMode>} */
+    const overrides = {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return overrides;
+
+    for (const [pattern, mode] of Object.entries(value)) {
+        if (pattern && METHOD_OVERRIDE_MODES.includes(mode)) {
+            overrides[pattern] = mode;
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Normalize the extra runtime names, dropping invalid identifiers and
+ * the built-in `t` / `Titan`
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toGlobalNames(value) {
+    const names = toStringList(value)
+        .filter(name => /^[A-Za-z_$][\w$]*$/.test(name) && name !== 't' && name !== 'Titan' && name !== 'globalThis');
+    return [...new Set(names)];
+}
+
+/**
+ * Get the raw `settings.titanpl` object
+ * @param {Object} context - ESLint rule context
+ * @returns {Object}
+ */
+function getRawSettings(context) {
+    const settings = context && context.settings;
+    const titanpl = settings && settings.titanpl;
+    return titanpl && typeof titanpl === 'object' ? titanpl : {};
+}
+
+/**
+ * Get normalized plugin settings with defaults applied
+ * @param {Object} context - ESLint rule context
+ * @returns {TitanSettings}
+ */
+export function getTitanSettings(context) {
+    const raw = getRawSettings(context);
+
+    return {
+        asyncReturnTypes: [...new Set([
+            ...DEFAULT_ASYNC_RETURN_TYPES,
+            ...toStringList(raw.asyncReturnTypes)
+        ])],
+        definitions: toStringList(raw.definitions),
+        baseline: raw.baseline !== false,
+        version: toVersion(raw.version),
+        releases: toReleases(raw.releases),
+        methods: toMethodOverrides(raw.methods),
+        preferDeclarations: DECLARATION_PREFERENCES.includes(raw.preferDeclarations) ? raw.preferDeclarations : null,
+        globals: toGlobalNames(raw.globals),
+        driftNames: [...new Set(['drift', ...toStringList(raw.driftNames)])],
+        driftModules: [...new Set([...DEFAULT_DRIFT_MODULES, ...toStringList(raw.driftModules)])]
+    };
+}
+
+/**
+ * Stable key for the current settings, used to invalidate caches
+ * when a different configuration is linted in the same process
+ * @param {Object} context - ESLint rule context
+ * @returns {string}
+ */
+export function getSettingsKey(context) {
+    return JSON.stringify(getTitanSettings(context));
+}
@@ -0,0 +1,175 @@
+/**
+ * Titan runtime versions
+ *
+ * Builds the core API of the runtime version targeted by
+ * `settings.titanpl.version`. The built-in manifest
+ * (constants/titan-core-manifest.js) describes the current runtime; the
+ * history of older runtimes comes from `settings.titanpl.releases`, where
+ * each release lists the core methods it added or whose signature changed,
+ * and `null` marks a removal:
+ *
+ * releases: [
+ *     { version: '1.0.0', methods: { 't.core.fs.exists': 'boolean' } },
+ *     { version: '1.1.0', methods: { 't.core.fs.exists': 'Promise<boolean>' } }
+ * ]
+ *
+ * getCoreManifest('1.0', releases)                 → t.core.fs.exists returns boolean
+ * getMethodHistory('t.core.fs.exists', releases)   → [{ version: '1.0.0', ... }, { version: '1.1.0', ... }]
+ * isApiAvailable('t.core.session', '1.0.0', releases) → true (not listed in any release)
+ *
+ * Methods that no release lists are not versioned: they keep their
+ * baseline type in every version.
+ */
+
+import { TITAN_CORE_MANIFEST } from '../constants/titan-core-manifest.js';
+import { toCanonicalTitanPath } from './ast-helpers.js';
+
+/**
+ * @typedef {Object} TitanRelease
+ * @property {string} version - Runtime version (`major.minor.patch`)
+ * @property {Record<string, string | null>} methods - Added or changed methods, null when removed
+ */
+
+/**
+ * @typedef {Object} CoreManifest
+ * @property {string | null} version - Release the manifest was built for, null for the current runtime
+ * @property {Record<string, string>} methods - Method path → return type
+ */
+
+/**
+ * @typedef {Object} MethodRevision
+ * @property {string} version - Release that added, changed or removed the method
+ * @property {string | null} returnType - null when the release removed it
+ */
+
+/**
+ * Built manifests by requested version and release history
+ * @type {Map<string, CoreManifest>}
+ */
+const manifestCache = new Map();
+
+/**
+ * Parse `1`, `1.2`, `v1.2.3` or `^1.2.3` into [major, minor, patch]
+ * @param {string} version
+ * @returns {number[] | null}
+ */
+function parseVersion(version) {
+    const match = String(version).trim().match(/^[v^~=]*(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+    if (!match) return null;
+    return [match[1], match[2], match[3]].map(part => Number(part || 0));
+}
+
+/**
+ * Compare two versions
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const left = parseVersion(a) || [0, 0, 0];
+    const right = parseVersion(b) || [0, 0, 0];
+
+    for (let index = 0; index < 3; index++) {
+        if (left[index] !== right[index]) return left[index] - right[index];
+    }
+    return 0;
+}
+
+/**
+ * Sort releases oldest first, with their methods under `t`
+ * @param {TitanRelease[]} releases
+ * @returns {TitanRelease[]}
+ */
+function sortReleases(releases) {
+    return releases
+        .map(release => ({
+            version: release.version,
+            methods: Object.fromEntries(Object.entries(release.methods)
+                .map(([path, returnType]) => [toCanonicalTitanPath(path), returnType]))
+        }))
+        .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Get the core API of a runtime version
+ * @param {string | null} [version] - Targeted version, the current runtime when null or unparsable
+ * @param {TitanRelease[]} [releases] - Release history from settings.titanpl.releases
+ * @returns {CoreManifest}
+ */
+export function getCoreManifest(version = null, releases = []) {
+    const target = version && parseVersion(version) ? version : null;
+    const cacheKey = JSON.stringify([target, releases]);
+
+    const cached = manifestCache.get(cacheKey);
+    if (cached) return cached;
+
+    /** @type {Record<string, string>} */
+    const methods = { ...TITAN_CORE_MANIFEST.methods };
+    const history = sortReleases(releases);
+
+    // Versioned methods exist from the first release that lists them
+    if (target) {
+        for (const release of history) {
+            for (const path of Object.keys(release.methods)) delete methods[path];
+        }
+    }
+
+    for (const release of history) {
+        if (target && compareVersions(release.version, target) > 0) break;
+
+        for (const [path, returnType] of Object.entries(release.methods)) {
+            if (returnType === null) {
+                delete methods[path];
+            } else {
+                methods[path] = returnType;
+            }
+        }
+    }
+
+    const manifest = { version: target, methods };
+    manifestCache.set(cacheKey, manifest);
+    return manifest;
+}
+
+/**
+ * List the releases that added, changed or removed a core method
+ * @param {string} path - Method path under t or Titan
+ * @param {TitanRelease[]} [releases] - Release history from settings.titanpl.releases
+ * @returns {MethodRevision[]} Empty for methods that no release lists
+ */
+export function getMethodHistory(path, releases = []) {
+    const corePath = toCanonicalTitanPath(path);
+    const history = [];
+
+    for (const release of sortReleases(releases)) {
+        if (corePath in release.methods) {
+            history.push({ version: release.version, returnType: release.methods[corePath] });
+        }
+    }
+
+    return history;
+}
+
+/**
+ * Check whether a core method or namespace (`t.core.session`, `t.fetch()`)
+ * exists in a runtime version
+ * @param {string} path
+ * @param {string | null} [version]
+ * @param {TitanRelease[]} [releases] - Release history from settings.titanpl.releases
+ * @returns {boolean}
+ */
+export function isApiAvailable(path, version = null, releases = []) {
+    const corePath = toCanonicalTitanPath(path.replace(/\(\)$/, ''));
+    const { methods } = getCoreManifest(version, releases);
+
+    return corePath in methods
+        || Object.keys(methods).some(method => method.startsWith(`${corePath}.`));
+}
+
+/**
+ * @param {string} returnType - Return type from the manifest
+ * @returns {boolean}
+ */
+export function isAsyncReturnType(returnType) {
+    return /^Promise</.test(returnType);
+}